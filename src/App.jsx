@@ -1,34 +1,61 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import InputScreenModern from "./components/InputScreenModern";
 import LoadingScreen from "./components/LoadingScreen";
 import OutputScreen from "./components/OutputScreen";
 import Dashboard from "./components/Dashboard";
 import UserManagement from "./components/UserManagement";
-import { chunkText, normalizeText, countWords } from "./utils/textProcessing";
+import FlashcardReview from "./components/FlashcardReview";
+import ExamMode from "./components/ExamMode";
+import {
+  chunkText,
+  chunkAnchor,
+  sourceSections,
+  normalizeText,
+  countWords,
+  estimateTokens,
+} from "./utils/textProcessing";
+import { cachedStage, pruneGenerationCache } from "./utils/generationCache";
+import { parseKeyPoints } from "./utils/noteEditing";
 import {
   generateChunkSummary,
   synthesizeSummaries,
   extractKeyPoints,
   generateFlashcards,
   generatePracticeQuestions,
+  getChunkingOptions,
 } from "./services/aiService";
 import {
   saveNoteToHistory,
   getNotesHistory,
   getCurrentUser,
   getAllUsers,
+  onStorageError,
 } from "./utils/storage";
 import "./App.css";
 
 function App() {
-  const [screen, setScreen] = useState("input"); // 'input', 'loading', 'output', 'error', 'dashboard'
+  const [screen, setScreen] = useState("input"); // 'input', 'loading', 'output', 'error', 'dashboard', 'review', 'exam'
   const [currentStep, setCurrentStep] = useState("analyzing");
   const [notesData, setNotesData] = useState(null);
+  // OutputScreen tab to open on, e.g. where a dashboard search found the note
+  const [outputTab, setOutputTab] = useState("summary");
   const [error, setError] = useState(null);
   const [showDashboard, setShowDashboard] = useState(false);
   const [showUserManagement, setShowUserManagement] = useState(false);
   const [currentUser, setCurrentUser] = useState(null);
   const [viewedFromDashboard, setViewedFromDashboard] = useState(false);
+  const [reviewCards, setReviewCards] = useState([]);
+  // Folder the review session is for, or null for every note
+  const [reviewFolder, setReviewFolder] = useState(null);
+  // Notes ticked when exam mode opens
+  const [examNoteIds, setExamNoteIds] = useState([]);
+  // Bumped to re-read the notes without closing the dashboard
+  const [, setNotesRevision] = useState(0);
+  // Input and progress of the last failed run, so it can be resumed
+  const [failedRun, setFailedRun] = useState(null);
+  // { chunksDone, totalChunks, tokens, liveText } for the loading screen
+  const [liveProgress, setLiveProgress] = useState({});
+  const abortControllerRef = useRef(null);
 
   useEffect(() => {
     // Check if user exists, if not show user management
@@ -46,6 +73,17 @@ function App() {
     }
   }, []);
 
+  useEffect(() => {
+    // Saves happen in the background, so surface failures (e.g. disk full)
+    return onStorageError((err) => {
+      alert(
+        `Your changes could not be saved: ${
+          err?.message || err
+        }\n\nFree up disk space or export a backup from the Dashboard.`
+      );
+    });
+  }, []);
+
   /**
    * Main processing pipeline
    */
@@ -55,6 +93,9 @@ function App() {
   };
 
   const processInput = async (inputData) => {
+    // Finished stages are cached, so a failed run keeps this much progress
+    const progress = { chunksDone: 0, totalChunks: 0 };
+
     try {
       if (!currentUser) {
         setError("Please select a user first");
@@ -64,98 +105,236 @@ function App() {
 
       setScreen("loading");
       setError(null);
+      setFailedRun(null);
+      setLiveProgress({});
+      pruneGenerationCache();
 
-      const { title, subject, inputText, depth, sourceFile } = inputData;
+      // Cancel aborts every in-flight request
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      const { signal } = controller;
+
+      const {
+        title,
+        subject,
+        folderId = null,
+        tags = [],
+        inputText,
+        depth = "medium",
+        language = "english",
+        bilingual = false,
+        sourceFile,
+        sources = [],
+        ocrPages = [],
+      } = inputData;
+      const chunkingOptions = getChunkingOptions(depth);
+      const generationOptions = { depth, language, bilingual };
 
       // Step 1: Analyzing document
       setCurrentStep("analyzing");
       const normalizedText = normalizeText(inputText);
       const wordCount = countWords(normalizedText);
 
-      // Determine if we need to chunk
-      const chunks = chunkText(normalizedText, 1500, 25);
-      console.log(`Processing ${chunks.length} chunks (${wordCount} words)`);
+      // Split along headings, paragraphs and pages to fit the model
+      const chunks = chunkText(normalizedText, chunkingOptions);
+      progress.totalChunks = chunks.length;
+
+      const showProgress = (patch) =>
+        setLiveProgress((prev) => ({ ...prev, ...patch }));
+      showProgress({ totalChunks: chunks.length, chunksDone: 0 });
+
+      // Stream every request: count tokens and pass the text to onText
+      let tokens = 0;
+      const streamOptions = (onText) => ({
+        ...generationOptions,
+        signal,
+        onToken: (piece) => {
+          tokens += estimateTokens(piece, chunkingOptions.tokenizer);
+          showProgress({ tokens });
+          onText?.(piece);
+        },
+      });
+
+      // Every stage goes through the cache, keyed by its input and options
+      const chunkTexts = [];
+      const showChunkTexts = () =>
+        showProgress({ liveText: chunkTexts.filter(Boolean).join("\n\n") });
+
+      // Notes from several files merge topics the files share - in the
+      // synthesis, or in the summary itself when there is only one chunk
+      const mergeOptions =
+        sources.length > 1
+          ? { sources: sources.map((source) => source.name) }
+          : {};
+
+      // Each chunk is summarized knowing its pages and section
+      const summarizeChunk = async (chunk, index) => {
+        const chunkOptions = {
+          ...generationOptions,
+          anchor: chunkAnchor(chunk),
+          ...(chunks.length === 1 && mergeOptions),
+        };
+        const summary = await cachedStage(
+          "chunkSummary",
+          chunk.text,
+          chunkOptions,
+          () =>
+            generateChunkSummary(chunk.text, {
+              ...streamOptions((piece) => {
+                chunkTexts[index] = (chunkTexts[index] || "") + piece;
+                showChunkTexts();
+              }),
+              anchor: chunkOptions.anchor,
+              sources: chunkOptions.sources,
+            })
+        );
+        chunkTexts[index] = summary;
+        progress.chunksDone++;
+        showProgress({ chunksDone: progress.chunksDone });
+        showChunkTexts();
+        return summary;
+      };
 
       let finalSummary;
+      let chunkSummaries;
 
       if (chunks.length === 1) {
         // Short text - direct summary
         setCurrentStep("summary");
-        finalSummary = await generateChunkSummary(chunks[0]);
+        finalSummary = await summarizeChunk(chunks[0], 0);
+        chunkSummaries = [finalSummary];
       } else {
         // Long text - chunk processing
         setCurrentStep("summary");
 
         // Process chunks in parallel (in batches to avoid rate limits)
-        const chunkSummaries = [];
+        chunkSummaries = [];
         const batchSize = 3;
 
         for (let i = 0; i < chunks.length; i += batchSize) {
           const batch = chunks.slice(i, i + batchSize);
           const batchResults = await Promise.all(
-            batch.map((chunk) => generateChunkSummary(chunk))
+            batch.map((chunk, j) => summarizeChunk(chunk, i + j))
           );
           chunkSummaries.push(...batchResults);
 
           // Small delay between batches
           if (i + batchSize < chunks.length) {
             await new Promise((resolve) => setTimeout(resolve, 1000));
+            signal.throwIfAborted();
           }
         }
 
-        // Synthesize chunk summaries
-        finalSummary = await synthesizeSummaries(chunkSummaries, depth);
+        // Synthesize chunk summaries, showing the notes as they stream in
+        const synthesisOptions = { ...generationOptions, ...mergeOptions };
+        let synthesisText = "";
+        finalSummary = await cachedStage(
+          "synthesis",
+          chunkSummaries,
+          synthesisOptions,
+          () =>
+            synthesizeSummaries(chunkSummaries, {
+              ...streamOptions((piece) => {
+                synthesisText += piece;
+                showProgress({ liveText: synthesisText });
+              }),
+              sources: synthesisOptions.sources,
+            })
+        );
+        showProgress({ liveText: finalSummary });
       }
 
+      // Key points, flashcards and questions name the part of the
+      // document they come from, so citations don't have to guess
+      const sections = sourceSections(chunks, chunkSummaries);
+      const itemInput = [finalSummary, sections];
+      const itemOptions = (onText) => ({
+        ...streamOptions(onText),
+        sourceSections: sections,
+      });
+
       // Step 2: Extract key points
       setCurrentStep("summary");
-      const keyPointsText = await extractKeyPoints(finalSummary);
-      const keyPoints = keyPointsText
-        .split("\n")
-        .filter((line) => line.trim())
-        .map((line) => line.replace(/^[-•*]\s*/, "").trim())
-        .filter((line) => line.length > 0);
+      const keyPointsText = await cachedStage(
+        "keyPoints",
+        itemInput,
+        generationOptions,
+        () => extractKeyPoints(finalSummary, itemOptions())
+      );
+      const { keyPoints, keyPointAnchors } = parseKeyPoints(
+        keyPointsText,
+        sections
+      );
 
       // Step 3: Generate flashcards
       setCurrentStep("flashcards");
-      const flashcards = await generateFlashcards(finalSummary);
+      const flashcards = await cachedStage(
+        "flashcards",
+        itemInput,
+        generationOptions,
+        () => generateFlashcards(finalSummary, itemOptions())
+      );
 
       // Step 4: Generate practice questions
       setCurrentStep("questions");
-      const questions = await generatePracticeQuestions(finalSummary);
+      const questions = await cachedStage(
+        "questions",
+        itemInput,
+        generationOptions,
+        () => generatePracticeQuestions(finalSummary, itemOptions())
+      );
 
       // Prepare final notes data
       const finalNotesData = {
         title,
         subject,
+        folderId,
+        tags,
         summary: finalSummary,
         keyPoints,
+        keyPointAnchors,
         flashcards,
         questions,
+        sourceSections: sections,
         rawText: normalizedText,
         sourceFile,
+        sources,
+        ocrPages,
         wordCount,
         depth,
+        language,
+        bilingual,
         createdAt: new Date().toISOString(),
       };
 
       // Save to history
       const savedNote = saveNoteToHistory(finalNotesData);
       setNotesData(savedNote);
+      setOutputTab("summary");
 
       // Show output
       setScreen("output");
       setViewedFromDashboard(false); // New note, not from dashboard
     } catch (err) {
-      console.error("Processing error:", err);
+      const cancelled = err.name === "AbortError";
+      if (!cancelled) console.error("Processing error:", err);
       setError(
-        err.message ||
-          "An error occurred while generating notes. Please try again."
+        cancelled
+          ? "Generation was cancelled. Finished sections are saved, so you can resume later."
+          : err.message ||
+              "An error occurred while generating notes. Please try again."
       );
+      setFailedRun({ inputData, cancelled, ...progress });
       setScreen("error");
+    } finally {
+      abortControllerRef.current = null;
     }
   };
 
+  const handleCancelGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleBack = () => {
     if (viewedFromDashboard) {
       // Go back to dashboard if note was opened from there
@@ -171,9 +350,27 @@ function App() {
     }
   };
 
+  const handleExitReview = () => {
+    setReviewCards([]);
+    setScreen("input");
+    setShowDashboard(true);
+  };
+
+  const handleExitExam = () => {
+    setExamNoteIds([]);
+    setScreen("input");
+    setShowDashboard(true);
+  };
+
   const handleRetry = () => {
     setScreen("input");
     setError(null);
+    setFailedRun(null);
+  };
+
+  // Run the failed input again - cached stages are not regenerated
+  const handleResume = () => {
+    processInput(failedRun.inputData);
   };
 
   return (
@@ -194,21 +391,76 @@ function App() {
         />
       )}
 
-      {screen === "loading" && <LoadingScreen currentStep={currentStep} />}
+      {screen === "loading" && (
+        <LoadingScreen
+          currentStep={currentStep}
+          progress={liveProgress}
+          onCancel={handleCancelGeneration}
+        />
+      )}
 
       {screen === "output" && notesData && (
-        <OutputScreen notesData={notesData} onBack={handleBack} />
+        <OutputScreen
+          notesData={notesData}
+          initialTab={outputTab}
+          onBack={handleBack}
+          onNoteUpdate={setNotesData}
+        />
+      )}
+
+      {screen === "review" && (
+        <div className="review-screen fade-in">
+          <div className="review-screen-header">
+            <h1>{reviewFolder || "Due Today"}</h1>
+            <p>
+              {reviewFolder
+                ? `Flashcards from the notes in ${reviewFolder}`
+                : "Flashcards from all your notes that are due for review"}
+            </p>
+          </div>
+          <FlashcardReview
+            cards={reviewCards}
+            onExit={handleExitReview}
+            showNoteTitle
+          />
+        </div>
+      )}
+
+      {screen === "exam" && (
+        <ExamMode
+          notes={getNotesHistory()}
+          initialNoteIds={examNoteIds}
+          onExit={handleExitExam}
+        />
       )}
 
       {screen === "error" && (
         <div className="error-screen fade-in">
           <div className="error-content card">
             <div className="error-icon">⚠️</div>
-            <h2>Oops! Something went wrong</h2>
+            <h2>
+              {failedRun?.cancelled
+                ? "Generation cancelled"
+                : "Oops! Something went wrong"}
+            </h2>
             <p className="error-message">{error}</p>
+            {failedRun?.chunksDone > 0 && (
+              <p className="error-progress">
+                {failedRun.chunksDone} of {failedRun.totalChunks} sections were
+                summarized and saved - resuming picks up from there.
+              </p>
+            )}
             <div className="error-actions">
-              <button className="btn btn-primary" onClick={handleRetry}>
-                Try Again
+              {failedRun && (
+                <button className="btn btn-primary" onClick={handleResume}>
+                  Resume
+                </button>
+              )}
+              <button
+                className={`btn ${failedRun ? "btn-secondary" : "btn-primary"}`}
+                onClick={handleRetry}
+              >
+                {failedRun ? "Start Over" : "Try Again"}
               </button>
             </div>
           </div>
@@ -224,12 +476,25 @@ function App() {
             setShowDashboard(false);
             setTimeout(() => setShowDashboard(true), 0);
           }}
-          onViewNote={(note) => {
+          onViewNote={(note, tab) => {
             setNotesData(note);
+            setOutputTab(tab || "summary");
             setShowDashboard(false);
             setScreen("output");
             setViewedFromDashboard(true); // Mark that note was opened from dashboard
           }}
+          onNotesOrganize={() => setNotesRevision((n) => n + 1)}
+          onStartReview={(cards, folderName = null) => {
+            setReviewCards(cards);
+            setReviewFolder(folderName);
+            setShowDashboard(false);
+            setScreen("review");
+          }}
+          onStartExam={(noteIds = []) => {
+            setExamNoteIds(noteIds);
+            setShowDashboard(false);
+            setScreen("exam");
+          }}
         />
       )}
     </div>
@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
 import {
   getCurrentUser,
   getQuizResults,
@@ -6,14 +6,83 @@ import {
   clearHistory,
   debugQuizResults,
   resetNoteQuizData,
+  getAllFlashcardReviews,
+  organizeNotes,
+  getFolders,
+  saveFolder,
+  deleteFolder,
+  getCustomSubjects,
+  getExamAttempts,
 } from "../utils/storage";
+import { roundScore, formatScore } from "../utils/scoring";
+import { buildReviewQueue } from "../utils/spacedRepetition";
+import { DECK_FORMATS, exportDeck } from "../utils/deckExport";
+import { FOLDER_FORMATS, exportFolder } from "../utils/notesExport";
+import { getSourceFiles } from "../utils/sources";
+import { buildSearchIndex, searchNotes } from "../utils/noteSearch";
+import { summarizeExam } from "../utils/exam";
+import {
+  ALL_NOTES,
+  UNFILED,
+  LIBRARY_COLORS,
+  allSubjects,
+  findSubject,
+  parseTags,
+  collectTags,
+  folderOf,
+  notesInFolder,
+} from "../utils/library";
+import {
+  IMPORT_MODES,
+  CONFLICT_RULES,
+  downloadBackup,
+  parseBackup,
+  planImport,
+  applyImport,
+} from "../utils/backup";
 import "./Dashboard.css";
 
+// Unseen flashcards added to the "Due today" queue per session
+const NEW_CARDS_PER_DAY = 20;
+
+// Quiz performance filters, with the same bands as the note score circles
+const PERFORMANCE_FILTERS = [
+  { id: "", label: "Any performance", test: () => true },
+  { id: "none", label: "Not attempted", test: (perf) => !perf },
+  {
+    id: "strong",
+    label: "60% and above",
+    test: (perf) => perf && perf.percentage >= 60,
+  },
+  {
+    id: "average",
+    label: "40–59%",
+    test: (perf) => perf && perf.percentage >= 40 && perf.percentage < 60,
+  },
+  {
+    id: "weak",
+    label: "Below 40%",
+    test: (perf) => perf && perf.percentage < 40,
+  },
+];
+
+const SORT_OPTIONS = [
+  { id: "relevance", label: "Best match" },
+  { id: "newest", label: "Newest first" },
+  { id: "oldest", label: "Oldest first" },
+  { id: "title", label: "Title (A–Z)" },
+  { id: "best", label: "Best score" },
+  { id: "worst", label: "Worst score" },
+];
+
 export default function Dashboard({
   onClose,
   notesHistory,
   onNotesUpdate,
   onViewNote,
+  onStartReview,
+  onStartExam,
+  onNotesOrganize,
 }) {
   const [userProfile, setUserProfile] = useState(null);
   const [stats, setStats] = useState({
@@ -21,11 +90,38 @@ export default function Dashboard({
     totalFlashcards: 0,
     totalQuestions: 0,
     correctAnswers: 0,
+    partialAnswers: 0,
     incorrectAnswers: 0,
     totalMarks: 0,
     averageScore: 0,
   });
   const [recentActivity, setRecentActivity] = useState([]);
+  const [dueCards, setDueCards] = useState([]);
+  const [exportSubject, setExportSubject] = useState("");
+  const [exportingDeck, setExportingDeck] = useState(false);
+  const [backupScope, setBackupScope] = useState("user");
+  const [pendingBackup, setPendingBackup] = useState(null); // { backup, fileName }
+  const [importMode, setImportMode] = useState("merge");
+  const [conflictRule, setConflictRule] = useState("newer");
+  const backupInputRef = useRef(null);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [filterSubject, setFilterSubject] = useState("");
+  const [filterDateFrom, setFilterDateFrom] = useState("");
+  const [filterDateTo, setFilterDateTo] = useState("");
+  const [filterSource, setFilterSource] = useState("");
+  const [filterPerformance, setFilterPerformance] = useState("");
+  const [sortBy, setSortBy] = useState("relevance");
+  const [filterTag, setFilterTag] = useState("");
+  const [folders, setFolders] = useState(getFolders);
+  const [selectedFolder, setSelectedFolder] = useState(ALL_NOTES);
+  const [exportingFolder, setExportingFolder] = useState(false);
+  const [examAttempts] = useState(getExamAttempts);
+
+  // Rebuilt only when the notes change, not on every keystroke
+  const searchIndex = useMemo(
+    () => buildSearchIndex(notesHistory || []),
+    [notesHistory]
+  );
 
   useEffect(() => {
     loadUserProfile();
@@ -65,6 +161,7 @@ export default function Dashboard({
     let totalScore = 0;
     let questionsAttempted = 0;
     let correctQuestions = 0;
+    let partialQuestions = 0;
     let incorrectQuestions = 0;
 
     quizResults.forEach((result) => {
@@ -72,10 +169,14 @@ export default function Dashboard({
       questionsAttempted++;
       if (result.isCorrect) {
         correctQuestions++;
+      } else if (result.isPartial) {
+        // MSQ with some right picks and no net penalty
+        partialQuestions++;
       } else {
         incorrectQuestions++;
       }
     });
+    totalScore = roundScore(totalScore);
 
     // Calculate percentage based on normalized score
     // Score range: -questionsAttempted (all wrong) to +questionsAttempted (all correct)
@@ -98,6 +199,7 @@ export default function Dashboard({
       totalFlashcards,
       totalQuestions,
       correctAnswers: correctQuestions,
+      partialAnswers: partialQuestions,
       incorrectAnswers: incorrectQuestions,
       totalMarks: totalScore,
       averageScore,
@@ -112,18 +214,22 @@ export default function Dashboard({
     console.log("=========================");
     setStats(calculatedStats);
 
-    // Recent activity
-    const recent = notesList
-      .slice(-5)
-      .reverse()
-      .map((note) => ({
-        title: note.title || "Untitled",
-        subject: note.subject || "General",
-        date: note.timestamp,
-        flashcards: note.flashcards?.length || 0,
-        questions: note.questions?.length || 0,
-      }));
+    // Recent activity (notes are stored newest first)
+    const recent = notesList.slice(0, 5).map((note) => ({
+      title: note.title || "Untitled",
+      subject: note.subject || "General",
+      date: note.createdAt,
+      flashcards: note.flashcards?.length || 0,
+      questions: note.questions?.length || 0,
+    }));
     setRecentActivity(recent);
+
+    // Flashcards due for spaced-repetition review today
+    setDueCards(
+      buildReviewQueue(getAllFlashcardReviews(), {
+        newLimit: NEW_CARDS_PER_DAY,
+      })
+    );
   };
 
   const formatDate = (timestamp) => {
@@ -187,15 +293,15 @@ export default function Dashboard({
     }
   };
 
-  const handleViewNote = (note) => {
-    // Pass the note to parent to show in OutputScreen
+  const handleViewNote = (note, tab) => {
+    // Pass the note to parent to show in OutputScreen, at the tab where a
+    // search found it
     if (onViewNote) {
-      onViewNote(note);
+      onViewNote(note, tab);
     }
   };
 
-  const getNotePerformance = (noteId) => {
-    const quizResults = getQuizResults();
+  const getNotePerformance = (noteId, quizResults = getQuizResults()) => {
     const noteResults = quizResults.filter(
       (result) => result.noteId === noteId
     );
@@ -227,13 +333,280 @@ export default function Dashboard({
         : 0;
 
     return {
-      score: totalScore,
+      score: roundScore(totalScore),
       attempted: questionsAttempted,
       correct: correctCount,
       percentage,
     };
   };
 
+  const subjects = [
+    ...new Set((notesHistory || []).map((note) => note.subject || "General")),
+  ];
+  const sourceFiles = [
+    ...new Set((notesHistory || []).flatMap(getSourceFiles)),
+  ].sort();
+
+  // Folders (courses) and tags
+  const subjectList = allSubjects(getCustomSubjects());
+  const allTags = collectTags(notesHistory || []);
+  const currentFolder =
+    folders.find((folder) => folder.id === selectedFolder) || null;
+  const folderNotes = useMemo(
+    () => notesInFolder(notesHistory || [], selectedFolder, folders),
+    [notesHistory, selectedFolder, folders]
+  );
+  const folderName =
+    currentFolder?.name ||
+    (selectedFolder === UNFILED ? "Unfiled notes" : "All notes");
+  const countIn = (folderId) =>
+    notesInFolder(notesHistory || [], folderId, folders).length;
+
+  const handleNewFolder = () => {
+    const name = window.prompt("Name of the new folder (e.g. a course):");
+    if (!name?.trim()) return;
+    const folder = saveFolder({
+      name,
+      color: LIBRARY_COLORS[folders.length % LIBRARY_COLORS.length],
+    });
+    setFolders(getFolders());
+    setSelectedFolder(folder.id);
+  };
+
+  const handleRenameFolder = () => {
+    const name = window.prompt("Rename folder:", currentFolder.name);
+    if (!name?.trim()) return;
+    saveFolder({ ...currentFolder, name });
+    setFolders(getFolders());
+  };
+
+  const handleFolderColor = (color) => {
+    saveFolder({ ...currentFolder, color });
+    setFolders(getFolders());
+  };
+
+  const handleDeleteFolder = () => {
+    if (
+      window.confirm(
+        `Delete the folder "${currentFolder.name}"? Its notes are kept and become unfiled.`
+      )
+    ) {
+      deleteFolder(currentFolder.id);
+      setFolders(getFolders());
+      setSelectedFolder(ALL_NOTES);
+      onNotesOrganize?.();
+    }
+  };
+
+  const handleMoveNote = (note, value) => {
+    const folder = folders.find((f) => String(f.id) === value);
+    organizeNotes([note.id], { folderId: folder ? folder.id : null });
+    onNotesOrganize?.();
+  };
+
+  const handleEditTags = (note) => {
+    const text = window.prompt(
+      "Tags for this note, comma-separated:",
+      (note.tags || []).join(", ")
+    );
+    if (text === null) return;
+    organizeNotes([note.id], { tags: parseTags(text) });
+    onNotesOrganize?.();
+  };
+
+  // Flashcards of the selected folder, for a review session. Review data
+  // is read again when the stats' due cards are, not on every keystroke;
+  // "All notes" has every card and the due cards already counted.
+  const folderCards = useMemo(() => {
+    if (selectedFolder === ALL_NOTES) return getAllFlashcardReviews();
+    const folderNoteIds = new Set(folderNotes.map((note) => note.id));
+    return getAllFlashcardReviews().filter((item) =>
+      folderNoteIds.has(item.noteId)
+    );
+  }, [selectedFolder, folderNotes, dueCards]);
+  const folderDueCards = useMemo(
+    () =>
+      selectedFolder === ALL_NOTES
+        ? dueCards
+        : buildReviewQueue(folderCards, { newLimit: NEW_CARDS_PER_DAY }),
+    [selectedFolder, folderCards, dueCards]
+  );
+
+  // Practice questions available for a mock exam
+  const countQuestions = (notes) =>
+    notes.reduce((sum, note) => sum + (note.questions?.length || 0), 0);
+  const questionCount = countQuestions(notesHistory || []);
+  const folderQuestionCount = countQuestions(folderNotes);
+
+  const handleExportFolderNotes = async (format) => {
+    setExportingFolder(true);
+    try {
+      await exportFolder(folderNotes, format, folderName);
+    } catch (error) {
+      console.error("Folder export failed:", error);
+      alert(`Could not export notes: ${error.message}`);
+    } finally {
+      setExportingFolder(false);
+    }
+  };
+
+  const handleExportFolderDeck = async (format) => {
+    setExportingFolder(true);
+    try {
+      await exportDeck(folderNotes, format, folderName);
+    } catch (error) {
+      console.error("Folder deck export failed:", error);
+      alert(`Could not export flashcards: ${error.message}`);
+    } finally {
+      setExportingFolder(false);
+    }
+  };
+
+  // Saved notes matching the search and filters, in the chosen order.
+  // Quiz results are read again when the stats are, not on every keystroke.
+  const notePerformance = useMemo(() => {
+    const allQuizResults = getQuizResults();
+    return new Map(
+      (notesHistory || []).map((note) => [
+        note.id,
+        getNotePerformance(note.id, allQuizResults),
+      ])
+    );
+  }, [notesHistory, stats]);
+  const searchHits = searchNotes(searchIndex, searchQuery);
+  const isSearching = searchQuery.trim() !== "";
+  const performanceFilter = PERFORMANCE_FILTERS.find(
+    (filter) => filter.id === filterPerformance
+  );
+  const dateFrom = filterDateFrom ? new Date(`${filterDateFrom}T00:00`) : null;
+  const dateTo = filterDateTo ? new Date(`${filterDateTo}T23:59:59.999`) : null;
+
+  const noteTime = (note) => new Date(note.createdAt).getTime() || 0;
+  const scoreOf = (note) => notePerformance.get(note.id)?.percentage ?? -1;
+  const compareNotes = {
+    relevance: (a, b) =>
+      searchHits.get(b.id).score - searchHits.get(a.id).score ||
+      noteTime(b) - noteTime(a),
+    newest: (a, b) => noteTime(b) - noteTime(a),
+    oldest: (a, b) => noteTime(a) - noteTime(b),
+    title: (a, b) => (a.title || "").localeCompare(b.title || ""),
+    // Notes without quiz attempts go last either way
+    best: (a, b) => scoreOf(b) - scoreOf(a),
+    worst: (a, b) =>
+      (scoreOf(a) === -1) - (scoreOf(b) === -1) || scoreOf(a) - scoreOf(b),
+  };
+  // "Best match" needs a search; until then the list starts with the newest
+  const sortKey = sortBy === "relevance" && !isSearching ? "newest" : sortBy;
+
+  const visibleNotes = folderNotes
+    .filter((note) => {
+      const created = new Date(note.createdAt);
+      return (
+        (!isSearching || searchHits.has(note.id)) &&
+        (!filterSubject || (note.subject || "General") === filterSubject) &&
+        (!filterSource || getSourceFiles(note).includes(filterSource)) &&
+        (!filterTag || (note.tags || []).includes(filterTag)) &&
+        (!dateFrom || created >= dateFrom) &&
+        (!dateTo || created <= dateTo) &&
+        performanceFilter.test(notePerformance.get(note.id))
+      );
+    })
+    .sort(compareNotes[sortKey]);
+
+  const hasFilters =
+    isSearching ||
+    filterSubject ||
+    filterSource ||
+    filterTag ||
+    filterDateFrom ||
+    filterDateTo ||
+    filterPerformance;
+
+  const clearFilters = () => {
+    setSearchQuery("");
+    setFilterSubject("");
+    setFilterDateFrom("");
+    setFilterDateTo("");
+    setFilterSource("");
+    setFilterPerformance("");
+    setFilterTag("");
+  };
+
+  // Export every flashcard of one subject (or of all notes)
+  const handleExportDeck = async (format) => {
+    const notes = (notesHistory || []).filter(
+      (note) => !exportSubject || (note.subject || "General") === exportSubject
+    );
+    setExportingDeck(true);
+    try {
+      await exportDeck(notes, format, exportSubject || "all_subjects");
+    } catch (error) {
+      console.error("Deck export failed:", error);
+      alert(`Could not export flashcards: ${error.message}`);
+    } finally {
+      setExportingDeck(false);
+    }
+  };
+
+  const handleDownloadBackup = () => {
+    try {
+      const backup = downloadBackup(backupScope);
+      console.log("Backup downloaded:", backup.users.length, "user(s)");
+    } catch (error) {
+      console.error("Backup failed:", error);
+      alert(`Could not create backup: ${error.message}`);
+    }
+  };
+
+  const handleBackupFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow choosing the same file again
+    if (!file) return;
+
+    try {
+      const backup = parseBackup(await file.text());
+      setPendingBackup({ backup, fileName: file.name });
+    } catch (error) {
+      console.error("Backup file rejected:", error);
+      alert(`Could not read backup: ${error.message}`);
+    }
+  };
+
+  // Preview of the restore, recomputed when the mode or conflict rule changes
+  const importPlans = pendingBackup
+    ? planImport(pendingBackup.backup, { mode: importMode, conflictRule })
+    : [];
+
+  const handleApplyRestore = () => {
+    let summary;
+    try {
+      summary = applyImport(importPlans, { mode: importMode });
+    } catch (error) {
+      console.error("Error restoring backup:", error);
+      alert(`Could not restore the backup: ${error.message}`);
+      return;
+    } finally {
+      setPendingBackup(null);
+    }
+
+    if (onNotesUpdate) {
+      onNotesUpdate();
+    }
+    setTimeout(() => {
+      calculateStats();
+    }, 50);
+
+    alert(
+      "Backup restored:\n" +
+        summary
+          .map(
+            (s) =>
+              `${s.user.name}: ${s.added} new, ${s.updated} updated, ${s.removed} removed`
+          )
+          .join("\n")
+    );
+  };
+
   const clearAllData = () => {
     if (
       window.confirm(
@@ -259,6 +632,7 @@ export default function Dashboard({
   };
 
   const performance = getPerformanceLevel(stats.averageScore);
+  const dueReviewCount = dueCards.filter((item) => item.review).length;
 
   return (
     <div className="dashboard-overlay">
@@ -337,6 +711,50 @@ export default function Dashboard({
             </div>
           </div>
 
+          {/* Spaced Repetition */}
+          <div className="review-due-section">
+            <div className="review-due-info">
+              <h3>🔁 Due Today</h3>
+              <p>
+                {dueCards.length > 0
+                  ? `${dueReviewCount} to review · ${
+                      dueCards.length - dueReviewCount
+                    } new flashcards`
+                  : "No flashcards due. Come back tomorrow!"}
+              </p>
+            </div>
+            <button
+              className="start-review-btn"
+              disabled={dueCards.length === 0 || !onStartReview}
+              onClick={() => onStartReview(dueCards)}
+            >
+              Start Review ({dueCards.length})
+            </button>
+          </div>
+
+          {/* Exam Mode */}
+          <div className="review-due-section exam-mode-section">
+            <div className="review-due-info">
+              <h3>📝 Exam Mode</h3>
+              <p>
+                {examAttempts.length > 0
+                  ? `${examAttempts.length} mock exam${
+                      examAttempts.length === 1 ? "" : "s"
+                    } taken · last score ${
+                      summarizeExam(examAttempts[0].questions).percentage
+                    }%`
+                  : "Timed mock tests mixing questions from several notes"}
+              </p>
+            </div>
+            <button
+              className="start-review-btn"
+              disabled={questionCount === 0 || !onStartExam}
+              onClick={() => onStartExam()}
+            >
+              Start Mock Exam
+            </button>
+          </div>
+
           {/* Performance Section */}
           <div className="performance-section">
             <h3> Overall Performance</h3>
@@ -371,8 +789,7 @@ export default function Dashboard({
                         : "negative-score"
                     }`}
                   >
-                    {stats.totalMarks > 0 ? "+" : ""}
-                    {stats.totalMarks}
+                    {formatScore(stats.totalMarks)}
                   </span>
                 </div>
                 <div className="breakdown-item">
@@ -381,6 +798,14 @@ export default function Dashboard({
                     {stats.correctAnswers}
                   </span>
                 </div>
+                {stats.partialAnswers > 0 && (
+                  <div className="breakdown-item">
+                    <span className="breakdown-label">Partially Correct:</span>
+                    <span className="breakdown-value">
+                      {stats.partialAnswers}
+                    </span>
+                  </div>
+                )}
                 <div className="breakdown-item">
                   <span className="breakdown-label">Incorrect:</span>
                   <span className="breakdown-value incorrect">
@@ -401,26 +826,288 @@ export default function Dashboard({
           {notesHistory && notesHistory.length > 0 && (
             <div className="notes-history-section">
               <h3> Saved Notes</h3>
+
+              {/* Folders */}
+              <div className="folder-bar">
+                {[
+                  { id: ALL_NOTES, name: "All notes" },
+                  ...folders,
+                  { id: UNFILED, name: "Unfiled" },
+                ].map((folder) => (
+                  <button
+                    key={folder.id}
+                    className={`folder-chip ${
+                      selectedFolder === folder.id ? "active" : ""
+                    }`}
+                    style={{ "--folder-color": folder.color || "#667eea" }}
+                    onClick={() => setSelectedFolder(folder.id)}
+                  >
+                    {folder.color && <span className="folder-dot" />}
+                    {folder.name}
+                    <span className="folder-count">{countIn(folder.id)}</span>
+                  </button>
+                ))}
+                <button className="folder-chip add" onClick={handleNewFolder}>
+                  ＋ New folder
+                </button>
+              </div>
+
+              <div className="folder-actions">
+                <div className="folder-actions-title">
+                  <strong>{folderName}</strong>
+                  <span>
+                    {folderNotes.length} note
+                    {folderNotes.length === 1 ? "" : "s"} · {folderCards.length}{" "}
+                    flashcards
+                  </span>
+                  {currentFolder && (
+                    <>
+                      <span className="folder-colors">
+                        {LIBRARY_COLORS.map((color) => (
+                          <button
+                            key={color}
+                            className={`folder-color ${
+                              currentFolder.color === color ? "active" : ""
+                            }`}
+                            style={{ background: color }}
+                            aria-label={`Colour ${color}`}
+                            onClick={() => handleFolderColor(color)}
+                          />
+                        ))}
+                      </span>
+                      <button
+                        className="folder-link-btn"
+                        onClick={handleRenameFolder}
+                      >
+                        Rename
+                      </button>
+                      <button
+                        className="folder-link-btn danger"
+                        onClick={handleDeleteFolder}
+                      >
+                        Delete folder
+                      </button>
+                    </>
+                  )}
+                </div>
+                <div className="folder-actions-row">
+                  <span className="folder-actions-label">Review</span>
+                  <button
+                    className="deck-export-btn"
+                    disabled={folderDueCards.length === 0 || !onStartReview}
+                    onClick={() => onStartReview(folderDueCards, folderName)}
+                  >
+                    Due cards ({folderDueCards.length})
+                  </button>
+                  <button
+                    className="deck-export-btn"
+                    disabled={folderCards.length === 0 || !onStartReview}
+                    onClick={() => onStartReview(folderCards, folderName)}
+                  >
+                    All cards ({folderCards.length})
+                  </button>
+                  <button
+                    className="deck-export-btn"
+                    disabled={folderQuestionCount === 0 || !onStartExam}
+                    onClick={() =>
+                      onStartExam(folderNotes.map((note) => note.id))
+                    }
+                  >
+                    Mock exam ({folderQuestionCount} questions)
+                  </button>
+                </div>
+                <div className="folder-actions-row">
+                  <span className="folder-actions-label">Export notes</span>
+                  {FOLDER_FORMATS.map((format) => (
+                    <button
+                      key={format.id}
+                      className="deck-export-btn"
+                      onClick={() => handleExportFolderNotes(format.id)}
+                      disabled={exportingFolder || folderNotes.length === 0}
+                      title={`Export every note here as ${format.label} (.zip)`}
+                    >
+                      {format.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="folder-actions-row">
+                  <span className="folder-actions-label">
+                    Export flashcards
+                  </span>
+                  {DECK_FORMATS.map((format) => (
+                    <button
+                      key={format.id}
+                      className="deck-export-btn"
+                      onClick={() => handleExportFolderDeck(format.id)}
+                      disabled={exportingFolder || folderCards.length === 0}
+                    >
+                      {format.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="notes-search">
+                <input
+                  type="search"
+                  className="notes-search-input"
+                  placeholder="Search titles, summaries, key points, flashcards and questions…"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                />
+                <div className="notes-filters">
+                  <select
+                    className="deck-export-select"
+                    value={filterSubject}
+                    onChange={(e) => setFilterSubject(e.target.value)}
+                  >
+                    <option value="">All subjects</option>
+                    {subjects.map((subject) => (
+                      <option key={subject} value={subject}>
+                        {subject}
+                      </option>
+                    ))}
+                  </select>
+                  {sourceFiles.length > 0 && (
+                    <select
+                      className="deck-export-select"
+                      value={filterSource}
+                      onChange={(e) => setFilterSource(e.target.value)}
+                    >
+                      <option value="">All source files</option>
+                      {sourceFiles.map((file) => (
+                        <option key={file} value={file}>
+                          {file}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  {allTags.length > 0 && (
+                    <select
+                      className="deck-export-select"
+                      value={filterTag}
+                      onChange={(e) => setFilterTag(e.target.value)}
+                    >
+                      <option value="">All tags</option>
+                      {allTags.map((tag) => (
+                        <option key={tag} value={tag}>
+                          #{tag}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <select
+                    className="deck-export-select"
+                    value={filterPerformance}
+                    onChange={(e) => setFilterPerformance(e.target.value)}
+                  >
+                    {PERFORMANCE_FILTERS.map((filter) => (
+                      <option key={filter.id} value={filter.id}>
+                        {filter.label}
+                      </option>
+                    ))}
+                  </select>
+                  <label className="notes-filter-date">
+                    From
+                    <input
+                      type="date"
+                      value={filterDateFrom}
+                      max={filterDateTo || undefined}
+                      onChange={(e) => setFilterDateFrom(e.target.value)}
+                    />
+                  </label>
+                  <label className="notes-filter-date">
+                    To
+                    <input
+                      type="date"
+                      value={filterDateTo}
+                      min={filterDateFrom || undefined}
+                      onChange={(e) => setFilterDateTo(e.target.value)}
+                    />
+                  </label>
+                  <select
+                    className="deck-export-select"
+                    value={sortKey}
+                    onChange={(e) => setSortBy(e.target.value)}
+                    title="Sort notes"
+                  >
+                    {SORT_OPTIONS.filter(
+                      (option) => option.id !== "relevance" || isSearching
+                    ).map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {hasFilters && (
+                  <p className="notes-search-count">
+                    {visibleNotes.length} of {folderNotes.length} notes
+                    <button className="notes-clear-btn" onClick={clearFilters}>
+                      Clear search & filters
+                    </button>
+                  </p>
+                )}
+              </div>
+
+              {visibleNotes.length === 0 && (
+                <p className="notes-empty">
+                  No notes match your search and filters.
+                </p>
+              )}
+
               <div className="notes-list">
-                {notesHistory.map((note) => {
-                  const notePerf = getNotePerformance(note.id);
+                {visibleNotes.map((note) => {
+                  const notePerf = notePerformance.get(note.id);
+                  const hit = searchHits.get(note.id);
+                  const noteSubject = findSubject(note.subject, subjectList);
+                  const noteFolder = folderOf(note, folders);
                   return (
                     <div key={note.id} className="note-card-history">
                       <div className="note-card-header">
                         <div
                           className="note-header-clickable"
-                          onClick={() => handleViewNote(note)}
+                          onClick={() => handleViewNote(note, hit?.tab)}
                           style={{ cursor: "pointer", flex: 1 }}
                         >
                           <h4>{note.title}</h4>
                           <p className="note-meta">
-                            <span className="note-subject">{note.subject}</span>
+                            <span
+                              className="note-subject"
+                              style={{ color: noteSubject.color }}
+                            >
+                              {noteSubject.icon} {noteSubject.name}
+                            </span>
                             <span className="note-date">
                               {formatDate(note.createdAt)}
                             </span>
+                            {noteFolder && selectedFolder === ALL_NOTES && (
+                              <span
+                                className="note-folder"
+                                style={{ "--folder-color": noteFolder.color }}
+                              >
+                                📁 {noteFolder.name}
+                              </span>
+                            )}
                           </p>
                         </div>
                         <div className="note-action-buttons">
+                          <select
+                            className="note-move-select"
+                            value={noteFolder ? String(noteFolder.id) : ""}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={(e) =>
+                              handleMoveNote(note, e.target.value)
+                            }
+                            title="Move to folder"
+                          >
+                            <option value="">No folder</option>
+                            {folders.map((folder) => (
+                              <option key={folder.id} value={String(folder.id)}>
+                                📁 {folder.name}
+                              </option>
+                            ))}
+                          </select>
                           <button
                             className="reset-note-btn"
                             onClick={(e) => {
@@ -443,9 +1130,47 @@ export default function Dashboard({
                           </button>
                         </div>
                       </div>
+                      <div className="note-tags">
+                        {(note.tags || []).map((tag) => (
+                          <button
+                            key={tag}
+                            className={`note-tag ${
+                              filterTag === tag ? "active" : ""
+                            }`}
+                            onClick={() =>
+                              setFilterTag(filterTag === tag ? "" : tag)
+                            }
+                            title={`Show notes tagged #${tag}`}
+                          >
+                            #{tag}
+                          </button>
+                        ))}
+                        <button
+                          className="note-tag edit"
+                          onClick={() => handleEditTags(note)}
+                        >
+                          {note.tags?.length > 0 ? "✎ Tags" : "＋ Add tags"}
+                        </button>
+                      </div>
+                      {hit && (
+                        <p
+                          className="note-search-snippet"
+                          onClick={() => handleViewNote(note, hit.tab)}
+                          title={`Open ${hit.label}`}
+                        >
+                          <span className="snippet-field">{hit.label}</span>
+                          {hit.snippet.map((part, index) =>
+                            part.match ? (
+                              <mark key={index}>{part.text}</mark>
+                            ) : (
+                              <span key={index}>{part.text}</span>
+                            )
+                          )}
+                        </p>
+                      )}
                       <div
                         className="note-stats"
-                        onClick={() => handleViewNote(note)}
+                        onClick={() => handleViewNote(note, hit?.tab)}
                         style={{ cursor: "pointer" }}
                       >
                         <span>
@@ -493,8 +1218,7 @@ export default function Dashboard({
                                       : "negative"
                                   }`}
                                 >
-                                  {notePerf.score > 0 ? "+" : ""}
-                                  {notePerf.score}
+                                  {formatScore(notePerf.score)}
                                 </span>
                               </span>
                               <span className="perf-item">
@@ -513,8 +1237,10 @@ export default function Dashboard({
                           </div>
                         </div>
                       )}
-                      {note.sourceFile && (
-                        <p className="note-source">📎 {note.sourceFile}</p>
+                      {getSourceFiles(note).length > 0 && (
+                        <p className="note-source">
+                          📎 {getSourceFiles(note).join(", ")}
+                        </p>
                       )}
                     </div>
                   );
@@ -523,6 +1249,145 @@ export default function Dashboard({
             </div>
           )}
 
+          {/* Flashcard Deck Export */}
+          {subjects.length > 0 && (
+            <div className="deck-export-section">
+              <h3>🎴 Export Flashcards</h3>
+              <div className="deck-export-controls">
+                <select
+                  className="deck-export-select"
+                  value={exportSubject}
+                  onChange={(e) => setExportSubject(e.target.value)}
+                >
+                  <option value="">All subjects</option>
+                  {subjects.map((subject) => (
+                    <option key={subject} value={subject}>
+                      {subject}
+                    </option>
+                  ))}
+                </select>
+                {DECK_FORMATS.map((format) => (
+                  <button
+                    key={format.id}
+                    className="deck-export-btn"
+                    onClick={() => handleExportDeck(format.id)}
+                    disabled={exportingDeck}
+                  >
+                    {format.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Backup & Restore */}
+          <div className="backup-section">
+            <h3>💾 Backup & Restore</h3>
+            <div className="backup-controls">
+              <select
+                className="backup-select"
+                value={backupScope}
+                onChange={(e) => setBackupScope(e.target.value)}
+              >
+                <option value="user">This user</option>
+                <option value="all">All users</option>
+              </select>
+              <button className="backup-btn" onClick={handleDownloadBackup}>
+                Download Backup
+              </button>
+              <button
+                className="backup-btn"
+                onClick={() => backupInputRef.current?.click()}
+              >
+                Restore from File…
+              </button>
+              <input
+                ref={backupInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleBackupFile}
+                style={{ display: "none" }}
+              />
+            </div>
+
+            {pendingBackup && (
+              <div className="restore-preview">
+                <p className="restore-meta">
+                  {pendingBackup.fileName} · schema v
+                  {pendingBackup.backup.version}
+                  {pendingBackup.backup.exportedAt &&
+                    ` · exported ${formatDate(
+                      pendingBackup.backup.exportedAt
+                    )}`}
+                </p>
+
+                <div className="restore-options">
+                  {IMPORT_MODES.map((mode) => (
+                    <label key={mode.id} className="restore-option">
+                      <input
+                        type="radio"
+                        name="import-mode"
+                        value={mode.id}
+                        checked={importMode === mode.id}
+                        onChange={() => setImportMode(mode.id)}
+                      />
+                      <strong>{mode.label}</strong> – {mode.description}
+                    </label>
+                  ))}
+                  {importMode === "merge" && (
+                    <label className="restore-option">
+                      Notes changed in both:
+                      <select
+                        className="backup-select"
+                        value={conflictRule}
+                        onChange={(e) => setConflictRule(e.target.value)}
+                      >
+                        {CONFLICT_RULES.map((rule) => (
+                          <option key={rule.id} value={rule.id}>
+                            {rule.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                </div>
+
+                <ul className="restore-plan">
+                  {importPlans.map((plan, index) => (
+                    <li key={index}>
+                      <strong>
+                        {plan.source.profile?.name || "Unnamed user"}
+                      </strong>{" "}
+                      → {plan.target ? plan.target.name : "new user"}
+                      <span className="restore-counts">
+                        ➕ {plan.added.length} new · ✏️ {plan.updated.length}{" "}
+                        updated · {plan.unchanged.length} unchanged
+                        {importMode === "merge"
+                          ? ` · ${plan.skipped.length} conflicts keep yours · ${plan.localOnly.length} only here (kept)`
+                          : ` · 🗑️ ${plan.removed.length} removed`}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+
+                <div className="restore-actions">
+                  <button
+                    className="restore-confirm-btn"
+                    onClick={handleApplyRestore}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    className="backup-btn"
+                    onClick={() => setPendingBackup(null)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
           {/* Actions */}
           <div className="dashboard-actions">
             <button onClick={clearAllData} className="clear-data-btn">
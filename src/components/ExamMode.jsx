@@ -0,0 +1,778 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import {
+  getExamAttempts,
+  saveExamAttempt,
+  deleteExamAttempt,
+  getFolders,
+} from "../utils/storage";
+import {
+  formatScore,
+  toLetterList,
+  hasAnswer,
+  describeCorrectAnswer,
+  isOptionQuestion,
+} from "../utils/scoring";
+import {
+  EXAM_DEFAULTS,
+  buildExam,
+  markExam,
+  summarizeExam,
+  formatDuration,
+} from "../utils/exam";
+import { QUESTION_TYPE_LABELS } from "../services/schemas";
+import MarkdownContent from "./MarkdownContent";
+import "./OutputScreenModern.css";
+import "./ExamMode.css";
+
+const MAX_QUESTIONS = 100;
+const MAX_MINUTES = 300;
+
+/**
+ * A number setting as typed, kept between 1 and max (1 when empty)
+ */
+const clampSetting = (value, max) =>
+  Math.min(max, Math.max(1, Math.round(Number(value)) || 1));
+
+/**
+ * Timer as "mm:ss"
+ */
+function formatClock(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(
+    total % 60
+  ).padStart(2, "0")}`;
+}
+
+/**
+ * What the user answered, in words
+ */
+function describeAnswer(question, answer) {
+  if (!hasAnswer(answer)) return "Not answered";
+  if (question.type === "truefalse") return answer === "A" ? "True" : "False";
+  if (isOptionQuestion(question)) return toLetterList(answer).join(", ");
+  return String(answer);
+}
+
+function resultOf(item) {
+  if (item.answer === null) return "unanswered";
+  if (item.isCorrect) return "correct";
+  if (item.isPartial) return "partial";
+  return "incorrect";
+}
+
+/**
+ * Timed mock exam over questions from several notes
+ * @param {Array} notes - Every saved note of the user
+ * @param {Array} initialNoteIds - Notes ticked when the setup opens
+ * @param {Function} onExit - Leave exam mode
+ */
+function ExamMode({ notes, initialNoteIds = [], onExit }) {
+  const [phase, setPhase] = useState("setup"); // 'setup', 'running', 'marking', 'report'
+  const [selectedIds, setSelectedIds] = useState(() => new Set(initialNoteIds));
+  // Settings as typed, so a field can be cleared; clamped on blur and start
+  const [questionCount, setQuestionCount] = useState(
+    String(EXAM_DEFAULTS.questionCount)
+  );
+  const [timeLimit, setTimeLimit] = useState(String(EXAM_DEFAULTS.timeLimit));
+  const [shuffleChoices, setShuffleChoices] = useState(
+    EXAM_DEFAULTS.shuffleOptions
+  );
+  const [attempts, setAttempts] = useState(() => getExamAttempts());
+
+  // The running exam: { items, startedAt, deadline, timeLimit }
+  const [exam, setExam] = useState(null);
+  const [answers, setAnswers] = useState([]);
+  const [current, setCurrent] = useState(0);
+  const [remaining, setRemaining] = useState(0);
+  const [attempt, setAttempt] = useState(null);
+
+  // Seconds spent on each question, and since when the current one is shown
+  const timeSpentRef = useRef([]);
+  const shownAtRef = useRef(0);
+  const submittingRef = useRef(false);
+  // Marking failed: wait for the user to submit again instead of retrying
+  const [markingFailed, setMarkingFailed] = useState(false);
+  const markingControllerRef = useRef(null);
+
+  const examNotes = useMemo(
+    () => notes.filter((note) => note.questions?.length > 0),
+    [notes]
+  );
+  const subjects = [...new Set(examNotes.map((note) => note.subject))]
+    .filter(Boolean)
+    .sort();
+  const folders = getFolders().filter((folder) =>
+    examNotes.some((note) => note.folderId === folder.id)
+  );
+  const examQuestionCount = clampSetting(questionCount, MAX_QUESTIONS);
+  const examMinutes = clampSetting(timeLimit, MAX_MINUTES);
+  const availableQuestions = examNotes
+    .filter((note) => selectedIds.has(note.id))
+    .reduce((sum, note) => sum + note.questions.length, 0);
+
+  const toggleNote = (noteId) => {
+    const next = new Set(selectedIds);
+    if (next.has(noteId)) next.delete(noteId);
+    else next.add(noteId);
+    setSelectedIds(next);
+  };
+
+  const selectNotes = (test) => {
+    setSelectedIds(new Set(examNotes.filter(test).map((note) => note.id)));
+  };
+
+  // Count the time of the question being left
+  const recordTime = () => {
+    const seconds = (Date.now() - shownAtRef.current) / 1000;
+    timeSpentRef.current[current] =
+      (timeSpentRef.current[current] || 0) + seconds;
+    shownAtRef.current = Date.now();
+  };
+
+  const goTo = (index) => {
+    if (index === current) return;
+    recordTime();
+    setCurrent(index);
+  };
+
+  const handleStart = () => {
+    const items = buildExam(
+      examNotes.filter((note) => selectedIds.has(note.id)),
+      { questionCount: examQuestionCount, shuffleOptions: shuffleChoices }
+    );
+    if (items.length === 0) return;
+
+    const now = Date.now();
+    timeSpentRef.current = [];
+    shownAtRef.current = now;
+    submittingRef.current = false;
+    setMarkingFailed(false);
+    setExam({
+      items,
+      startedAt: new Date(now).toISOString(),
+      deadline: now + examMinutes * 60000,
+      timeLimit: examMinutes,
+    });
+    setAnswers([]);
+    setCurrent(0);
+    setRemaining(examMinutes * 60);
+    setPhase("running");
+  };
+
+  const submitExam = async (autoSubmitted = false) => {
+    if (submittingRef.current) return;
+    submittingRef.current = true;
+    recordTime();
+    setPhase("marking");
+
+    // Leaving exam mode stops the grading; the attempt isn't saved
+    const controller = new AbortController();
+    markingControllerRef.current = controller;
+    let questions;
+    let score;
+    let maxScore;
+    try {
+      const marked = await markExam(exam.items, answers, {
+        signal: controller.signal,
+      });
+      questions = marked.map((item, index) => ({
+        ...item,
+        timeSpent: Math.round(timeSpentRef.current[index] || 0),
+      }));
+      ({ score, maxScore } = summarizeExam(questions));
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      // Back to the exam with the answers kept, so it can be submitted again
+      console.error("Error marking exam:", error);
+      submittingRef.current = false;
+      setMarkingFailed(true);
+      setPhase("running");
+      alert(
+        `Could not mark the exam: ${
+          error.message || "unknown error"
+        }. Your answers are kept - submit again to retry.`
+      );
+      return;
+    } finally {
+      markingControllerRef.current = null;
+    }
+    const submittedAt = new Date();
+
+    let saved = {
+      createdAt: exam.startedAt,
+      submittedAt: submittedAt.toISOString(),
+      timeLimit: exam.timeLimit,
+      timeUsed: Math.min(
+        exam.timeLimit * 60,
+        Math.round((submittedAt - new Date(exam.startedAt)) / 1000)
+      ),
+      autoSubmitted,
+      noteIds: [...new Set(questions.map((item) => item.noteId))],
+      noteTitles: [...new Set(questions.map((item) => item.noteTitle))],
+      questions,
+      score,
+      maxScore,
+    };
+    try {
+      saved = saveExamAttempt(saved);
+      setAttempts(getExamAttempts());
+    } catch (error) {
+      console.error("Error saving exam attempt:", error);
+    }
+
+    setAttempt(saved);
+    setExam(null);
+    setPhase("report");
+  };
+
+  const handleSubmit = () => {
+    const unanswered = exam.items.filter((_, i) => !hasAnswer(answers[i]));
+    if (
+      unanswered.length > 0 &&
+      !window.confirm(
+        `${unanswered.length} question${
+          unanswered.length === 1 ? " is" : "s are"
+        } unanswered. Submit anyway?`
+      )
+    ) {
+      return;
+    }
+    submitExam(false);
+  };
+
+  // Stop marking when leaving exam mode
+  useEffect(() => () => markingControllerRef.current?.abort(), []);
+
+  // Count down, and hand the exam in when time runs out
+  useEffect(() => {
+    if (phase !== "running") return undefined;
+    const timer = setInterval(() => {
+      setRemaining((exam.deadline - Date.now()) / 1000);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [phase, exam]);
+
+  useEffect(() => {
+    if (phase === "running" && remaining <= 0 && !markingFailed) {
+      submitExam(true);
+    }
+  }, [phase, remaining, markingFailed]);
+
+  const handleExit = () => {
+    if (
+      phase === "running" &&
+      !window.confirm("Leave the exam? This attempt won't be saved.")
+    ) {
+      return;
+    }
+    onExit();
+  };
+
+  const handleDeleteAttempt = (attemptId) => {
+    if (window.confirm("Delete this exam attempt?")) {
+      deleteExamAttempt(attemptId);
+      setAttempts(getExamAttempts());
+    }
+  };
+
+  const setAnswer = (value) => {
+    const next = [...answers];
+    next[current] = value;
+    setAnswers(next);
+  };
+
+  const handleOptionClick = (question, letter) => {
+    if (question.type === "msq") {
+      const selected = toLetterList(answers[current]);
+      setAnswer(
+        selected.includes(letter)
+          ? selected.filter((l) => l !== letter)
+          : [...selected, letter].sort()
+      );
+    } else {
+      setAnswer(letter);
+    }
+  };
+
+  const renderSetup = () => (
+    <div className="exam-setup">
+      {examNotes.length === 0 ? (
+        <div className="exam-panel">
+          <p className="exam-muted">
+            None of your notes have practice questions yet. Generate some notes
+            first, then come back for a mock exam.
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="exam-panel">
+            <div className="exam-panel-header">
+              <h3>Notes</h3>
+              <span className="exam-muted">
+                {selectedIds.size} selected · {availableQuestions} questions
+              </span>
+            </div>
+            <div className="exam-quick-select">
+              <button
+                className="exam-chip"
+                onClick={() => selectNotes(() => true)}
+              >
+                All
+              </button>
+              <button
+                className="exam-chip"
+                onClick={() => selectNotes(() => false)}
+              >
+                None
+              </button>
+              {subjects.map((subject) => (
+                <button
+                  key={subject}
+                  className="exam-chip"
+                  onClick={() =>
+                    selectNotes((note) => note.subject === subject)
+                  }
+                >
+                  {subject}
+                </button>
+              ))}
+              {folders.map((folder) => (
+                <button
+                  key={folder.id}
+                  className="exam-chip"
+                  style={{ borderColor: folder.color }}
+                  onClick={() =>
+                    selectNotes((note) => note.folderId === folder.id)
+                  }
+                >
+                  📁 {folder.name}
+                </button>
+              ))}
+            </div>
+            <div className="exam-note-list">
+              {examNotes.map((note) => (
+                <label key={note.id} className="exam-note">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.has(note.id)}
+                    onChange={() => toggleNote(note.id)}
+                  />
+                  <span className="exam-note-title">{note.title}</span>
+                  <span className="exam-muted">
+                    {note.subject || "General"} · {note.questions.length}{" "}
+                    questions
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="exam-panel exam-settings">
+            <label>
+              Questions
+              <input
+                type="number"
+                min="1"
+                max={MAX_QUESTIONS}
+                value={questionCount}
+                onChange={(e) => setQuestionCount(e.target.value)}
+                onBlur={() => setQuestionCount(String(examQuestionCount))}
+              />
+            </label>
+            <label>
+              Time limit (minutes)
+              <input
+                type="number"
+                min="1"
+                max={MAX_MINUTES}
+                value={timeLimit}
+                onChange={(e) => setTimeLimit(e.target.value)}
+                onBlur={() => setTimeLimit(String(examMinutes))}
+              />
+            </label>
+            <label className="exam-toggle">
+              <input
+                type="checkbox"
+                checked={shuffleChoices}
+                onChange={(e) => setShuffleChoices(e.target.checked)}
+              />
+              Shuffle answer options
+            </label>
+            <button
+              className="start-review-btn"
+              disabled={availableQuestions === 0}
+              onClick={handleStart}
+            >
+              Start Exam ({Math.min(examQuestionCount, availableQuestions)}{" "}
+              questions)
+            </button>
+          </div>
+          {availableQuestions > 0 && availableQuestions < examQuestionCount && (
+            <p className="exam-muted">
+              The selected notes only have {availableQuestions} questions, so
+              the exam will use all of them.
+            </p>
+          )}
+        </>
+      )}
+
+      {attempts.length > 0 && (
+        <div className="exam-panel">
+          <h3>Previous attempts</h3>
+          <div className="exam-attempts">
+            {attempts.map((past) => (
+              <div key={past.id} className="exam-attempt">
+                <div className="exam-attempt-info">
+                  <strong>{summarizeExam(past.questions).percentage}%</strong>
+                  <span>
+                    {new Date(past.createdAt).toLocaleString()} ·{" "}
+                    {past.questions.length} questions
+                  </span>
+                  <span className="exam-muted">
+                    {past.noteTitles.join(", ")}
+                  </span>
+                </div>
+                <button
+                  className="exam-chip"
+                  onClick={() => {
+                    setAttempt(past);
+                    setPhase("report");
+                  }}
+                >
+                  View report
+                </button>
+                <button
+                  className="exam-chip danger"
+                  onClick={() => handleDeleteAttempt(past.id)}
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  const renderQuestion = () => {
+    const item = exam.items[current];
+    const { question } = item;
+    const answer = answers[current];
+    const selectedLetters = toLetterList(answer);
+
+    return (
+      <div className="question-card">
+        <div className="question-header">
+          <div className="question-number">{current + 1}</div>
+          <span className="question-type">
+            {QUESTION_TYPE_LABELS[question.type] || question.type.toUpperCase()}
+          </span>
+          <span className="exam-muted">{item.noteTitle}</span>
+        </div>
+
+        <div className="question-text">
+          <MarkdownContent inline>{question.question}</MarkdownContent>
+        </div>
+        {question.type === "msq" && (
+          <p className="question-hint">
+            Select all that apply - wrong picks cost marks
+          </p>
+        )}
+
+        {isOptionQuestion(question) && question.options && (
+          <div className="options-list">
+            {question.options.map((option, oIndex) => {
+              const letter =
+                option.match(/^([A-H])/)?.[1] ||
+                String.fromCharCode(65 + oIndex);
+              return (
+                <div
+                  key={oIndex}
+                  className={`option ${
+                    selectedLetters.includes(letter) ? "selected" : ""
+                  }`}
+                  onClick={() => handleOptionClick(question, letter)}
+                >
+                  <MarkdownContent inline>{option}</MarkdownContent>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {(question.type === "fillblank" || question.type === "numeric") && (
+          <div className="typed-answer-row">
+            <input
+              type="text"
+              inputMode={question.type === "numeric" ? "decimal" : "text"}
+              className="typed-answer-input"
+              placeholder={
+                question.type === "numeric"
+                  ? "Enter a number"
+                  : "Fill in the blank"
+              }
+              value={answer || ""}
+              onChange={(e) => setAnswer(e.target.value)}
+            />
+            {question.type === "numeric" && question.unit && (
+              <span className="typed-answer-unit">{question.unit}</span>
+            )}
+          </div>
+        )}
+
+        {question.type === "short" && (
+          <textarea
+            className="typed-answer-textarea"
+            placeholder="Write your answer in 1-3 sentences"
+            value={answer || ""}
+            onChange={(e) => setAnswer(e.target.value)}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderRunning = () => (
+    <div className="exam-running">
+      <div className="exam-status">
+        <span>
+          Question {current + 1} of {exam.items.length} ·{" "}
+          {exam.items.filter((_, i) => hasAnswer(answers[i])).length} answered
+        </span>
+        <span className={`exam-timer ${remaining <= 60 ? "warning" : ""}`}>
+          ⏱ {formatClock(remaining)}
+        </span>
+      </div>
+
+      <div className="exam-navigator">
+        {exam.items.map((_, index) => (
+          <button
+            key={index}
+            className={`exam-nav-btn ${index === current ? "current" : ""} ${
+              hasAnswer(answers[index]) ? "answered" : ""
+            }`}
+            onClick={() => goTo(index)}
+          >
+            {index + 1}
+          </button>
+        ))}
+      </div>
+
+      {renderQuestion()}
+
+      <div className="exam-controls">
+        <button
+          className="exam-chip"
+          disabled={current === 0}
+          onClick={() => goTo(current - 1)}
+        >
+          ← Previous
+        </button>
+        {current < exam.items.length - 1 ? (
+          <button className="exam-chip" onClick={() => goTo(current + 1)}>
+            Next →
+          </button>
+        ) : (
+          <span />
+        )}
+        <button className="start-review-btn" onClick={handleSubmit}>
+          Submit Exam
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderReport = () => {
+    const summary = summarizeExam(attempt.questions);
+    const longest = Math.max(
+      1,
+      ...attempt.questions.map((item) => item.timeSpent || 0)
+    );
+
+    return (
+      <div className="exam-report">
+        <div className="exam-panel exam-summary">
+          <div className="exam-summary-score">
+            <span className="exam-percentage">{summary.percentage}%</span>
+            <span>
+              {formatScore(summary.score)} / {summary.maxScore} marks
+            </span>
+          </div>
+          <div className="exam-summary-counts">
+            <span className="correct">✓ {summary.correct} correct</span>
+            {summary.partial > 0 && (
+              <span className="partial">◐ {summary.partial} partial</span>
+            )}
+            <span className="incorrect">✗ {summary.incorrect} incorrect</span>
+            <span>○ {summary.unanswered} unanswered</span>
+          </div>
+          <div className="exam-muted">
+            {formatDuration(attempt.timeUsed)} of {attempt.timeLimit} min
+            {attempt.autoSubmitted && " · handed in when time ran out"}
+            <br />
+            {attempt.noteTitles.join(", ")}
+          </div>
+        </div>
+
+        <div className="exam-panel">
+          <h3>By topic</h3>
+          <table className="exam-topics">
+            <thead>
+              <tr>
+                <th>Topic</th>
+                <th>Questions</th>
+                <th>Marks</th>
+                <th>Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.topics.map((topic) => (
+                <tr key={`${topic.noteTitle}:${topic.topic}`}>
+                  <td>
+                    {topic.topic}
+                    {topic.topic !== topic.noteTitle && (
+                      <span className="exam-muted"> · {topic.noteTitle}</span>
+                    )}
+                  </td>
+                  <td>{topic.count}</td>
+                  <td>{formatScore(topic.score)}</td>
+                  <td>
+                    <div className="exam-bar">
+                      <div
+                        className="exam-bar-fill"
+                        style={{ width: `${topic.percentage}%` }}
+                      />
+                    </div>
+                    {topic.percentage}%
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="exam-panel">
+          <h3>Time per question</h3>
+          <div className="exam-times">
+            {attempt.questions.map((item, index) => (
+              <div key={index} className="exam-time">
+                <span className="exam-time-label">Q{index + 1}</span>
+                <div className="exam-bar">
+                  <div
+                    className={`exam-bar-fill ${resultOf(item)}`}
+                    style={{
+                      width: `${((item.timeSpent || 0) / longest) * 100}%`,
+                    }}
+                  />
+                </div>
+                <span className="exam-time-value">
+                  {formatDuration(item.timeSpent)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="exam-panel">
+          <h3>Answers</h3>
+          <div className="exam-review">
+            {attempt.questions.map((item, index) => (
+              <div key={index} className={`exam-review-item ${resultOf(item)}`}>
+                <div className="exam-review-header">
+                  <strong>Q{index + 1}</strong>
+                  <span className="exam-muted">
+                    {item.noteTitle} · {item.topic}
+                  </span>
+                  <span className="exam-review-score">
+                    {formatScore(item.score)}
+                  </span>
+                </div>
+                <div className="question-text">
+                  <MarkdownContent inline>
+                    {item.question.question}
+                  </MarkdownContent>
+                </div>
+                {isOptionQuestion(item.question) && item.question.options && (
+                  <ul className="exam-review-options">
+                    {item.question.options.map((option) => (
+                      <li key={option}>
+                        <MarkdownContent inline>{option}</MarkdownContent>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <p>
+                  <strong>Your answer:</strong>{" "}
+                  {describeAnswer(item.question, item.answer)}
+                </p>
+                <div className="correct-answer">
+                  ✓{" "}
+                  {item.question.type === "short"
+                    ? "Model Answer"
+                    : "Correct Answer"}
+                  :{" "}
+                  <MarkdownContent inline>
+                    {describeCorrectAnswer(item.question)}
+                  </MarkdownContent>
+                </div>
+                {item.feedback && (
+                  <div className="explanation">
+                    <strong>Feedback:</strong>{" "}
+                    <MarkdownContent inline>{item.feedback}</MarkdownContent>
+                  </div>
+                )}
+                {item.question.explanation && (
+                  <div className="explanation">
+                    <strong>Explanation:</strong>{" "}
+                    <MarkdownContent inline>
+                      {item.question.explanation}
+                    </MarkdownContent>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="exam-controls">
+          <button className="exam-chip" onClick={() => setPhase("setup")}>
+            New exam
+          </button>
+          <button className="start-review-btn" onClick={onExit}>
+            Back to dashboard
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="exam-screen fade-in">
+      <div className="exam-header">
+        <div>
+          <h1>📝 Exam Mode</h1>
+          <p>
+            {phase === "report"
+              ? "Results of the mock exam"
+              : "A timed mock test mixing questions from your notes. Answers are marked when you submit."}
+          </p>
+        </div>
+        <button className="review-exit-btn" onClick={handleExit}>
+          {phase === "running" ? "Leave exam" : "Exit"}
+        </button>
+      </div>
+
+      {phase === "setup" && renderSetup()}
+      {phase === "running" && renderRunning()}
+      {phase === "marking" && (
+        <div className="exam-panel">
+          <p className="exam-muted">Marking your answers…</p>
+        </div>
+      )}
+      {phase === "report" && renderReport()}
+    </div>
+  );
+}
+
+export default ExamMode;
@@ -0,0 +1,59 @@
+import React, { useState } from "react";
+import { normalizeFlashcard, validateFlashcard } from "../services/schemas";
+import "./ItemEditor.css";
+
+/**
+ * Form for writing or changing one flashcard by hand
+ * @param {Object} card - The card to edit, or null for a new one
+ * @param {Function} onSave - Receives the cleaned-up card
+ */
+function FlashcardEditor({ card, onSave, onCancel }) {
+  const [draft, setDraft] = useState({
+    question: card?.question || "",
+    answer: card?.answer || "",
+  });
+  const [errors, setErrors] = useState([]);
+
+  const handleSave = () => {
+    const edited = normalizeFlashcard({ ...card, ...draft });
+    const problems = validateFlashcard(edited);
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    onSave(edited);
+  };
+
+  return (
+    <div className="item-editor">
+      <label className="item-editor-field">
+        <span>Question</span>
+        <textarea
+          value={draft.question}
+          autoFocus
+          onChange={(e) => setDraft({ ...draft, question: e.target.value })}
+        />
+      </label>
+      <label className="item-editor-field">
+        <span>Answer</span>
+        <textarea
+          value={draft.answer}
+          onChange={(e) => setDraft({ ...draft, answer: e.target.value })}
+        />
+      </label>
+      {errors.length > 0 && (
+        <p className="item-editor-errors">Please fix: {errors.join("; ")}</p>
+      )}
+      <div className="item-editor-actions">
+        <button className="action-btn action-btn-outline" onClick={onCancel}>
+          Cancel
+        </button>
+        <button className="action-btn action-btn-gradient" onClick={handleSave}>
+          Save card
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default FlashcardEditor;
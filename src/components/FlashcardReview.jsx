@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from "react";
+import { saveCardReview } from "../utils/storage";
+import {
+  RATINGS,
+  scheduleReview,
+  previewIntervals,
+  formatInterval,
+} from "../utils/spacedRepetition";
+import MarkdownContent from "./MarkdownContent";
+import "./FlashcardReview.css";
+
+/**
+ * Spaced-repetition review session
+ * Shows one card at a time; the user reveals the answer and grades their
+ * recall (Again/Hard/Good/Easy), which reschedules the card. Cards graded
+ * "Again" come back at the end of the session.
+ *
+ * @param {Array} cards - { noteId, noteTitle, cardIndex, card, review }
+ * @param {Function} onExit - Called when the user leaves the session
+ * @param {boolean} showNoteTitle - Label each card with its note (cross-note queue)
+ */
+function FlashcardReview({ cards, onExit, showNoteTitle = false }) {
+  const [queue, setQueue] = useState(cards);
+  const [position, setPosition] = useState(0);
+  const [revealed, setRevealed] = useState(false);
+  const [ratingCounts, setRatingCounts] = useState({});
+
+  const current = queue[position];
+  const finished = position >= queue.length;
+  const intervals = current ? previewIntervals(current.review) : {};
+
+  const handleRate = (rating) => {
+    if (!current || !revealed) return;
+
+    const review = scheduleReview(current.review, rating);
+    saveCardReview(current.noteId, current.cardIndex, review);
+
+    setQueue((prev) =>
+      rating === "again" ? [...prev, { ...current, review }] : prev
+    );
+    setRatingCounts((prev) => ({ ...prev, [rating]: (prev[rating] || 0) + 1 }));
+    setPosition((prev) => prev + 1);
+    setRevealed(false);
+  };
+
+  // Keyboard shortcuts: Space/Enter reveals, 1-4 grades
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (finished) return;
+      if (!revealed && (e.key === " " || e.key === "Enter")) {
+        e.preventDefault();
+        setRevealed(true);
+        return;
+      }
+      const rating = RATINGS[parseInt(e.key, 10) - 1];
+      if (revealed && rating) {
+        handleRate(rating.id);
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
+  if (finished) {
+    const reviewed = Object.values(ratingCounts).reduce((a, b) => a + b, 0);
+    return (
+      <div className="review-session">
+        <div className="review-done">
+          <div className="review-done-icon">🎉</div>
+          <h3>Review complete</h3>
+          <p>
+            {reviewed} review{reviewed === 1 ? "" : "s"} across {cards.length}{" "}
+            card{cards.length === 1 ? "" : "s"}
+          </p>
+          <div className="review-done-counts">
+            {RATINGS.map((r) => (
+              <span key={r.id} style={{ color: r.color }}>
+                {r.label}: {ratingCounts[r.id] || 0}
+              </span>
+            ))}
+          </div>
+          <button className="review-primary-btn" onClick={onExit}>
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="review-session">
+      <div className="review-progress">
+        <span>
+          Card {position + 1} of {queue.length}
+        </span>
+        <button className="review-exit-btn" onClick={onExit}>
+          End review
+        </button>
+      </div>
+      <div className="review-progress-bar">
+        <div
+          className="review-progress-fill"
+          style={{ width: `${(position / queue.length) * 100}%` }}
+        />
+      </div>
+
+      <div className="review-card">
+        {showNoteTitle && (
+          <div className="review-card-note">
+            📚 {current.noteTitle}
+            {current.subject ? ` · ${current.subject}` : ""}
+          </div>
+        )}
+        <div className="review-card-label">Question</div>
+        <MarkdownContent className="review-card-text">
+          {current.card.question}
+        </MarkdownContent>
+        {revealed && (
+          <>
+            <div className="review-divider" />
+            <div className="review-card-label">Answer</div>
+            <MarkdownContent className="review-card-text">
+              {current.card.answer}
+            </MarkdownContent>
+          </>
+        )}
+      </div>
+
+      {!revealed ? (
+        <button
+          className="review-primary-btn"
+          onClick={() => setRevealed(true)}
+        >
+          Show Answer
+        </button>
+      ) : (
+        <div className="review-ratings">
+          {RATINGS.map((r, i) => (
+            <button
+              key={r.id}
+              className="review-rating-btn"
+              style={{ borderColor: r.color, color: r.color }}
+              onClick={() => handleRate(r.id)}
+              title={`Press ${i + 1}`}
+            >
+              <span className="review-rating-label">{r.label}</span>
+              <span className="review-rating-interval">
+                {formatInterval(intervals[r.id])}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FlashcardReview;
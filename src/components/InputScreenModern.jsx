@@ -1,17 +1,51 @@
-import React, { useState, useRef } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { extractTextFromFile } from "../utils/textProcessing";
+import { combineDocuments } from "../utils/sources";
+import {
+  FILE_FORMATS,
+  ACCEPTED_EXTENSIONS,
+  detectFormat,
+} from "../utils/fileFormats";
+import {
+  getSettings,
+  saveSettings,
+  getFolders,
+  saveFolder,
+  getCustomSubjects,
+  saveCustomSubject,
+  deleteCustomSubject,
+} from "../utils/storage";
+import {
+  SUBJECT_ICONS,
+  LIBRARY_COLORS,
+  allSubjects,
+  parseTags,
+} from "../utils/library";
+import { SUPPORTED_LANGUAGES } from "../services/aiService";
 import "./InputScreenModern.css";
 
-const SUBJECTS = [
-  { id: "cs", name: "Computer Science", icon: "💻", color: "#3b82f6" },
-  { id: "math", name: "Mathematics", icon: "📐", color: "#8b5cf6" },
-  { id: "physics", name: "Physics", icon: "⚛️", color: "#06b6d4" },
-  { id: "chemistry", name: "Chemistry", icon: "🧪", color: "#10b981" },
-  { id: "biology", name: "Biology", icon: "🧬", color: "#f59e0b" },
-  { id: "history", name: "History", icon: "📜", color: "#ef4444" },
-  { id: "economics", name: "Economics", icon: "💰", color: "#ec4899" },
-  { id: "literature", name: "Literature", icon: "📚", color: "#6366f1" },
-  { id: "other", name: "Other", icon: "📖", color: "#64748b" },
+// Select value that asks for a new folder's name
+const NEW_FOLDER = "new";
+
+const DEPTHS = [
+  {
+    id: "brief",
+    name: "Brief",
+    icon: "⚡",
+    description: "Core ideas only, fewer cards",
+  },
+  {
+    id: "medium",
+    name: "Medium",
+    icon: "📘",
+    description: "Balanced notes for regular study",
+  },
+  {
+    id: "exhaustive",
+    name: "Exhaustive",
+    icon: "🔬",
+    description: "Every detail, derivation and example",
+  },
 ];
 
 function InputScreenModern({
@@ -22,39 +56,131 @@ function InputScreenModern({
 }) {
   const [title, setTitle] = useState("");
   const [subject, setSubject] = useState("");
+  const [customSubjects, setCustomSubjects] = useState(getCustomSubjects);
+  const [newSubject, setNewSubject] = useState(null); // { name, icon, color }
+  const [folders, setFolders] = useState(getFolders);
+  const [folderId, setFolderId] = useState("");
+  const [tagsText, setTagsText] = useState("");
   const [inputText, setInputText] = useState("");
-  const [file, setFile] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [pageRanges, setPageRanges] = useState({});
   const [dragOver, setDragOver] = useState(false);
   const [error, setError] = useState("");
+  const [extractionStatus, setExtractionStatus] = useState("");
   const [activeTab, setActiveTab] = useState("upload");
-  const fileInputRef = useRef(null);
+  const [depth, setDepth] = useState(
+    () => getSettings().defaultDepth || "medium"
+  );
+  const [language, setLanguage] = useState(
+    () => getSettings().preferredLanguage || "english"
+  );
+  const [bilingual, setBilingual] = useState(
+    () => getSettings().bilingualOutput || false
+  );
 
-  const handleFileChange = async (selectedFile) => {
-    if (!selectedFile) return;
+  // Folders and subjects belong to the user
+  useEffect(() => {
+    setCustomSubjects(getCustomSubjects());
+    setFolders(getFolders());
+    setSubject("");
+    setFolderId("");
+  }, [currentUser?.id]);
+
+  const subjects = allSubjects(customSubjects);
+
+  const handleAddSubject = () => {
+    const name = newSubject.name.trim();
+    if (!name) return;
+    if (subjects.some((s) => s.name.toLowerCase() === name.toLowerCase())) {
+      setError(`There is already a subject called "${name}".`);
+      return;
+    }
+    const saved = saveCustomSubject({ ...newSubject, name });
+    setCustomSubjects(getCustomSubjects());
+    setSubject(saved.id);
+    setNewSubject(null);
     setError("");
-    const validTypes = [
-      "text/plain",
-      "application/pdf",
-      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-    ];
-    if (!validTypes.includes(selectedFile.type)) {
-      setError("Please upload a TXT, PDF, or DOCX file.");
+  };
+
+  const handleDeleteSubject = (subj) => {
+    if (
+      window.confirm(
+        `Remove the subject "${subj.name}"? Notes already saved with it keep it.`
+      )
+    ) {
+      deleteCustomSubject(subj.id);
+      setCustomSubjects(getCustomSubjects());
+      if (subject === subj.id) setSubject("");
+    }
+  };
+
+  const handleFolderChange = (value) => {
+    if (value !== NEW_FOLDER) {
+      setFolderId(value);
       return;
     }
-    setFile(selectedFile);
-    setInputText("");
+    const name = window.prompt("Name of the new folder (e.g. a course):");
+    if (!name?.trim()) return;
+    const folder = saveFolder({
+      name,
+      color: LIBRARY_COLORS[folders.length % LIBRARY_COLORS.length],
+    });
+    setFolders(getFolders());
+    setFolderId(String(folder.id));
+  };
+
+  // Language choices are remembered as the user's preference
+  const updateLanguageSettings = (changes) => {
+    saveSettings({ ...getSettings(), ...changes });
+  };
+  const fileInputRef = useRef(null);
+
+  // Several files (and typed notes) are combined into one note set
+  const handleFileChange = (selectedFiles) => {
+    const added = Array.from(selectedFiles || []);
+    if (added.length === 0) return;
+    setError("");
+
+    const unsupported = added.filter((f) => !detectFormat(f));
+    if (unsupported.length > 0) {
+      const names = unsupported.map((f) => f.name).join(", ");
+      const formats = FILE_FORMATS.map((format) => format.label).join(", ");
+      setError(`Unsupported file: ${names}. Please upload a ${formats} file.`);
+    }
+
+    setFiles((prev) => [
+      ...prev,
+      ...added.filter(
+        (f) =>
+          detectFormat(f) &&
+          !prev.some((p) => p.name === f.name && p.size === f.size)
+      ),
+    ]);
+  };
+
+  const handleRemoveFile = (index) => {
+    setFiles((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  // Page ranges let a single chapter of a long PDF be imported
+  const fileKey = (file) => `${file.name}-${file.size}`;
+
+  const handlePageRangeChange = (file, field, value) => {
+    setPageRanges((prev) => ({
+      ...prev,
+      [fileKey(file)]: { ...prev[fileKey(file)], [field]: value },
+    }));
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setDragOver(false);
-    const droppedFile = e.dataTransfer.files[0];
-    if (droppedFile) handleFileChange(droppedFile);
+    handleFileChange(e.dataTransfer.files);
   };
 
   const handleSubmit = async () => {
     setError("");
-    if (!inputText && !file) {
+    if (!inputText.trim() && files.length === 0) {
       setError("Please upload a file or paste some text");
       return;
     }
@@ -62,20 +188,66 @@ function InputScreenModern({
       setError("Please select a subject");
       return;
     }
+    const invalidRange = files.find((file) => {
+      const { from, to } = pageRanges[fileKey(file)] || {};
+      return from && to && Number(from) > Number(to);
+    });
+    if (invalidRange) {
+      setError(
+        `The page range for ${invalidRange.name} ends before it starts.`
+      );
+      return;
+    }
     try {
-      let extractedText = file ? await extractTextFromFile(file) : inputText;
-      if (!extractedText || extractedText.trim().length === 0) {
-        setError("No text found. Please check your file or input.");
-        return;
+      const documents = [];
+      for (const [index, file] of files.entries()) {
+        const fileLabel =
+          files.length > 1
+            ? `${file.name} (${index + 1}/${files.length}): `
+            : "";
+        // Scanned pages and images go through OCR, which can take a while
+        const { text, ocrPages, pageOffset } = await extractTextFromFile(file, {
+          pageRange: pageRanges[fileKey(file)],
+          onProgress: ({ page, totalPages, ocr, ocrProgress }) =>
+            setExtractionStatus(
+              fileLabel +
+                (ocr
+                  ? `Running OCR on page ${page} of ${totalPages} (${Math.round(
+                      (ocrProgress || 0) * 100
+                    )}%)...`
+                  : `Reading page ${page} of ${totalPages}...`)
+            ),
+        });
+        if (!text || text.trim().length === 0) {
+          setError(`No text found in ${file.name}.`);
+          return;
+        }
+        documents.push({ name: file.name, text, ocrPages, pageOffset });
+      }
+      if (inputText.trim()) {
+        documents.push({ name: "Typed notes", text: inputText, ocrPages: [] });
       }
+
+      const { text, ocrPages, sources } = combineDocuments(documents);
+      const subjectName = subjects.find((s) => s.id === subject)?.name;
       onGenerate({
-        title: title || `${SUBJECTS.find((s) => s.id === subject)?.name} Notes`,
-        subject: SUBJECTS.find((s) => s.id === subject)?.name,
-        inputText: extractedText,
-        sourceFile: file ? file.name : null,
+        title: title || `${subjectName} Notes`,
+        subject: subjectName,
+        folderId:
+          folders.find((folder) => String(folder.id) === folderId)?.id ?? null,
+        tags: parseTags(tagsText),
+        inputText: text,
+        depth,
+        language,
+        bilingual: language !== "english" && bilingual,
+        sourceFile: files.length > 0 ? files.map((f) => f.name) : null,
+        sources,
+        ocrPages,
       });
     } catch (err) {
       setError(err.message || "Failed to process file. Please try again.");
+    } finally {
+      setExtractionStatus("");
     }
   };
 
@@ -144,7 +316,7 @@ function InputScreenModern({
           {activeTab === "upload" ? (
             <div
               className={`upload-zone ${dragOver ? "drag-over" : ""} ${
-                file ? "has-file" : ""
+                files.length > 0 ? "has-file" : ""
               }`}
               onDrop={handleDrop}
               onDragOver={(e) => {
@@ -152,42 +324,109 @@ function InputScreenModern({
                 setDragOver(true);
               }}
               onDragLeave={() => setDragOver(false)}
-              onClick={() => !file && fileInputRef.current?.click()}
+              onClick={() =>
+                files.length === 0 && fileInputRef.current?.click()
+              }
             >
               <input
                 ref={fileInputRef}
                 type="file"
-                accept=".txt,.pdf,.docx"
-                onChange={(e) => handleFileChange(e.target.files?.[0])}
+                multiple
+                accept={ACCEPTED_EXTENSIONS}
+                onChange={(e) => {
+                  handleFileChange(e.target.files);
+                  // Allow picking the same file again after removing it
+                  e.target.value = "";
+                }}
                 style={{ display: "none" }}
               />
-              {!file ? (
+              {files.length === 0 ? (
                 <>
                   <div className="upload-icon">📤</div>
-                  <h3>Drop your file here</h3>
-                  <p>or click to browse</p>
+                  <h3>Drop your files here</h3>
+                  <p>
+                    or click to browse - several files are combined into one set
+                    of notes
+                  </p>
                   <div className="file-formats">
-                    <span className="format-badge">PDF</span>
-                    <span className="format-badge">DOCX</span>
-                    <span className="format-badge">TXT</span>
+                    {FILE_FORMATS.map((format) => (
+                      <span key={format.id} className="format-badge">
+                        {format.label}
+                      </span>
+                    ))}
                   </div>
                 </>
               ) : (
-                <div className="file-preview">
-                  <div className="file-icon"></div>
-                  <div className="file-info">
-                    <h4>{file.name}</h4>
-                    <p>{(file.size / 1024).toFixed(2)} KB</p>
-                  </div>
+                <div className="file-list">
+                  {files.map((file, index) => (
+                    <div key={fileKey(file)} className="file-preview">
+                      <div className="file-icon"></div>
+                      <div className="file-info">
+                        <h4>{file.name}</h4>
+                        <p>{(file.size / 1024).toFixed(2)} KB</p>
+                        {detectFormat(file)?.id === "pdf" && (
+                          <div
+                            className="page-range"
+                            onClick={(e) => e.stopPropagation()}
+                          >
+                            <span>Pages</span>
+                            <input
+                              type="number"
+                              min="1"
+                              placeholder="1"
+                              aria-label={`First page of ${file.name}`}
+                              value={pageRanges[fileKey(file)]?.from || ""}
+                              onChange={(e) =>
+                                handlePageRangeChange(
+                                  file,
+                                  "from",
+                                  e.target.value
+                                )
+                              }
+                            />
+                            <span>to</span>
+                            <input
+                              type="number"
+                              min="1"
+                              placeholder="end"
+                              aria-label={`Last page of ${file.name}`}
+                              value={pageRanges[fileKey(file)]?.to || ""}
+                              onChange={(e) =>
+                                handlePageRangeChange(
+                                  file,
+                                  "to",
+                                  e.target.value
+                                )
+                              }
+                            />
+                          </div>
+                        )}
+                      </div>
+                      <button
+                        className="remove-file-btn"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleRemoveFile(index);
+                        }}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
                   <button
-                    className="remove-file-btn"
+                    className="add-file-btn"
                     onClick={(e) => {
                       e.stopPropagation();
-                      setFile(null);
+                      fileInputRef.current?.click();
                     }}
                   >
-                    ✕
+                    + Add more files
                   </button>
+                  {inputText.trim() && (
+                    <p className="file-list-hint">
+                      Your typed notes from "Paste Text" are included too
+                    </p>
+                  )}
                 </div>
               )}
             </div>
@@ -200,6 +439,12 @@ function InputScreenModern({
                 className="modern-textarea"
               />
               <div className="textarea-footer">
+                {files.length > 0 && (
+                  <span className="char-count">
+                    Combined with {files.length} uploaded file
+                    {files.length === 1 ? "" : "s"} ·{" "}
+                  </span>
+                )}
                 <span className="char-count">
                   {inputText.length} characters
                 </span>
@@ -224,7 +469,7 @@ function InputScreenModern({
           <span>Select Subject</span>
         </div>
         <div className="subject-grid">
-          {SUBJECTS.map((subj) => (
+          {subjects.map((subj) => (
             <button
               key={subj.id}
               className={`subject-card ${
@@ -236,8 +481,179 @@ function InputScreenModern({
               <span className="subject-icon">{subj.icon}</span>
               <span className="subject-name">{subj.name}</span>
               {subject === subj.id && <span className="check-mark">✓</span>}
+              {customSubjects.includes(subj) && subject !== subj.id && (
+                <span
+                  className="subject-remove"
+                  role="button"
+                  aria-label={`Remove ${subj.name}`}
+                  title="Remove this subject"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleDeleteSubject(subj);
+                  }}
+                >
+                  ✕
+                </span>
+              )}
             </button>
           ))}
+          {!newSubject && (
+            <button
+              className="subject-card subject-card-add"
+              onClick={() =>
+                setNewSubject({
+                  name: "",
+                  icon: SUBJECT_ICONS[0],
+                  color: LIBRARY_COLORS[0],
+                })
+              }
+            >
+              <span className="subject-icon">＋</span>
+              <span className="subject-name">Custom subject</span>
+            </button>
+          )}
+        </div>
+
+        {newSubject && (
+          <div className="new-subject-form">
+            <input
+              type="text"
+              className="modern-select"
+              placeholder="Subject name, e.g. Psychology"
+              value={newSubject.name}
+              autoFocus
+              onChange={(e) =>
+                setNewSubject({ ...newSubject, name: e.target.value })
+              }
+              onKeyDown={(e) => e.key === "Enter" && handleAddSubject()}
+            />
+            <div className="new-subject-choices">
+              {SUBJECT_ICONS.map((icon) => (
+                <button
+                  key={icon}
+                  className={`icon-choice ${
+                    newSubject.icon === icon ? "selected" : ""
+                  }`}
+                  onClick={() => setNewSubject({ ...newSubject, icon })}
+                >
+                  {icon}
+                </button>
+              ))}
+            </div>
+            <div className="new-subject-choices">
+              {LIBRARY_COLORS.map((color) => (
+                <button
+                  key={color}
+                  className={`color-choice ${
+                    newSubject.color === color ? "selected" : ""
+                  }`}
+                  style={{ background: color }}
+                  aria-label={`Colour ${color}`}
+                  onClick={() => setNewSubject({ ...newSubject, color })}
+                />
+              ))}
+            </div>
+            <div className="new-subject-actions">
+              <button
+                className="new-subject-btn"
+                onClick={() => setNewSubject(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="new-subject-btn primary"
+                onClick={handleAddSubject}
+                disabled={!newSubject.name.trim()}
+              >
+                Add subject
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="section-title">
+          <span>Folder & Tags</span>
+        </div>
+        <div className="language-row">
+          <select
+            className="modern-select"
+            value={folderId}
+            // Folders may have been added in the dashboard meanwhile
+            onFocus={() => setFolders(getFolders())}
+            onChange={(e) => handleFolderChange(e.target.value)}
+          >
+            <option value="">No folder</option>
+            {folders.map((folder) => (
+              <option key={folder.id} value={String(folder.id)}>
+                {folder.name}
+              </option>
+            ))}
+            <option value={NEW_FOLDER}>＋ New folder…</option>
+          </select>
+          <input
+            type="text"
+            className="modern-select"
+            placeholder="Tags, comma-separated (optional)"
+            value={tagsText}
+            onChange={(e) => setTagsText(e.target.value)}
+          />
+        </div>
+
+        <div className="section-title">
+          <span>Detail Level</span>
+        </div>
+        <div className="depth-selector">
+          {DEPTHS.map((d) => (
+            <button
+              key={d.id}
+              className={`depth-card ${depth === d.id ? "selected" : ""}`}
+              onClick={() => setDepth(d.id)}
+            >
+              <span className="depth-icon">{d.icon}</span>
+              <div className="depth-content">
+                <h4>{d.name}</h4>
+                <p>{d.description}</p>
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <div className="section-title">
+          <span>Output Language</span>
+        </div>
+        <div className="language-row">
+          <select
+            className="modern-select"
+            value={language}
+            onChange={(e) => {
+              setLanguage(e.target.value);
+              updateLanguageSettings({ preferredLanguage: e.target.value });
+            }}
+          >
+            {SUPPORTED_LANGUAGES.map((lang) => (
+              <option key={lang.id} value={lang.id}>
+                {lang.nativeName === lang.name
+                  ? lang.name
+                  : `${lang.name} (${lang.nativeName})`}
+              </option>
+            ))}
+          </select>
+          <label
+            className={`bilingual-toggle ${
+              language === "english" ? "disabled" : ""
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={language !== "english" && bilingual}
+              disabled={language === "english"}
+              onChange={(e) => {
+                setBilingual(e.target.checked);
+                updateLanguageSettings({ bilingualOutput: e.target.checked });
+              }}
+            />
+            <span>Show English terms alongside</span>
+          </label>
         </div>
 
         {error && (
@@ -250,12 +666,16 @@ function InputScreenModern({
         <button
           className="generate-btn"
           onClick={handleSubmit}
-          disabled={(!inputText && !file) || !subject}
+          disabled={
+            (!inputText.trim() && files.length === 0) ||
+            !subject ||
+            !!extractionStatus
+          }
         >
           <span className="btn-glow"></span>
           <span className="btn-content">
             <span className="btn-icon">✨</span>
-            <span>Generate Study Materials</span>
+            <span>{extractionStatus || "Generate Study Materials"}</span>
             <span className="btn-arrow">→</span>
           </span>
         </button>
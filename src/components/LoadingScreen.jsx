@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useEffect, useRef } from "react";
 import "./LoadingScreen.css";
 
 const STEPS = [
@@ -28,8 +28,27 @@ const STEPS = [
   },
 ];
 
-function LoadingScreen({ currentStep = "analyzing" }) {
+/**
+ * @param {string} currentStep - One of the STEPS ids
+ * @param {Object} progress - { chunksDone, totalChunks, tokens, liveText }
+ * @param {Function} onCancel - Aborts generation
+ */
+function LoadingScreen({ currentStep = "analyzing", progress = {}, onCancel }) {
   const currentStepIndex = STEPS.findIndex((s) => s.id === currentStep);
+  const {
+    chunksDone = 0,
+    totalChunks = 0,
+    tokens = 0,
+    liveText = "",
+  } = progress;
+  const previewRef = useRef(null);
+
+  // Keep the newest streamed text in view
+  useEffect(() => {
+    if (previewRef.current) {
+      previewRef.current.scrollTop = previewRef.current.scrollHeight;
+    }
+  }, [liveText]);
 
   return (
     <div className="loading-screen fade-in">
@@ -58,6 +77,43 @@ function LoadingScreen({ currentStep = "analyzing" }) {
           })}
         </div>
 
+        <div className="live-progress">
+          {totalChunks > 1 && (
+            <div className="chunk-progress">
+              <div className="chunk-progress-label">
+                <span>
+                  Chunk {Math.min(chunksDone + 1, totalChunks)} of {totalChunks}
+                </span>
+                <span>{chunksDone} summarized</span>
+              </div>
+              <div className="chunk-progress-bar">
+                <div
+                  className="chunk-progress-fill"
+                  style={{ width: `${(chunksDone / totalChunks) * 100}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          <p className="token-count">
+            {tokens > 0
+              ? `~${tokens.toLocaleString()} tokens received`
+              : "Waiting for the first response…"}
+          </p>
+
+          {liveText && (
+            <div className="live-preview" ref={previewRef}>
+              {liveText}
+            </div>
+          )}
+
+          {onCancel && (
+            <button className="btn btn-secondary" onClick={onCancel}>
+              Cancel
+            </button>
+          )}
+        </div>
+
         <div className="loading-tips">
           <h4>💡 Did you know?</h4>
           <p>
@@ -0,0 +1,55 @@
+import React from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import rehypeKatex from "rehype-katex";
+import "katex/dist/katex.min.css";
+import "./MarkdownContent.css";
+
+const REMARK_PLUGINS = [remarkGfm, remarkMath];
+const REHYPE_PLUGINS = [[rehypeKatex, { throwOnError: false, strict: false }]];
+
+// Inline mode: no block wrappers so the text can sit inside a <li>, button, etc.
+const INLINE_COMPONENTS = {
+  p: ({ children }) => <>{children}</>,
+};
+
+/**
+ * Normalise generated text before rendering
+ * - \( \) and \[ \] math delimiters → $ and $$ (remark-math only knows $)
+ * - "$$...$$" alone on a line → a display block (on one line it renders inline)
+ * - a line that is only "**Topic**" → "### Topic" so topics read as headings
+ */
+export function prepareMarkdown(text) {
+  return String(text ?? "")
+    .replace(/\\\[([\s\S]+?)\\\]/g, (_, math) => `\n$$\n${math.trim()}\n$$\n`)
+    .replace(/\\\(([\s\S]+?)\\\)/g, (_, math) => `$${math}$`)
+    .replace(
+      /^[ \t]*\$\$([^\n]+?)\$\$[ \t]*$/gm,
+      (_, math) => `$$\n${math.trim()}\n$$`
+    )
+    .replace(/^[ \t]*\*\*([^*\n]+?):?\*\*:?[ \t]*$/gm, "### $1");
+}
+
+/**
+ * Render Markdown with GitHub tables/lists and KaTeX maths
+ * @param {string} children - Markdown text
+ * @param {boolean} inline - Render without paragraph wrappers
+ * @param {string} className - Extra class for the wrapper
+ */
+function MarkdownContent({ children, inline = false, className = "" }) {
+  const Wrapper = inline ? "span" : "div";
+  return (
+    <Wrapper className={`markdown-content ${className}`.trim()}>
+      <ReactMarkdown
+        remarkPlugins={REMARK_PLUGINS}
+        rehypePlugins={REHYPE_PLUGINS}
+        components={inline ? INLINE_COMPONENTS : undefined}
+      >
+        {prepareMarkdown(children)}
+      </ReactMarkdown>
+    </Wrapper>
+  );
+}
+
+export default MarkdownContent;
@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from "react";
+import { diffItems, diffLines, listVersions } from "../utils/noteVersions";
+import "./NoteHistory.css";
+
+// Unchanged summary lines shown around each change
+const CONTEXT_LINES = 1;
+
+const TRIGGER_ICONS = {
+  generated: "✨",
+  regenerate: "↻",
+  edit: "✎",
+  rollback: "⟲",
+};
+
+const DIFF_MARKS = { removed: "− ", added: "+ ", same: "  " };
+
+const LIST_SECTIONS = [
+  { field: "keyPoints", label: "Key Points", describe: (point) => point },
+  {
+    field: "flashcards",
+    label: "Flashcards",
+    describe: (card) => `${card.question} → ${card.answer}`,
+  },
+  {
+    field: "questions",
+    label: "Practice Questions",
+    describe: (question) => question.question,
+  },
+];
+
+/**
+ * Summary diff with long unchanged stretches collapsed
+ */
+function collapseUnchanged(diff) {
+  const near = (index) =>
+    diff
+      .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+      .some((line) => line.type !== "same");
+
+  const rows = [];
+  diff.forEach((line, index) => {
+    if (line.type !== "same" || near(index)) {
+      rows.push(line);
+    } else if (rows[rows.length - 1]?.type === "skipped") {
+      rows[rows.length - 1].count++;
+    } else {
+      rows.push({ type: "skipped", count: 1 });
+    }
+  });
+  return rows;
+}
+
+/**
+ * Versions of a note: what changed since each one, and rollback
+ * @param {Object} note - The saved note (with its versions)
+ * @param {Function} onRestore - Receives the version to restore
+ */
+function NoteHistory({ note, onRestore, onClose }) {
+  const versions = listVersions(note);
+  const [selected, setSelected] = useState(versions.length > 1 ? 1 : 0);
+  const version = versions[selected];
+
+  // Escape closes the panel
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const handleRestore = () => {
+    if (
+      window.confirm(
+        "Restore this version? The current content is kept in the history, so you can switch back."
+      )
+    ) {
+      onRestore(version);
+    }
+  };
+
+  const renderSummaryDiff = () => {
+    const diff = diffLines(version.summary, note.summary);
+    if (diff.every((line) => line.type === "same")) {
+      return <p className="history-unchanged">No changes</p>;
+    }
+
+    return (
+      <div className="history-diff">
+        {collapseUnchanged(diff).map((line, index) =>
+          line.type === "skipped" ? (
+            <div key={index} className="history-line skipped">
+              ⋯ {line.count} unchanged line{line.count === 1 ? "" : "s"}
+            </div>
+          ) : (
+            <div key={index} className={`history-line ${line.type}`}>
+              {DIFF_MARKS[line.type]}
+              {line.text}
+            </div>
+          )
+        )}
+      </div>
+    );
+  };
+
+  const renderListDiff = ({ field, describe }) => {
+    const { removed, added, unchanged } = diffItems(
+      version[field] || [],
+      note[field] || []
+    );
+    if (removed.length === 0 && added.length === 0) {
+      return <p className="history-unchanged">No changes</p>;
+    }
+
+    return (
+      <div className="history-diff">
+        {removed.map((item, index) => (
+          <div key={`removed-${index}`} className="history-line removed">
+            {DIFF_MARKS.removed}
+            {describe(item)}
+          </div>
+        ))}
+        {added.map((item, index) => (
+          <div key={`added-${index}`} className="history-line added">
+            {DIFF_MARKS.added}
+            {describe(item)}
+          </div>
+        ))}
+        {unchanged > 0 && (
+          <div className="history-line skipped">{unchanged} unchanged</div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="history-overlay" onClick={onClose}>
+      <div className="history-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="history-header">
+          <h2>Version history</h2>
+          <button className="close-btn" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div className="history-body">
+          <ul className="history-versions">
+            {versions.map((v, index) => (
+              <li key={index}>
+                <button
+                  className={`history-version ${
+                    index === selected ? "active" : ""
+                  }`}
+                  onClick={() => setSelected(index)}
+                >
+                  <span className="history-version-label">
+                    {TRIGGER_ICONS[v.trigger.type] || "•"} {v.trigger.label}
+                  </span>
+                  <span className="history-version-date">
+                    {index === 0 && "Current · "}
+                    {v.savedAt ? new Date(v.savedAt).toLocaleString() : ""}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="history-details">
+            {selected === 0 ? (
+              <p className="history-hint">
+                This is the note as it is now.
+                {versions.length > 1
+                  ? " Pick an earlier version to see what changed since."
+                  : " Regenerating or editing a section keeps the previous content here."}
+              </p>
+            ) : (
+              <>
+                <div className="history-details-header">
+                  <p className="history-hint">
+                    Changes from this version to the current note:{" "}
+                    <span className="history-legend removed">
+                      − only in this version
+                    </span>{" "}
+                    <span className="history-legend added">
+                      + only in the current note
+                    </span>
+                  </p>
+                  <button
+                    className="action-btn action-btn-gradient"
+                    onClick={handleRestore}
+                  >
+                    Restore this version
+                  </button>
+                </div>
+
+                <h3>Summary</h3>
+                {renderSummaryDiff()}
+                {LIST_SECTIONS.map((section) => (
+                  <React.Fragment key={section.field}>
+                    <h3>{section.label}</h3>
+                    {renderListDiff(section)}
+                  </React.Fragment>
+                ))}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NoteHistory;
@@ -1,44 +1,127 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import { generatePDF, copyToClipboard } from "../utils/pdfGenerator";
 import {
   saveQuizResult,
   getQuizProgress,
   saveQuizProgress,
+  getCardReviews,
+  updateNote,
 } from "../utils/storage";
+import {
+  buildReviewQueue,
+  isDue,
+  formatInterval,
+} from "../utils/spacedRepetition";
+import {
+  scoreQuestion,
+  roundScore,
+  formatScore,
+  toLetterList,
+  hasAnswer,
+  describeCorrectAnswer,
+  isOptionQuestion,
+} from "../utils/scoring";
+import { gradeShortAnswer } from "../services/aiService";
+import { QUESTION_TYPE_LABELS } from "../services/schemas";
+import { DECK_FORMATS, exportDeck } from "../utils/deckExport";
+import { NOTES_FORMATS, exportNotes } from "../utils/notesExport";
+import { citeNote, formatCitation, pageCitation } from "../utils/citations";
+import { LOW_CONFIDENCE, lowConfidencePages } from "../utils/ocr";
+import { formatPages } from "../utils/sources";
+import {
+  NOTE_SECTIONS,
+  regenerateSection,
+  itemOrigins,
+} from "../utils/noteEditing";
+import { matchOrigins, versionContent } from "../utils/noteVersions";
+import FlashcardReview from "./FlashcardReview";
+import FlashcardEditor from "./FlashcardEditor";
+import QuestionEditor from "./QuestionEditor";
+import NoteHistory from "./NoteHistory";
+import MarkdownContent from "./MarkdownContent";
+import SourceViewer from "./SourceViewer";
 import "./OutputScreenModern.css";
 
-function OutputScreen({ notesData, onBack }) {
-  const [activeTab, setActiveTab] = useState("summary");
+function OutputScreen({
+  notesData,
+  initialTab = "summary",
+  onBack,
+  onNoteUpdate,
+}) {
+  const [activeTab, setActiveTab] = useState(initialTab);
   const [flippedCards, setFlippedCards] = useState(new Set());
   const [selectedAnswers, setSelectedAnswers] = useState({});
   const [showAnswers, setShowAnswers] = useState({});
   const [questionScores, setQuestionScores] = useState({});
   const [allQuestionsChecked, setAllQuestionsChecked] = useState(false);
+  const [answerFeedback, setAnswerFeedback] = useState({});
+  // Latest answers, read after an await (see handleShowAnswer)
+  const selectedAnswersRef = useRef(selectedAnswers);
+  selectedAnswersRef.current = selectedAnswers;
+  const [gradingQuestions, setGradingQuestions] = useState({});
+  const [cardReviews, setCardReviews] = useState({});
+  const [reviewCards, setReviewCards] = useState(null);
+  const [exportingDeck, setExportingDeck] = useState(false);
+  const [exportingNotes, setExportingNotes] = useState(false);
+  const [openCitation, setOpenCitation] = useState(null);
+  // Section whose regenerate panel is open, and the one being regenerated
+  const [regeneratePanel, setRegeneratePanel] = useState(null);
+  const [regenerateInstruction, setRegenerateInstruction] = useState("");
+  const [regeneratingSection, setRegeneratingSection] = useState(null);
+  // Index of the card / question being edited, or "new"
+  const [editingCard, setEditingCard] = useState(null);
+  const [editingQuestion, setEditingQuestion] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const regenerateControllerRef = useRef(null);
+
+  const loadQuizProgress = () => {
+    const savedProgress = getQuizProgress(notesData.id) || {};
+    setSelectedAnswers(savedProgress.selectedAnswers || {});
+    setShowAnswers(savedProgress.showAnswers || {});
+    setQuestionScores(savedProgress.questionScores || {});
+    setAllQuestionsChecked(savedProgress.allQuestionsChecked || false);
+    setAnswerFeedback(savedProgress.answerFeedback || {});
+  };
 
   // Load saved quiz progress when component mounts or noteData changes
   useEffect(() => {
     if (notesData?.id) {
-      const savedProgress = getQuizProgress(notesData.id);
-      if (savedProgress) {
-        console.log("Loading saved quiz progress:", savedProgress);
-        setSelectedAnswers(savedProgress.selectedAnswers || {});
-        setShowAnswers(savedProgress.showAnswers || {});
-        setQuestionScores(savedProgress.questionScores || {});
-        setAllQuestionsChecked(savedProgress.allQuestionsChecked || false);
-      }
+      loadQuizProgress();
+      setCardReviews(getCardReviews(notesData.id));
     }
   }, [notesData?.id]);
 
+  // Opening another note (or the same one from another search result)
+  // starts on the tab it was opened at
+  useEffect(() => {
+    setActiveTab(initialTab);
+  }, [notesData?.id, initialTab]);
+
+  // Stop a running regeneration when leaving the note
+  useEffect(() => () => regenerateControllerRef.current?.abort(), []);
+
   const {
     title,
     subject,
     summary,
     keyPoints,
+    keyPointAnchors,
     flashcards,
     questions,
     createdAt,
+    rawText,
+    sources = [],
+    ocrPages = [],
   } = notesData;
 
+  // Where in the original text each key point, flashcard and question
+  // comes from
+  const citations = useMemo(
+    () =>
+      citeNote({ rawText, keyPoints, keyPointAnchors, flashcards, questions }),
+    [rawText, keyPoints, keyPointAnchors, flashcards, questions]
+  );
+
   const handleFlipCard = (index) => {
     const newFlipped = new Set(flippedCards);
     if (newFlipped.has(index)) {
@@ -49,30 +132,94 @@ function OutputScreen({ notesData, onBack }) {
     setFlippedCards(newFlipped);
   };
 
+  // Flashcards of this note with their saved review schedule
+  const getReviewItems = () =>
+    (flashcards || []).map((card, cardIndex) => ({
+      noteId: notesData.id,
+      noteTitle: title,
+      subject,
+      cardIndex,
+      card,
+      review: cardReviews[cardIndex] || null,
+    }));
+
+  const handleStartReview = (reviewAll = false) => {
+    const items = getReviewItems();
+    setReviewCards(reviewAll ? items : buildReviewQueue(items));
+  };
+
+  const handleExitReview = () => {
+    setReviewCards(null);
+    setCardReviews(getCardReviews(notesData.id));
+  };
+
+  const describeDue = (review) => {
+    if (!review?.due) return "New";
+    if (isDue(review)) return "Due today";
+    const days = Math.ceil((new Date(review.due) - new Date()) / 86400000);
+    return `Due in ${formatInterval(days)}`;
+  };
+
   const handleAnswerSelect = (questionIndex, option) => {
-    // All questions are MCQ - single selection only
+    const question = questions[questionIndex];
+
+    // MSQ - toggle the option in the selection list
+    if (question.type === "msq") {
+      const current = toLetterList(selectedAnswers[questionIndex]);
+      const next = current.includes(option)
+        ? current.filter((letter) => letter !== option)
+        : [...current, option].sort();
+      setSelectedAnswers({
+        ...selectedAnswers,
+        [questionIndex]: next,
+      });
+      return;
+    }
+
+    // MCQ - single selection only
     setSelectedAnswers({
       ...selectedAnswers,
       [questionIndex]: option,
     });
   };
 
-  const handleShowAnswer = (questionIndex) => {
+  const handleTypedAnswer = (questionIndex, value) => {
+    setSelectedAnswers({
+      ...selectedAnswers,
+      [questionIndex]: value,
+    });
+  };
+
+  const handleShowAnswer = async (questionIndex) => {
     const question = questions[questionIndex];
     const userAnswer = selectedAnswers[questionIndex];
 
-    // All questions are MCQ: +1 for correct, -1 for wrong
-    let score = 0;
-    let isCorrect = false;
-
-    if (userAnswer === question.correct) {
-      score = 1;
-      isCorrect = true;
-    } else {
-      score = -1;
-      isCorrect = false;
+    // Short answers are graded by the model against the rubric
+    let grading = null;
+    if (question.type === "short") {
+      setGradingQuestions((prev) => ({ ...prev, [questionIndex]: true }));
+      try {
+        grading = await gradeShortAnswer(question, userAnswer, {
+          language: notesData.language,
+          bilingual: notesData.bilingual,
+        });
+      } catch (error) {
+        console.error("Error grading short answer:", error);
+        alert(error.message || "Could not grade this answer.");
+        return;
+      } finally {
+        setGradingQuestions((prev) => ({ ...prev, [questionIndex]: false }));
+      }
     }
 
+    // MCQ / true-false / fill-in / numeric: +1 / -1,
+    // MSQ and short answers: partial credit
+    const { score, isCorrect, isPartial } = scoreQuestion(
+      question,
+      userAnswer,
+      grading || {}
+    );
+
     // Save quiz result to user's data
     try {
       const quizResultData = {
@@ -85,7 +232,9 @@ function OutputScreen({ notesData, onBack }) {
         userAnswer,
         correctAnswer: question.correct,
         isCorrect,
+        isPartial,
         score,
+        ...(grading && { grade: grading.grade }),
         timestamp: Date.now(),
       };
       console.log("Saving quiz result:", quizResultData);
@@ -95,18 +244,33 @@ function OutputScreen({ notesData, onBack }) {
       console.error("Error saving quiz result:", error);
     }
 
+    // Other questions may have been answered or checked while a short
+    // answer was graded, so build on the latest progress, not the state
+    // captured before grading
+    const savedProgress = getQuizProgress(notesData.id) || {};
     const newShowAnswers = {
-      ...showAnswers,
+      ...savedProgress.showAnswers,
       [questionIndex]: true,
     };
 
     const newQuestionScores = {
-      ...questionScores,
+      ...savedProgress.questionScores,
       [questionIndex]: score,
     };
 
-    setShowAnswers(newShowAnswers);
-    setQuestionScores(newQuestionScores);
+    const newAnswerFeedback = {
+      ...savedProgress.answerFeedback,
+      ...(grading && { [questionIndex]: grading.feedback }),
+    };
+
+    setShowAnswers((prev) => ({ ...prev, [questionIndex]: true }));
+    setQuestionScores((prev) => ({ ...prev, [questionIndex]: score }));
+    if (grading) {
+      setAnswerFeedback((prev) => ({
+        ...prev,
+        [questionIndex]: grading.feedback,
+      }));
+    }
 
     // Check if all questions have been answered
     const totalAnswered = Object.keys(newShowAnswers).length;
@@ -115,7 +279,7 @@ function OutputScreen({ notesData, onBack }) {
 
     // Save progress to localStorage (include current selected answer)
     const updatedSelectedAnswers = {
-      ...selectedAnswers,
+      ...selectedAnswersRef.current,
       [questionIndex]: userAnswer,
     };
     saveQuizProgress(notesData.id, {
@@ -123,6 +287,7 @@ function OutputScreen({ notesData, onBack }) {
       showAnswers: newShowAnswers,
       questionScores: newQuestionScores,
       allQuestionsChecked: allChecked,
+      answerFeedback: newAnswerFeedback,
     });
     console.log("Quiz progress saved for note:", notesData.id);
   };
@@ -137,18 +302,194 @@ function OutputScreen({ notesData, onBack }) {
       setShowAnswers({});
       setQuestionScores({});
       setAllQuestionsChecked(false);
+      setAnswerFeedback({});
 
       // Clear saved progress
       saveQuizProgress(notesData.id, {
         selectedAnswers: {},
         showAnswers: {},
         questionScores: {},
+        answerFeedback: {},
         allQuestionsChecked: false,
       });
       console.log("Quiz progress reset for note:", notesData.id);
     }
   };
 
+  /**
+   * Save changes to this note in place (the previous content becomes a
+   * version). Quiz answers and review schedules follow their question or
+   * card; see storage.updateNote().
+   * @param {Object} options - { origins, trigger }
+   */
+  const saveNoteChanges = (changes, options) => {
+    const updatedNote = updateNote(notesData.id, changes, options);
+    if (!updatedNote) return;
+    const { origins = {} } = options;
+    onNoteUpdate?.(updatedNote);
+    if (origins.questions) loadQuizProgress();
+    if (origins.flashcards) {
+      setCardReviews(getCardReviews(notesData.id));
+      setFlippedCards(new Set());
+    }
+  };
+
+  const handleRegenerate = async (section) => {
+    if (
+      section === "questions" &&
+      Object.keys(showAnswers).length > 0 &&
+      !window.confirm(
+        "New questions replace the current ones, along with your answers. Continue?"
+      )
+    ) {
+      return;
+    }
+
+    const controller = new AbortController();
+    regenerateControllerRef.current = controller;
+    setRegeneratingSection(section);
+    try {
+      const changes = await regenerateSection(notesData, section, {
+        instruction: regenerateInstruction,
+        signal: controller.signal,
+      });
+      const { label } = NOTE_SECTIONS.find((s) => s.id === section);
+      const instruction = regenerateInstruction.trim();
+      saveNoteChanges(changes, {
+        // Regenerated cards and questions start fresh
+        origins: {
+          ...(changes.flashcards && {
+            flashcards: changes.flashcards.map(() => null),
+          }),
+          ...(changes.questions && {
+            questions: changes.questions.map(() => null),
+          }),
+        },
+        trigger: {
+          type: "regenerate",
+          label: `Regenerated ${label.toLowerCase()}${
+            instruction ? ` - "${instruction}"` : ""
+          }`,
+        },
+      });
+      setRegeneratePanel(null);
+      setRegenerateInstruction("");
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error(`Error regenerating ${section}:`, error);
+        alert(error.message || "Could not regenerate this section.");
+      }
+    } finally {
+      regenerateControllerRef.current = null;
+      setRegeneratingSection(null);
+    }
+  };
+
+  const handleCloseRegenerate = () => {
+    regenerateControllerRef.current?.abort();
+    setRegeneratePanel(null);
+    setRegenerateInstruction("");
+  };
+
+  const handleSaveCard = (card) => {
+    const cards = flashcards || [];
+    if (editingCard === "new") {
+      saveNoteChanges(
+        { flashcards: [...cards, card] },
+        {
+          origins: { flashcards: itemOrigins(cards.length, { add: true }) },
+          trigger: { type: "edit", label: "Added a flashcard" },
+        }
+      );
+    } else {
+      // An edited card keeps its review schedule
+      saveNoteChanges(
+        { flashcards: cards.map((c, i) => (i === editingCard ? card : c)) },
+        {
+          origins: { flashcards: itemOrigins(cards.length) },
+          trigger: {
+            type: "edit",
+            label: `Edited flashcard ${editingCard + 1}`,
+          },
+        }
+      );
+    }
+    setEditingCard(null);
+  };
+
+  const handleDeleteCard = (index) => {
+    if (!window.confirm("Delete this flashcard?")) return;
+    saveNoteChanges(
+      { flashcards: flashcards.filter((_, i) => i !== index) },
+      {
+        origins: {
+          flashcards: itemOrigins(flashcards.length, { remove: index }),
+        },
+        trigger: { type: "edit", label: `Deleted flashcard ${index + 1}` },
+      }
+    );
+  };
+
+  const handleSaveQuestion = (question) => {
+    const list = questions || [];
+    if (editingQuestion === "new") {
+      saveNoteChanges(
+        { questions: [...list, question] },
+        {
+          origins: { questions: itemOrigins(list.length, { add: true }) },
+          trigger: { type: "edit", label: "Added a question" },
+        }
+      );
+    } else {
+      // The answer may have changed, so the old attempt no longer counts
+      saveNoteChanges(
+        {
+          questions: list.map((q, i) => (i === editingQuestion ? question : q)),
+        },
+        {
+          origins: {
+            questions: itemOrigins(list.length, { replace: editingQuestion }),
+          },
+          trigger: {
+            type: "edit",
+            label: `Edited question ${editingQuestion + 1}`,
+          },
+        }
+      );
+    }
+    setEditingQuestion(null);
+  };
+
+  const handleDeleteQuestion = (index) => {
+    if (!window.confirm("Delete this question and your answer to it?")) return;
+    saveNoteChanges(
+      { questions: questions.filter((_, i) => i !== index) },
+      {
+        origins: {
+          questions: itemOrigins(questions.length, { remove: index }),
+        },
+        trigger: { type: "edit", label: `Deleted question ${index + 1}` },
+      }
+    );
+  };
+
+  // Restoring a version is itself a change, so it can be undone too
+  const handleRestoreVersion = (version) => {
+    saveNoteChanges(versionContent(version), {
+      origins: {
+        flashcards: matchOrigins(flashcards, version.flashcards),
+        questions: matchOrigins(questions, version.questions),
+      },
+      trigger: {
+        type: "rollback",
+        label: `Restored the version from ${new Date(
+          version.savedAt
+        ).toLocaleString()}`,
+      },
+    });
+    setShowHistory(false);
+  };
+
   const handleCopy = async (text) => {
     const success = await copyToClipboard(text);
     if (success) {
@@ -160,6 +501,198 @@ function OutputScreen({ notesData, onBack }) {
     generatePDF(notesData);
   };
 
+  const handleExportNotes = async (format) => {
+    setExportingNotes(true);
+    try {
+      await exportNotes(notesData, format);
+    } catch (error) {
+      console.error("Notes export failed:", error);
+      alert(`Could not export notes: ${error.message}`);
+    } finally {
+      setExportingNotes(false);
+    }
+  };
+
+  const handleExportDeck = async (format) => {
+    setExportingDeck(true);
+    try {
+      await exportDeck([notesData], format, title || "notes");
+    } catch (error) {
+      console.error("Deck export failed:", error);
+      alert(`Could not export flashcards: ${error.message}`);
+    } finally {
+      setExportingDeck(false);
+    }
+  };
+
+  const renderCitation = (citation) =>
+    citation && (
+      <button
+        className="citation-link"
+        title="Show the original passage"
+        onClick={(e) => {
+          // Don't flip the flashcard underneath
+          e.stopPropagation();
+          setOpenCitation(citation);
+        }}
+      >
+        {formatCitation(citation, sources)}
+      </button>
+    );
+
+  const canEdit = Boolean(notesData.id);
+
+  const renderRegenerateButton = (section) =>
+    canEdit && (
+      <button
+        className="action-btn action-btn-outline"
+        onClick={() => setRegeneratePanel(section)}
+        disabled={regeneratingSection !== null}
+        title="Generate this section again"
+      >
+        ↻ Regenerate
+      </button>
+    );
+
+  const renderRegeneratePanel = (section) => {
+    if (regeneratePanel !== section) return null;
+    const { label } = NOTE_SECTIONS.find((s) => s.id === section);
+    const busy = regeneratingSection === section;
+
+    return (
+      <div className="regenerate-panel">
+        <input
+          type="text"
+          placeholder='Optional instruction, e.g. "more numericals"'
+          value={regenerateInstruction}
+          disabled={busy}
+          autoFocus
+          onChange={(e) => setRegenerateInstruction(e.target.value)}
+          onKeyDown={(e) =>
+            e.key === "Enter" && !busy && handleRegenerate(section)
+          }
+        />
+        <button
+          className="action-btn action-btn-gradient"
+          onClick={() => handleRegenerate(section)}
+          disabled={busy}
+        >
+          {busy ? "Regenerating..." : `Regenerate ${label}`}
+        </button>
+        <button
+          className="action-btn action-btn-outline"
+          onClick={handleCloseRegenerate}
+        >
+          Cancel
+        </button>
+        {(section === "flashcards" || section === "questions") && (
+          <p className="regenerate-note">
+            Replaces every {section === "flashcards" ? "card" : "question"},
+            including ones you added or edited
+            {section === "flashcards" ? " and their review schedule" : ""}.
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  const renderItemTools = (onEdit, onDelete) =>
+    canEdit && (
+      <span className="item-tools">
+        <button
+          className="item-tool-btn"
+          title="Edit"
+          onClick={(e) => {
+            e.stopPropagation();
+            onEdit();
+          }}
+        >
+          ✎ Edit
+        </button>
+        <button
+          className="item-tool-btn danger"
+          title="Delete"
+          onClick={(e) => {
+            e.stopPropagation();
+            onDelete();
+          }}
+        >
+          ✕
+        </button>
+      </span>
+    );
+
+  // Pages read with OCR and how sure it was about each
+  const renderOcrNotice = () => {
+    if (ocrPages.length === 0) return null;
+    const toCheck = lowConfidencePages(ocrPages).length;
+
+    return (
+      <div className="ocr-notice">
+        <span>
+          🔍 {ocrPages.length} page{ocrPages.length === 1 ? " was" : "s were"}{" "}
+          read with OCR
+          {toCheck > 0 &&
+            ` - double-check the ${toCheck} marked page${
+              toCheck === 1 ? "" : "s"
+            }`}
+        </span>
+        <div className="ocr-pages">
+          {ocrPages.map(({ page, confidence }) => (
+            <button
+              key={page}
+              className={`ocr-page ${confidence < LOW_CONFIDENCE ? "low" : ""}`}
+              title="Show the text read from this page"
+              disabled={!rawText}
+              onClick={() => setOpenCitation(pageCitation(rawText, page))}
+            >
+              {formatPages(sources, page)} · {confidence}%
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  const renderAddCard = () => {
+    if (!canEdit) return null;
+    if (editingCard === "new") {
+      return (
+        <FlashcardEditor
+          card={null}
+          onSave={handleSaveCard}
+          onCancel={() => setEditingCard(null)}
+        />
+      );
+    }
+    return (
+      <button className="add-item-btn" onClick={() => setEditingCard("new")}>
+        + Add flashcard
+      </button>
+    );
+  };
+
+  const renderAddQuestion = () => {
+    if (!canEdit) return null;
+    if (editingQuestion === "new") {
+      return (
+        <QuestionEditor
+          question={null}
+          onSave={handleSaveQuestion}
+          onCancel={() => setEditingQuestion(null)}
+        />
+      );
+    }
+    return (
+      <button
+        className="add-item-btn"
+        onClick={() => setEditingQuestion("new")}
+      >
+        + Add question
+      </button>
+    );
+  };
+
   const parseSummary = (summaryText) => {
     if (!summaryText) return [];
     return summaryText
@@ -175,52 +708,29 @@ function OutputScreen({ notesData, onBack }) {
         <div className="empty-state">
           <div className="empty-state-icon">📝</div>
           <p>No summary available</p>
+          {renderRegeneratePanel("summary")}
+          {renderRegenerateButton("summary")}
         </div>
       );
     }
 
-    // Split by double newlines to get paragraphs/sections
-    const sections = summary
-      .split(/\n\n+/)
-      .map((s) => s.trim())
-      .filter((s) => s.length > 0);
-
     return (
       <div className="tab-content">
         <div className="section-card">
           <div className="section-header">
             <h2>Summary</h2>
-            <button
-              className="action-btn action-btn-outline"
-              onClick={() => handleCopy(summary)}
-            >
-               Copy
-            </button>
-          </div>
-          <div className="notes-prose">
-            {sections.map((section, index) => {
-              // Check if it's a heading (starts with ## or **Topic:**)
-              if (
-                section.startsWith("##") ||
-                section.match(/^\*\*[^:]+:\*\*/)
-              ) {
-                const heading = section
-                  .replace(/^##\s*/, "")
-                  .replace(/^\*\*([^:]+):\*\*/, "$1");
-                return (
-                  <h3 key={index} className="section-heading">
-                    {heading}
-                  </h3>
-                );
-              }
-              // Regular paragraph
-              return (
-                <p key={index} className="section-paragraph">
-                  {section}
-                </p>
-              );
-            })}
+            <div className="section-actions">
+              {renderRegenerateButton("summary")}
+              <button
+                className="action-btn action-btn-outline"
+                onClick={() => handleCopy(summary)}
+              >
+                 Copy
+              </button>
+            </div>
           </div>
+          {renderRegeneratePanel("summary")}
+          <MarkdownContent className="notes-prose">{summary}</MarkdownContent>
         </div>
       </div>
     );
@@ -232,6 +742,8 @@ function OutputScreen({ notesData, onBack }) {
         <div className="empty-state">
           <div className="empty-state-icon">🎯</div>
           <p>No key points available</p>
+          {renderRegeneratePanel("keyPoints")}
+          {renderRegenerateButton("keyPoints")}
         </div>
       );
     }
@@ -241,16 +753,23 @@ function OutputScreen({ notesData, onBack }) {
         <div className="section-card">
           <div className="section-header">
             <h2>Key Points</h2>
-            <button
-              className="action-btn action-btn-outline"
-              onClick={() => handleCopy(keyPoints.join("\n"))}
-            >
-               Copy
-            </button>
+            <div className="section-actions">
+              {renderRegenerateButton("keyPoints")}
+              <button
+                className="action-btn action-btn-outline"
+                onClick={() => handleCopy(keyPoints.join("\n"))}
+              >
+                 Copy
+              </button>
+            </div>
           </div>
+          {renderRegeneratePanel("keyPoints")}
           <ul className="content-list">
             {keyPoints.map((point, index) => (
-              <li key={index}>{point}</li>
+              <li key={index}>
+                <MarkdownContent inline>{point}</MarkdownContent>
+                {renderCitation(citations.keyPoints[index])}
+              </li>
             ))}
           </ul>
         </div>
@@ -264,39 +783,108 @@ function OutputScreen({ notesData, onBack }) {
         <div className="empty-state">
           <div className="empty-state-icon">🎴</div>
           <p>No flashcards available</p>
+          {renderRegeneratePanel("flashcards")}
+          {renderRegenerateButton("flashcards")}
+          {renderAddCard()}
         </div>
       );
     }
 
+    if (reviewCards) {
+      return (
+        <div className="tab-content">
+          <div className="section-card">
+            <FlashcardReview cards={reviewCards} onExit={handleExitReview} />
+          </div>
+        </div>
+      );
+    }
+
+    const dueCount = buildReviewQueue(getReviewItems()).length;
+
     return (
       <div className="tab-content">
         <div className="section-card">
           <div className="section-header">
-            <h2>Flashcards</h2>
-            <p className="section-hint">Click on any card to flip it</p>
+            <div>
+              <h2>Flashcards</h2>
+              <p className="section-hint">Click on any card to flip it</p>
+            </div>
+            <div className="flashcard-actions">
+              {DECK_FORMATS.map((format) => (
+                <button
+                  key={format.id}
+                  className="action-btn action-btn-outline"
+                  onClick={() => handleExportDeck(format.id)}
+                  disabled={exportingDeck}
+                  title={`Export flashcards as ${format.label}`}
+                >
+                  {format.label}
+                </button>
+              ))}
+              {renderRegenerateButton("flashcards")}
+              {notesData.id && (
+                <button
+                  className="action-btn action-btn-gradient"
+                  onClick={() => handleStartReview(dueCount === 0)}
+                >
+                  {dueCount > 0 ? `Review ${dueCount} due` : "Review all"}
+                </button>
+              )}
+            </div>
           </div>
+          {renderRegeneratePanel("flashcards")}
           <div className="flashcards-grid">
-            {flashcards.map((card, index) => (
-              <div
-                key={index}
-                className={`flashcard ${
-                  flippedCards.has(index) ? "flipped" : ""
-                }`}
-                onClick={() => handleFlipCard(index)}
-              >
-                <div className="flashcard-inner">
-                  <div className="flashcard-front">
-                    <div className="flashcard-label">Question</div>
-                    <div className="flashcard-text">{card.question}</div>
-                  </div>
-                  <div className="flashcard-back">
-                    <div className="flashcard-label">Answer</div>
-                    <div className="flashcard-text">{card.answer}</div>
+            {flashcards.map((card, index) =>
+              editingCard === index ? (
+                <FlashcardEditor
+                  key={index}
+                  card={card}
+                  onSave={handleSaveCard}
+                  onCancel={() => setEditingCard(null)}
+                />
+              ) : (
+                <div
+                  key={index}
+                  className={`flashcard ${
+                    flippedCards.has(index) ? "flipped" : ""
+                  }`}
+                  onClick={() => handleFlipCard(index)}
+                >
+                  <div className="flashcard-inner">
+                    <div className="flashcard-front">
+                      <div className="flashcard-label">
+                        Question
+                        {renderCitation(citations.flashcards[index])}
+                        {renderItemTools(
+                          () => setEditingCard(index),
+                          () => handleDeleteCard(index)
+                        )}
+                        {notesData.id && (
+                          <span className="flashcard-due">
+                            {describeDue(cardReviews[index])}
+                          </span>
+                        )}
+                      </div>
+                      <div className="flashcard-text">
+                        <MarkdownContent>{card.question}</MarkdownContent>
+                      </div>
+                    </div>
+                    <div className="flashcard-back">
+                      <div className="flashcard-label">
+                        Answer
+                        {renderCitation(citations.flashcards[index])}
+                      </div>
+                      <div className="flashcard-text">
+                        <MarkdownContent>{card.answer}</MarkdownContent>
+                      </div>
+                    </div>
                   </div>
                 </div>
-              </div>
-            ))}
+              )
+            )}
           </div>
+          {renderAddCard()}
         </div>
       </div>
     );
@@ -308,19 +896,30 @@ function OutputScreen({ notesData, onBack }) {
         <div className="empty-state">
           <div className="empty-state-icon">❓</div>
           <p>No practice questions available</p>
+          {renderRegeneratePanel("questions")}
+          {renderRegenerateButton("questions")}
+          {renderAddQuestion()}
         </div>
       );
     }
 
     return (
       <div className="tab-content">
+        {canEdit && (
+          <div className="questions-toolbar">
+            {renderRegenerateButton("questions")}
+          </div>
+        )}
+        {renderRegeneratePanel("questions")}
         {allQuestionsChecked && (
           <div className="questions-header">
             <div className="questions-summary">
               <span> All questions answered!</span>
               <span className="total-score">
                 Total Score:{" "}
-                {Object.values(questionScores).reduce((a, b) => a + b, 0)}
+                {roundScore(
+                  Object.values(questionScores).reduce((a, b) => a + b, 0)
+                )}
               </span>
             </div>
             <button className="reset-btn" onClick={handleResetQuestions}>
@@ -332,19 +931,46 @@ function OutputScreen({ notesData, onBack }) {
           {questions.map((question, qIndex) => {
             const userAnswer = selectedAnswers[qIndex];
             const isAnswered = showAnswers[qIndex];
+            const isMultiSelect = question.type === "msq";
+            const correctLetters = toLetterList(question.correct);
+            const selectedLetters = toLetterList(userAnswer);
+
+            if (editingQuestion === qIndex) {
+              return (
+                <QuestionEditor
+                  key={qIndex}
+                  question={question}
+                  onSave={handleSaveQuestion}
+                  onCancel={() => setEditingQuestion(null)}
+                />
+              );
+            }
 
             return (
               <div key={qIndex} className="question-card">
                 <div className="question-header">
                   <div className="question-number">{qIndex + 1}</div>
                   <span className="question-type">
-                    {question.type.toUpperCase()}
+                    {QUESTION_TYPE_LABELS[question.type] ||
+                      question.type.toUpperCase()}
                   </span>
+                  {renderCitation(citations.questions[qIndex])}
+                  {renderItemTools(
+                    () => setEditingQuestion(qIndex),
+                    () => handleDeleteQuestion(qIndex)
+                  )}
                 </div>
 
-                <div className="question-text">{question.question}</div>
+                <div className="question-text">
+                  <MarkdownContent inline>{question.question}</MarkdownContent>
+                </div>
+                {isMultiSelect && !isAnswered && (
+                  <p className="question-hint">
+                    Select all that apply - wrong picks cost marks
+                  </p>
+                )}
 
-                {question.options && (
+                {isOptionQuestion(question) && question.options && (
                   <div className="options-list">
                     {question.options.map((option, oIndex) => {
                       const optionLetter =
@@ -352,13 +978,18 @@ function OutputScreen({ notesData, onBack }) {
                         String.fromCharCode(65 + oIndex);
                       let optionClass = "option";
 
+                      const isSelected = selectedLetters.includes(optionLetter);
+
                       if (isAnswered) {
-                        if (optionLetter === question.correct) {
+                        if (correctLetters.includes(optionLetter)) {
                           optionClass += " correct";
-                        } else if (userAnswer === optionLetter) {
+                          if (isMultiSelect && !isSelected) {
+                            optionClass += " missed";
+                          }
+                        } else if (isSelected) {
                           optionClass += " incorrect";
                         }
-                      } else if (userAnswer === optionLetter) {
+                      } else if (isSelected) {
                         optionClass += " selected";
                       }
 
@@ -371,27 +1002,79 @@ function OutputScreen({ notesData, onBack }) {
                             handleAnswerSelect(qIndex, optionLetter)
                           }
                         >
-                          {option}
+                          <MarkdownContent inline>{option}</MarkdownContent>
                         </div>
                       );
                     })}
                   </div>
                 )}
 
+                {(question.type === "fillblank" ||
+                  question.type === "numeric") && (
+                  <div className="typed-answer-row">
+                    <input
+                      type="text"
+                      inputMode={
+                        question.type === "numeric" ? "decimal" : "text"
+                      }
+                      className={`typed-answer-input ${
+                        isAnswered
+                          ? questionScores[qIndex] > 0
+                            ? "correct"
+                            : "incorrect"
+                          : ""
+                      }`}
+                      placeholder={
+                        question.type === "numeric"
+                          ? "Enter a number"
+                          : "Fill in the blank"
+                      }
+                      value={userAnswer || ""}
+                      disabled={isAnswered}
+                      onChange={(e) =>
+                        handleTypedAnswer(qIndex, e.target.value)
+                      }
+                    />
+                    {question.type === "numeric" && question.unit && (
+                      <span className="typed-answer-unit">{question.unit}</span>
+                    )}
+                  </div>
+                )}
+
+                {question.type === "short" && (
+                  <textarea
+                    className="typed-answer-textarea"
+                    placeholder="Write your answer in 1-3 sentences"
+                    value={userAnswer || ""}
+                    disabled={isAnswered}
+                    onChange={(e) => handleTypedAnswer(qIndex, e.target.value)}
+                  />
+                )}
+
                 <div className="question-footer">
                   {!isAnswered ? (
                     <button
                       className="check-btn"
                       onClick={() => handleShowAnswer(qIndex)}
-                      disabled={!userAnswer}
+                      disabled={
+                        !hasAnswer(userAnswer) || gradingQuestions[qIndex]
+                      }
                     >
-                      Check Answer
+                      {gradingQuestions[qIndex] ? "Grading..." : "Check Answer"}
                     </button>
                   ) : (
                     <>
                       <div className="answer-result-container">
                         <div className="correct-answer">
-                          ✓ Correct Answer: {question.correct}
+                          {question.type === "short"
+                            ? "✓ Model Answer"
+                            : `✓ Correct Answer${
+                                correctLetters.length > 1 ? "s" : ""
+                              }`}
+                          :{" "}
+                          <MarkdownContent inline>
+                            {describeCorrectAnswer(question)}
+                          </MarkdownContent>
                         </div>
                         <div
                           className={`question-score ${
@@ -400,13 +1083,23 @@ function OutputScreen({ notesData, onBack }) {
                               : "negative"
                           }`}
                         >
-                          Score: {questionScores[qIndex] > 0 ? "+" : ""}
-                          {questionScores[qIndex]}
+                          Score: {formatScore(questionScores[qIndex])}
                         </div>
                       </div>
+                      {answerFeedback[qIndex] && (
+                        <div className="explanation">
+                          <strong>Feedback:</strong>{" "}
+                          <MarkdownContent inline>
+                            {answerFeedback[qIndex]}
+                          </MarkdownContent>
+                        </div>
+                      )}
                       {question.explanation && (
                         <div className="explanation">
-                          <strong>Explanation:</strong> {question.explanation}
+                          <strong>Explanation:</strong>{" "}
+                          <MarkdownContent inline>
+                            {question.explanation}
+                          </MarkdownContent>
                         </div>
                       )}
                     </>
@@ -416,6 +1109,7 @@ function OutputScreen({ notesData, onBack }) {
             );
           })}
         </div>
+        {renderAddQuestion()}
       </div>
     );
   };
@@ -443,6 +1137,28 @@ function OutputScreen({ notesData, onBack }) {
             <button className="action-btn action-btn-outline" onClick={onBack}>
               ← Back
             </button>
+            {canEdit && (
+              <button
+                className="action-btn action-btn-outline"
+                onClick={() => setShowHistory(true)}
+                title="Earlier versions of this note"
+              >
+                🕘 History
+                {notesData.versions?.length > 0 &&
+                  ` (${notesData.versions.length})`}
+              </button>
+            )}
+            {NOTES_FORMATS.map((format) => (
+              <button
+                key={format.id}
+                className="action-btn action-btn-outline"
+                onClick={() => handleExportNotes(format.id)}
+                disabled={exportingNotes}
+                title={`Export notes as ${format.label}`}
+              >
+                {format.label}
+              </button>
+            ))}
             <button
               className="action-btn action-btn-gradient"
               onClick={handleDownloadPDF}
@@ -452,6 +1168,8 @@ function OutputScreen({ notesData, onBack }) {
           </div>
         </div>
 
+        {renderOcrNotice()}
+
         <div className="tabs-container">
           <div className="tabs">
             <button
@@ -488,6 +1206,24 @@ function OutputScreen({ notesData, onBack }) {
         {activeTab === "flashcards" && renderFlashcards()}
         {activeTab === "questions" && renderQuestions()}
       </div>
+
+      {openCitation && (
+        <SourceViewer
+          rawText={rawText}
+          citation={openCitation}
+          sources={sources}
+          ocrPages={ocrPages}
+          onClose={() => setOpenCitation(null)}
+        />
+      )}
+
+      {showHistory && (
+        <NoteHistory
+          note={notesData}
+          onRestore={handleRestoreVersion}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
     </div>
   );
 }
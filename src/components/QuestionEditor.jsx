@@ -0,0 +1,274 @@
+import React, { useId, useState } from "react";
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_LABELS,
+  normalizeQuestion,
+  validateQuestion,
+} from "../services/schemas";
+import { toLetterList } from "../utils/scoring";
+import "./ItemEditor.css";
+
+const OPTION_LETTERS = ["A", "B", "C", "D"];
+
+/**
+ * Form fields for a question, whatever its type
+ */
+function toDraft(question) {
+  return {
+    type: question?.type || "mcq",
+    question: question?.question || "",
+    options: OPTION_LETTERS.map((_, index) =>
+      (question?.options?.[index] || "").replace(/^[A-D]\)\s*/, "")
+    ),
+    correct: toLetterList(question?.correct),
+    acceptedAnswers: (question?.acceptedAnswers || []).join("\n"),
+    numericAnswer: question?.numericAnswer ?? "",
+    tolerance: question?.tolerance ?? "",
+    unit: question?.unit || "",
+    modelAnswer: question?.modelAnswer || "",
+    rubric: question?.rubric || "",
+    explanation: question?.explanation || "",
+  };
+}
+
+/**
+ * The fields of the draft that apply to its type, in the shape the
+ * generator returns, so normalizeQuestion() can tidy them up
+ */
+function fromDraft(draft) {
+  const base = {
+    type: draft.type,
+    question: draft.question,
+    explanation: draft.explanation,
+  };
+
+  switch (draft.type) {
+    case "mcq":
+    case "msq":
+      return { ...base, options: draft.options, correct: draft.correct };
+    case "truefalse":
+      return { ...base, correct: draft.correct[0] === "B" ? "False" : "True" };
+    case "fillblank":
+      return { ...base, acceptedAnswers: draft.acceptedAnswers.split("\n") };
+    case "numeric":
+      return {
+        ...base,
+        numericAnswer: String(draft.numericAnswer),
+        // Left empty, the tolerance defaults to 1% of the answer
+        tolerance: draft.tolerance === "" ? undefined : String(draft.tolerance),
+        unit: draft.unit,
+      };
+    case "short":
+      return {
+        ...base,
+        modelAnswer: draft.modelAnswer,
+        rubric: draft.rubric,
+      };
+    default:
+      return base;
+  }
+}
+
+/**
+ * Form for writing or changing one practice question by hand
+ * @param {Object} question - The question to edit, or null for a new one
+ * @param {Function} onSave - Receives the validated question
+ */
+function QuestionEditor({ question, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => toDraft(question));
+  const [errors, setErrors] = useState([]);
+  const inputName = useId();
+
+  const update = (changes) => setDraft({ ...draft, ...changes });
+
+  const handleOptionChange = (index, value) => {
+    const options = [...draft.options];
+    options[index] = value;
+    update({ options });
+  };
+
+  const handleCorrectChange = (letter) => {
+    if (draft.type !== "msq") {
+      update({ correct: [letter] });
+      return;
+    }
+    update({
+      correct: draft.correct.includes(letter)
+        ? draft.correct.filter((l) => l !== letter)
+        : [...draft.correct, letter].sort(),
+    });
+  };
+
+  const handleSave = () => {
+    const edited = normalizeQuestion(fromDraft(draft));
+    const problems = validateQuestion(edited);
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    onSave(edited);
+  };
+
+  const isOptionType = draft.type === "mcq" || draft.type === "msq";
+
+  return (
+    <div className="item-editor">
+      <label className="item-editor-field">
+        <span>Type</span>
+        <select
+          value={draft.type}
+          onChange={(e) => update({ type: e.target.value, correct: [] })}
+        >
+          {QUESTION_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {QUESTION_TYPE_LABELS[type]}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="item-editor-field">
+        <span>
+          Question
+          {draft.type === "fillblank" && ' - write the blank as "____"'}
+        </span>
+        <textarea
+          value={draft.question}
+          autoFocus
+          onChange={(e) => update({ question: e.target.value })}
+        />
+      </label>
+
+      {isOptionType && (
+        <div className="item-editor-field">
+          <span>
+            Options - tick the correct{" "}
+            {draft.type === "msq" ? "ones (two or more)" : "one"}
+          </span>
+          {OPTION_LETTERS.map((letter, index) => (
+            <div key={letter} className="item-editor-option">
+              <input
+                type={draft.type === "msq" ? "checkbox" : "radio"}
+                name={inputName}
+                checked={draft.correct.includes(letter)}
+                onChange={() => handleCorrectChange(letter)}
+                aria-label={`Option ${letter} is correct`}
+              />
+              <span className="item-editor-letter">{letter})</span>
+              <input
+                type="text"
+                value={draft.options[index]}
+                onChange={(e) => handleOptionChange(index, e.target.value)}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {draft.type === "truefalse" && (
+        <div className="item-editor-field">
+          <span>Correct answer</span>
+          <div className="item-editor-choices">
+            {[
+              ["A", "True"],
+              ["B", "False"],
+            ].map(([letter, label]) => (
+              <label key={letter}>
+                <input
+                  type="radio"
+                  name={inputName}
+                  checked={draft.correct.includes(letter)}
+                  onChange={() => handleCorrectChange(letter)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {draft.type === "fillblank" && (
+        <label className="item-editor-field">
+          <span>Accepted answers - one per line</span>
+          <textarea
+            value={draft.acceptedAnswers}
+            onChange={(e) => update({ acceptedAnswers: e.target.value })}
+          />
+        </label>
+      )}
+
+      {draft.type === "numeric" && (
+        <div className="item-editor-row">
+          <label className="item-editor-field">
+            <span>Answer</span>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={draft.numericAnswer}
+              onChange={(e) => update({ numericAnswer: e.target.value })}
+            />
+          </label>
+          <label className="item-editor-field">
+            <span>Tolerance (±)</span>
+            <input
+              type="text"
+              inputMode="decimal"
+              placeholder="1%"
+              value={draft.tolerance}
+              onChange={(e) => update({ tolerance: e.target.value })}
+            />
+          </label>
+          <label className="item-editor-field">
+            <span>Unit</span>
+            <input
+              type="text"
+              value={draft.unit}
+              onChange={(e) => update({ unit: e.target.value })}
+            />
+          </label>
+        </div>
+      )}
+
+      {draft.type === "short" && (
+        <>
+          <label className="item-editor-field">
+            <span>Model answer</span>
+            <textarea
+              value={draft.modelAnswer}
+              onChange={(e) => update({ modelAnswer: e.target.value })}
+            />
+          </label>
+          <label className="item-editor-field">
+            <span>Rubric - the points a full-marks answer must mention</span>
+            <textarea
+              value={draft.rubric}
+              onChange={(e) => update({ rubric: e.target.value })}
+            />
+          </label>
+        </>
+      )}
+
+      <label className="item-editor-field">
+        <span>Explanation</span>
+        <textarea
+          value={draft.explanation}
+          onChange={(e) => update({ explanation: e.target.value })}
+        />
+      </label>
+
+      {errors.length > 0 && (
+        <p className="item-editor-errors">Please fix: {errors.join("; ")}</p>
+      )}
+      <div className="item-editor-actions">
+        <button className="action-btn action-btn-outline" onClick={onCancel}>
+          Cancel
+        </button>
+        <button className="action-btn action-btn-gradient" onClick={handleSave}>
+          Save question
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default QuestionEditor;
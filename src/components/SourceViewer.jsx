@@ -0,0 +1,129 @@
+import React, { useEffect, useRef } from "react";
+import { PAGE_BREAK } from "../utils/textProcessing";
+import { formatCitation } from "../utils/citations";
+import { LOW_CONFIDENCE } from "../utils/ocr";
+import { hasPageNumbers, locatePage } from "../utils/sources";
+import "./SourceViewer.css";
+
+/**
+ * Split the original text into pages, keeping each page's offset so the
+ * cited range can be highlighted
+ */
+function splitPages(rawText) {
+  let offset = 0;
+  return rawText.split(PAGE_BREAK).map((text, index) => {
+    const page = { number: index + 1, text, start: offset };
+    offset += text.length + PAGE_BREAK.length;
+    return page;
+  });
+}
+
+/**
+ * The original document with the cited passage highlighted and scrolled into
+ * view
+ *
+ * @param {string} rawText - The note's original text
+ * @param {Object} citation - { start, end, pageStart, pageEnd, section }
+ * @param {Array} sources - The documents a combined note was made from
+ * @param {Array} ocrPages - { page, confidence } of pages read by OCR
+ * @param {Function} onClose - Closes the viewer
+ */
+function SourceViewer({
+  rawText,
+  citation,
+  sources = [],
+  ocrPages = [],
+  onClose,
+}) {
+  const highlightRef = useRef(null);
+  const pages = splitPages(rawText);
+  const hasPages = pages.length > 1;
+  const ocrConfidence = new Map(
+    ocrPages.map(({ page, confidence }) => [page, confidence])
+  );
+
+  useEffect(() => {
+    highlightRef.current?.scrollIntoView({ block: "center" });
+  }, [citation]);
+
+  // Escape closes the viewer
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  // "Page 3", or "slides.pptx · page 3" for notes from several files
+  const pageLabel = (number) => {
+    const location = locatePage(sources, number);
+    if (!location) return `Page ${number}`;
+    if (sources.length === 1) return `Page ${location.page}`;
+    return hasPageNumbers(location.source)
+      ? `${location.source.name} · page ${location.page}`
+      : location.source.name;
+  };
+
+  const renderPageText = (page) => {
+    const from = Math.max(citation.start - page.start, 0);
+    const to = Math.min(citation.end - page.start, page.text.length);
+    if (from >= to) return page.text;
+
+    return (
+      <>
+        {page.text.slice(0, from)}
+        <mark
+          className="source-highlight"
+          ref={from === citation.start - page.start ? highlightRef : null}
+        >
+          {page.text.slice(from, to)}
+        </mark>
+        {page.text.slice(to)}
+      </>
+    );
+  };
+
+  return (
+    <div className="source-viewer-overlay" onClick={onClose}>
+      <div className="source-viewer" onClick={(e) => e.stopPropagation()}>
+        <div className="source-viewer-header">
+          <div>
+            <h2>Original text · {formatCitation(citation, sources)}</h2>
+            {citation.section && (
+              <p className="source-viewer-section">{citation.section}</p>
+            )}
+          </div>
+          <button className="close-btn" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+        <div className="source-viewer-body">
+          {pages.map((page) => (
+            <div key={page.number} className="source-page">
+              {(hasPages || ocrConfidence.has(page.number)) && (
+                <div className="source-page-number">
+                  {pageLabel(page.number)}
+                  {ocrConfidence.has(page.number) && (
+                    <span
+                      className={`source-page-ocr ${
+                        ocrConfidence.get(page.number) < LOW_CONFIDENCE
+                          ? "low"
+                          : ""
+                      }`}
+                    >
+                      OCR {ocrConfidence.get(page.number)}% confidence
+                    </span>
+                  )}
+                </div>
+              )}
+              <div className="source-page-text">{renderPageText(page)}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SourceViewer;
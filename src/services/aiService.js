@@ -1,182 +1,224 @@
 /**
- * AI Service for generating study materials using Google Gemini API
- * Implements 4-tier model fallback system with 4 API keys
+ * AI Service for generating study materials
+ * Prompts are sent through the configured LLM provider (see ./providers)
  */
 
-// Load all available API keys
-const API_KEYS = [
-  import.meta.env.VITE_GEMINI_API_KEY_1,
-  import.meta.env.VITE_GEMINI_API_KEY_2,
-  import.meta.env.VITE_GEMINI_API_KEY_3,
-  import.meta.env.VITE_GEMINI_API_KEY_4,
-].filter((key) => key && key.trim() !== "");
-
-// 4-tier model priority (best to fallback)
-const MODELS = [
-  "gemini-2.5-flash-lite", // Primary: Latest stable flash
-  "gemini-2.5-flash", // Fallback 1: Standard flash
-  "gemini-2.5-pro", // Fallback 2: Latest pro
-  "gemini-2.0-flash", // Fallback 3: Legacy model
-];
-
-// Track current key and model indices
-let currentKeyIndex = 0;
-let currentModelIndex = 0;
+import { getProvider } from "./providers";
+import {
+  FLASHCARD_SCHEMA,
+  QUESTION_SCHEMA,
+  GRADE_SCHEMA,
+  listSchema,
+  normalizeFlashcard,
+  validateFlashcard,
+  normalizeQuestion,
+  validateQuestion,
+} from "./schemas";
+import { StructuredOutputError } from "./errors";
 
 /**
- * Get next API key and model combination
- * Cycles through all 4 models for each key before moving to next key
+ * Send a prompt to the active LLM provider
+ * @param {string} prompt - Full prompt text
+ * @param {Object} options
+ * @param {number} options.temperature - Sampling temperature
+ * @param {string} options.task - Pipeline stage (lets the mock provider shape its output)
+ * @param {Object} options.schema - JSON schema to request structured output
+ * @param {number} options.maxOutputTokens - Output token budget
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @param {Function} options.onToken - Receives text as it streams in; when
+ *   set, the provider streams the response
  */
-function getNextKeyAndModel() {
-  if (API_KEYS.length === 0) {
-    throw new Error(
-      "No Gemini API keys configured. Please add your API keys to .env file."
-    );
-  }
+async function callLLM(
+  prompt,
+  {
+    temperature = 0.7,
+    task = "chunkSummary",
+    schema = null,
+    maxOutputTokens = 2048,
+    signal,
+    onToken,
+  } = {}
+) {
+  const provider = getProvider();
+  return await provider.generate(prompt, {
+    temperature,
+    maxOutputTokens,
+    task,
+    schema,
+    signal,
+    onToken,
+  });
+}
+
+// Repair rounds for items that fail schema validation
+const MAX_REPAIR_ATTEMPTS = 2;
 
-  const apiKey = API_KEYS[currentKeyIndex];
-  const model = MODELS[currentModelIndex];
+/**
+ * Models often write LaTeX inside JSON strings with single backslashes.
+ * "\alpha" is an invalid escape and "\frac" / "\times" silently become a
+ * form feed / tab, so double every backslash that doesn't start a real JSON
+ * escape - treating \b \f \r \t followed by a letter, and \n followed by a
+ * LaTeX command name, as LaTeX rather than control characters.
+ */
+function escapeLatexBackslashes(text) {
+  return text.replace(
+    /\\(\\|u[0-9a-fA-F]{4}|[bfrt](?![a-zA-Z])|n(?!(?:abla|eq|eg|u|ot|i|ewline)\b)|["/])|\\/g,
+    (match, escape) => (escape !== undefined ? match : "\\\\")
+  );
+}
 
-  // Move to next model
-  currentModelIndex++;
+/**
+ * Parse a structured response into an array of items
+ * Accepts { "items": [...] }, a bare array, or either inside a ``` fence
+ * @returns {Array|null} Items, or null when the response isn't valid JSON
+ */
+function parseItems(response) {
+  const text = response
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/```$/, "")
+    .trim();
 
-  // If we've tried all models for current key, move to next key
-  if (currentModelIndex >= MODELS.length) {
-    currentModelIndex = 0;
-    currentKeyIndex = (currentKeyIndex + 1) % API_KEYS.length;
+  try {
+    const data = JSON.parse(escapeLatexBackslashes(text));
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data?.items)) return data.items;
+    return null;
+  } catch (error) {
+    return null;
   }
-
-  return { apiKey, model };
 }
 
 /**
- * Call Gemini API with intelligent 4-tier model fallback and key rotation
- * Flow: Try all 4 models with API Key 1 → All 4 models with Key 2 → Key 3 → Key 4
+ * Generate a list of items in structured JSON mode, validate each one and
+ * re-prompt only for the items that fail
+ * @param {Object} config
+ * @param {string} config.prompt - Generation prompt
+ * @param {string} config.kind - "flashcards" | "questions" (used in errors and as task)
+ * @param {Object} config.schema - Item schema
+ * @param {Function} config.normalize - Cleans up an item before validation
+ * @param {Function} config.validate - Returns a list of problems for an item
+ * @param {Function} config.fallbackParse - Optional parser for non-JSON output
+ * @param {string} config.material - Source material, included in repair prompts
+ * @param {string} config.systemPrompt - System/language preamble reused for repairs
+ * @param {number} config.temperature
+ * @param {number} config.maxOutputTokens
+ * @param {AbortSignal} config.signal - Aborts every request
+ * @param {Function} config.onToken - Streams the raw response text
+ * @returns {Promise<Array>} Validated items
+ * @throws {StructuredOutputError} When items can't be parsed or repaired
  */
-async function callGemini(prompt, temperature = 0.7, qualityMode = "balanced") {
-  if (API_KEYS.length === 0) {
-    throw new Error(
-      "Gemini API keys not configured. Please add your API keys to .env file."
+async function generateStructuredItems({
+  prompt,
+  kind,
+  schema,
+  normalize,
+  validate,
+  fallbackParse,
+  material,
+  systemPrompt = SYSTEM_INSTRUCTION,
+  temperature = 0.8,
+  maxOutputTokens = 2048,
+  signal,
+  onToken,
+}) {
+  const envelope = listSchema(schema);
+
+  const response = await callLLM(prompt, {
+    temperature,
+    task: kind,
+    schema: envelope,
+    maxOutputTokens,
+    signal,
+    onToken,
+  });
+  let items = parseItems(response) || fallbackParse?.(response) || null;
+
+  // Unparseable output: ask once more for the whole list
+  if (!items || items.length === 0) {
+    console.warn(`Could not parse ${kind} response, re-prompting...`);
+    const retry = await callLLM(
+      `${prompt}\n\nYour previous reply was not valid JSON. Reply with ONLY the JSON object.`,
+      {
+        temperature,
+        task: kind,
+        schema: envelope,
+        maxOutputTokens,
+        signal,
+        onToken,
+      }
     );
+    items = parseItems(retry);
   }
 
-  // Total combinations: 4 keys × 4 models = 16 attempts max
-  const totalCombinations = API_KEYS.length * MODELS.length;
-  let lastError = null;
-  let attemptCount = 0;
-
-  // Save initial indices to detect full cycle
-  const startKeyIndex = currentKeyIndex;
-  const startModelIndex = currentModelIndex;
-
-  while (attemptCount < totalCombinations) {
-    try {
-      const { apiKey, model } = getNextKeyAndModel();
-      attemptCount++;
-
-      console.log(
-        `Attempt ${attemptCount}/${totalCombinations}: Using ${model} with API Key ${
-          currentKeyIndex + 1
-        }`
-      );
-
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-      const response = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          contents: [
-            {
-              parts: [
-                {
-                  text: prompt,
-                },
-              ],
-            },
-          ],
-          generationConfig: {
-            temperature: temperature,
-            maxOutputTokens: 2048,
-            topP: 0.95,
-            topK: 40,
-          },
-        }),
-      });
+  if (!items || items.length === 0) {
+    throw new StructuredOutputError(
+      `The AI returned ${kind} in an unreadable format. Please try again.`,
+      { kind }
+    );
+  }
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-
-        // Check for rate limit (429) or quota exceeded (429/403)
-        if (response.status === 429 || response.status === 403) {
-          console.warn(
-            `Rate limit/quota exceeded for ${model} (Key ${currentKeyIndex}). Trying next model...`
-          );
-          lastError = new Error(
-            errorData.error?.message || `Rate limit: ${response.status}`
-          );
-          continue; // Try next model immediately
-        }
-
-        // Check for model unavailable errors
-        if (response.status === 404 || response.status === 400) {
-          console.warn(
-            `Model ${model} unavailable or invalid. Trying next model...`
-          );
-          lastError = new Error(
-            errorData.error?.message || `Model error: ${response.status}`
-          );
-          continue;
-        }
-
-        throw new Error(
-          errorData.error?.message ||
-            `API request failed with status ${response.status}`
-        );
-      }
+  items = items.map(normalize);
 
-      const data = await response.json();
+  for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const failing = items
+      .map((item, index) => ({ index, item, errors: validate(item) }))
+      .filter((entry) => entry.errors.length > 0);
 
-      // Extract text from Gemini response
-      if (data.candidates && data.candidates[0]?.content?.parts?.[0]?.text) {
-        console.log(`✓ Success with ${model} (Key ${currentKeyIndex})`);
-        return data.candidates[0].content.parts[0].text;
-      }
+    if (failing.length === 0) return items;
 
-      // Handle blocked or empty responses
-      if (data.candidates?.[0]?.finishReason === "SAFETY") {
-        throw new Error("Content blocked by safety filters");
-      }
+    console.warn(
+      `${failing.length} of ${items.length} ${kind} failed validation (repair ${attempt}/${MAX_REPAIR_ATTEMPTS})`
+    );
 
-      throw new Error("Invalid response format from Gemini API");
-    } catch (error) {
-      lastError = error;
-
-      // If it's a rate limit or quota error, continue immediately to next model
-      if (
-        error.message?.includes("429") ||
-        error.message?.includes("quota") ||
-        error.message?.includes("rate limit")
-      ) {
-        continue;
-      }
+    const repairPrompt = `${systemPrompt}The following ${kind} failed validation. Fix every item so it satisfies the rules, keeping its topic and meaning.
+Return a JSON object of the form {"items": [...]} containing EXACTLY ${
+      failing.length
+    } fixed items, in the same order.
+
+Problems:
+${failing
+  .map((entry, i) => `Item ${i + 1}: ${entry.errors.join("; ")}`)
+  .join("\n")}
+
+Source material for reference:
+${material}
+
+Items to fix:
+${JSON.stringify(
+  failing.map((entry) => entry.item),
+  null,
+  2
+)}`;
+
+    const repaired = parseItems(
+      await callLLM(repairPrompt, {
+        temperature: 0.3,
+        task: "repair",
+        schema: envelope,
+        maxOutputTokens,
+        signal,
+        onToken,
+      })
+    );
 
-      // For other errors, add small delay before retry
-      if (attemptCount < totalCombinations) {
-        await new Promise((resolve) => setTimeout(resolve, 500));
-      }
+    // Only accept repairs that line up one-to-one with the failing items
+    if (repaired && repaired.length === failing.length) {
+      failing.forEach((entry, i) => {
+        items[entry.index] = normalize(repaired[i]);
+      });
     }
   }
 
-  // All combinations exhausted
-  throw (
-    lastError ||
-    new Error(
-      `All ${totalCombinations} API key/model combinations exhausted. Please wait before retrying.`
-    )
-  );
+  const stillInvalid = items.filter((item) => validate(item).length > 0);
+  if (stillInvalid.length > 0) {
+    throw new StructuredOutputError(
+      `${stillInvalid.length} generated ${kind} could not be repaired. Please try again.`,
+      { kind, invalidItems: stillInvalid }
+    );
+  }
+
+  return items;
 }
 
 /**
@@ -185,25 +227,270 @@ async function callGemini(prompt, temperature = 0.7, qualityMode = "balanced") {
 const SYSTEM_INSTRUCTION =
   "You are a helpful study assistant that condenses content for college students.\n\n";
 
+/**
+ * Output languages. Prompts refer to them by their English name.
+ */
+export const SUPPORTED_LANGUAGES = [
+  { id: "english", name: "English", nativeName: "English" },
+  { id: "hindi", name: "Hindi", nativeName: "हिन्दी" },
+  { id: "spanish", name: "Spanish", nativeName: "Español" },
+  { id: "french", name: "French", nativeName: "Français" },
+  { id: "german", name: "German", nativeName: "Deutsch" },
+  { id: "portuguese", name: "Portuguese", nativeName: "Português" },
+  { id: "bengali", name: "Bengali", nativeName: "বাংলা" },
+  { id: "tamil", name: "Tamil", nativeName: "தமிழ்" },
+];
+
+/**
+ * Formatting rules shared by every prompt: Markdown for structure, LaTeX
+ * for maths (rendered with KaTeX in the app)
+ */
+const FORMAT_INSTRUCTION = `FORMATTING: Use Markdown (**bold**, lists, tables) where it helps. Write every formula, equation and symbolic expression in LaTeX: inline as $F = ma$, and display equations on their own line as $$v^2 = u^2 + 2as$$. Do not use \\( \\) or \\[ \\] delimiters. Inside JSON strings, escape each backslash (write "$\\\\frac{1}{2}mv^2$").
+
+`;
+
+/**
+ * Build the language rules for a prompt
+ * Empty for plain English output
+ */
+function languageInstruction({ language = "english", bilingual = false }) {
+  const target = SUPPORTED_LANGUAGES.find((l) => l.id === language);
+  if (!target || target.id === "english") return "";
+
+  let instruction = `LANGUAGE: Write ALL of your output (headings, notes, key points, flashcards, questions, options and explanations) in ${target.name}.
+- Keep formulas, equations, units, chemical symbols, variable names and code exactly as they are - never translate or transliterate them.
+- Keep standard technical terms recognisable; do not invent literal translations for them.
+- Keep any JSON keys and the option letters A, B, C, D in English.
+`;
+
+  if (bilingual) {
+    instruction += `- BILINGUAL: every time a technical term appears, write it in ${target.name} followed by its English equivalent in parentheses, e.g. "<${target.name} term> (English term)".
+`;
+  }
+
+  return `${instruction}\n`;
+}
+
+/**
+ * The student's own request when regenerating a section, e.g. "more
+ * numericals". Empty when there is none.
+ */
+function studentInstruction({ instruction }) {
+  const text = instruction?.trim();
+  if (!text) return "";
+  return `STUDENT REQUEST: ${text}
+Follow this request wherever the material allows, while keeping to the output format asked for below.
+
+`;
+}
+
+/**
+ * System instruction plus the formatting and language rules for the given options
+ * @param {Object} options - { language, bilingual, instruction }
+ */
+function buildSystemPrompt(options = {}) {
+  return `${SYSTEM_INSTRUCTION}${FORMAT_INSTRUCTION}${languageInstruction(
+    options
+  )}${studentInstruction(options)}`;
+}
+
+/**
+ * Depth presets: "brief" / "medium" / "exhaustive"
+ * Each one tunes the prompts, item counts, output budget and chunk size
+ */
+export const DEPTH_PROFILES = {
+  brief: {
+    chunkTokens: 3300,
+    maxOutputTokens: 1024,
+    countScale: 0.5,
+    minItems: 3,
+    maxItems: 15,
+    chunkBullets: "3-5",
+    notesLength: "300-800 words",
+    notesStyle:
+      "Keep it short: cover only the core ideas, the most important formulas and one example per topic. Skip derivations and side details.",
+    keyPointRanges: ["5-8", "8-12", "12-15"],
+  },
+  medium: {
+    chunkTokens: 2000,
+    maxOutputTokens: 2048,
+    countScale: 1,
+    minItems: 5,
+    maxItems: 30,
+    chunkBullets: "5-10",
+    notesLength: "1000-3000 words depending on content",
+    notesStyle: "Make it comprehensive yet readable.",
+    keyPointRanges: ["8-12", "15-25", "25-40+"],
+  },
+  exhaustive: {
+    chunkTokens: 1300,
+    maxOutputTokens: 8192,
+    countScale: 1.5,
+    minItems: 8,
+    maxItems: 45,
+    chunkBullets: "10-15",
+    notesLength: "3000-6000 words depending on content",
+    notesStyle:
+      "Leave nothing out: cover every definition, formula, derivation step, example and edge case in the material.",
+    keyPointRanges: ["12-20", "25-40", "40-60+"],
+  },
+};
+
+/**
+ * Get the preset for a depth id, falling back to "medium"
+ */
+export function getDepthProfile(depth) {
+  return DEPTH_PROFILES[depth] || DEPTH_PROFILES.medium;
+}
+
+// Room left in the context window for the system prompt and instructions
+const PROMPT_OVERHEAD_TOKENS = 1500;
+const MIN_CHUNK_TOKENS = 500;
+
+/**
+ * Chunking options for the active model: the depth's chunk size, capped so
+ * a chunk, the prompt and the answer fit in the model's context window
+ * @returns {Object} { maxTokens, tokenizer } for chunkText()
+ */
+export function getChunkingOptions(depth) {
+  const profile = getDepthProfile(depth);
+  const provider = getProvider();
+  const available =
+    provider.contextTokens - profile.maxOutputTokens - PROMPT_OVERHEAD_TOKENS;
+
+  return {
+    maxTokens: Math.max(
+      MIN_CHUNK_TOKENS,
+      Math.min(profile.chunkTokens, available)
+    ),
+    tokenizer: provider.tokenizer,
+  };
+}
+
+/**
+ * Scale a base item count by depth and clamp it to the preset's range
+ */
+function scaleCount(baseCount, profile) {
+  return Math.min(
+    profile.maxItems,
+    Math.max(profile.minItems, Math.round(baseCount * profile.countScale))
+  );
+}
+
+/**
+ * Where a chunk sits in the document, e.g. 'pages 3-4, section "Optics"'
+ */
+function describeAnchor({ section, pageStart, pageEnd }) {
+  const parts = [];
+  if (pageStart !== null) {
+    parts.push(
+      pageStart === pageEnd
+        ? `page ${pageStart}`
+        : `pages ${pageStart}-${pageEnd}`
+    );
+  }
+  if (section) parts.push(`section "${section}"`);
+  return parts.join(", ");
+}
+
+/**
+ * The parts of the document (from sourceSections()) listed by number for
+ * an item prompt, with the rule for naming them. Nothing when there is
+ * only one part - every item comes from it.
+ */
+function sourceSectionsPrompt(sections = [], rule) {
+  if (sections.length < 2) return "";
+  const list = sections
+    .map(
+      (section, index) =>
+        `[${index + 1}] ${
+          section.anchor ? describeAnchor(section.anchor) : "untitled part"
+        }\n${section.summary}`
+    )
+    .join("\n\n");
+  return `The material was written from these parts of the original document:
+
+${list}
+
+${rule}
+
+`;
+}
+
+/**
+ * The anchor of document part number n (1-based) from sourceSections(), or
+ * of the only part whatever the number
+ * @returns {Object|null} { section, pageStart, pageEnd }
+ */
+export function sectionAnchor(sections = [], number) {
+  const section = sections.length === 1 ? sections[0] : sections[number - 1];
+  return section?.anchor || null;
+}
+
+/**
+ * Swap the "source" number of each generated item for that part's anchor
+ */
+function anchorItems(items, sections) {
+  return items.map(({ source, ...item }) => {
+    const anchor = sectionAnchor(sections, source);
+    return anchor ? { ...item, anchor } : item;
+  });
+}
+
+/**
+ * Rule for notes made from several files, which often cover the same
+ * topics (nothing for a single source)
+ * @param {Array<string>} sources - File names
+ */
+function sourcesInstruction(sources = []) {
+  if (sources.length < 2) return "";
+  const names = sources.join(", ");
+  return `The material combines several sources (${names}) that often cover the same topics. Write each topic ONCE, merging everything the sources say about it in one place - never repeat a topic under a different name`;
+}
+
 /**
  * Generate chunk summary
+ * @param {string} chunkText - Text of one chunk
+ * @param {Object} options - { depth, language, bilingual, instruction,
+ *   anchor, sources, signal, onToken } - anchor is the chunk's place in the
+ *   document, from chunkAnchor(); sources names the files when the only
+ *   chunk combines several
  */
-export async function generateChunkSummary(chunkText) {
-  const prompt = `${SYSTEM_INSTRUCTION}Summarize the following text into 5-10 concise bullet points, one sentence each.
+export async function generateChunkSummary(chunkText, options = {}) {
+  const profile = getDepthProfile(options.depth);
+  const systemPrompt = buildSystemPrompt(options);
+  const location = options.anchor
+    ? `\nThe text is from ${describeAnchor(options.anchor)} of the document.`
+    : "";
+  const mergeRule = sourcesInstruction(options.sources);
+  const merge = mergeRule ? `\n${mergeRule}.` : "";
+  const prompt = `${systemPrompt}Summarize the following text into ${profile.chunkBullets} concise bullet points, one sentence each.${location}${merge}
 Output only bullet points.
 
 Text:
 ${chunkText}`;
 
-  return await callGemini(prompt);
+  return await callLLM(prompt, {
+    task: "chunkSummary",
+    maxOutputTokens: profile.maxOutputTokens,
+    signal: options.signal,
+    onToken: options.onToken,
+  });
 }
 
 /**
  * Synthesize multiple chunk summaries into one cohesive summary
  * Creates detailed prose-style notes like ChatGPT
+ * @param {Object} options - { depth, language, bilingual, instruction,
+ *   signal, onToken, sources } - sources names the files when the notes
+ *   combine several
  */
-export async function synthesizeSummaries(chunkSummaries) {
-  const prompt = `${SYSTEM_INSTRUCTION}You are an expert study notes creator. Analyze the content and write comprehensive, well-structured study notes in a natural, flowing paragraph format (like ChatGPT).
+export async function synthesizeSummaries(chunkSummaries, options = {}) {
+  const profile = getDepthProfile(options.depth);
+  const systemPrompt = buildSystemPrompt(options);
+  const mergeRule = sourcesInstruction(options.sources);
+  const merge = mergeRule ? `\n- ${mergeRule}` : "";
+  const prompt = `${systemPrompt}You are an expert study notes creator. Analyze the content and write comprehensive, well-structured study notes in a natural, flowing paragraph format (like ChatGPT).
 
 Write detailed notes covering ALL topics with the following structure for EACH topic:
 
@@ -213,9 +500,9 @@ Begin with a clear introduction explaining the topic in 3-4 sentences. Then prov
 
 **Key Concepts:** Write 2-3 paragraphs explaining the main concepts, theories, and principles. Use natural language, not bullet points.
 
-**Formulas and Equations:** If formulas are present in the content, explain them in detail with proper notation. For example: "The fundamental equation is F = ma, where F represents force in Newtons, m is mass in kilograms, and a is acceleration in meters per second squared." If the content lacks important formulas that are essential to the topic, you may add standard formulas with clear explanations.
+**Formulas and Equations:** If formulas are present in the content, explain them in detail in LaTeX. For example: "The fundamental equation is $F = ma$, where $F$ represents force in Newtons, $m$ is mass in kilograms, and $a$ is acceleration in meters per second squared." Put important equations on their own line as display math, e.g. $$E_k = \\frac{1}{2}mv^2$$. If the content lacks important formulas that are essential to the topic, you may add standard formulas with clear explanations.
 
-**Constants and Values:** Mention all numerical values, constants, and measurements from the content. If standard constants are needed but not in the content (like g = 9.8 m/s², c = 3×10⁸ m/s, π = 3.14159), you may include them with explanations.
+**Constants and Values:** Mention all numerical values, constants, and measurements from the content. If standard constants are needed but not in the content (like $g = 9.8\\ \\text{m/s}^2$, $c = 3 \\times 10^8\\ \\text{m/s}$, $\\pi \\approx 3.14159$), you may include them with explanations.
 
 **Derivations:** If derivations are shown in the content, explain them step-by-step in paragraph form, showing the logical progression.
 
@@ -230,42 +517,70 @@ IMPORTANT INSTRUCTIONS:
 - Use natural, conversational language like explaining to a student
 - Extract all content from the material first
 - Add missing essential formulas, constants only if they enhance understanding
-- Make it comprehensive yet readable
+- ${profile.notesStyle}
 - Include all numerical examples and calculations from content
-- Use proper mathematical notation
-- Generate extensive notes (aim for 1000-3000 words depending on content)
+- Write all mathematical notation in LaTeX ($...$ inline, $$...$$ for display equations); a Markdown table is fine for comparing quantities
+- Aim for ${profile.notesLength}${merge}
 
 Chunk summaries:
 ${chunkSummaries.join("\n\n---\n\n")}`;
 
-  return await callGemini(prompt, 0.7);
+  return await callLLM(prompt, {
+    temperature: 0.7,
+    task: "synthesis",
+    maxOutputTokens: profile.maxOutputTokens,
+    signal: options.signal,
+    onToken: options.onToken,
+  });
 }
 
 /**
  * Extract key points from text
+ * @param {Object} options - { depth, language, bilingual, instruction,
+ *   sourceSections, signal, onToken } - with several sourceSections each
+ *   point ends with the number of its part, e.g. "[2]" (see parseKeyPoints)
  */
-export async function extractKeyPoints(text) {
-  const prompt = `${SYSTEM_INSTRUCTION}From the following text, extract ALL essential key points that a student must remember.
+export async function extractKeyPoints(text, options = {}) {
+  const profile = getDepthProfile(options.depth);
+  const systemPrompt = buildSystemPrompt(options);
+  const [shortRange, mediumRange, longRange] = profile.keyPointRanges;
+  const sourcesPrompt = sourceSectionsPrompt(
+    options.sourceSections,
+    'End every key point with the number of the part it comes from in brackets, e.g. "- Current is proportional to voltage [2]".'
+  );
+  const prompt = `${systemPrompt}From the following text, extract ALL essential key points that a student must remember.
 Each key point should be clear and actionable.
 
 Generate AS MANY key points AS NEEDED based on content length:
-- For short content: 8-12 points
-- For medium content (standard chapter): 15-25 points
-- For long content (detailed chapters): 25-40+ points
+- For short content: ${shortRange} points
+- For medium content (standard chapter): ${mediumRange} points
+- For long content (detailed chapters): ${longRange} points
 
 Do NOT limit yourself to a fixed number. Extract EVERY important concept, definition, formula, and fact.
-Output as bullet points covering all major concepts comprehensively.
+Output as bullet points covering all major concepts comprehensively. Write formulas in LaTeX with $...$.
 
-Text:
+${sourcesPrompt}Text:
 ${text}`;
 
-  return await callGemini(prompt);
+  return await callLLM(prompt, {
+    task: "keyPoints",
+    maxOutputTokens: profile.maxOutputTokens,
+    signal: options.signal,
+    onToken: options.onToken,
+  });
 }
 
 /**
  * Generate flashcards from summary
+ * @param {Object} options - { depth, language, bilingual, instruction,
+ *   sourceSections, signal, onToken }
+ * @returns {Promise<Array>} Cards, each with the anchor of the part of the
+ *   document it comes from when sourceSections are given
  */
-export async function generateFlashcards(summaryText) {
+export async function generateFlashcards(summaryText, options = {}) {
+  const profile = getDepthProfile(options.depth);
+  const systemPrompt = buildSystemPrompt(options);
+
   // Calculate target number based on content length
   const wordCount = summaryText.split(/\s+/).length;
   let targetCount;
@@ -280,10 +595,15 @@ export async function generateFlashcards(summaryText) {
   } else {
     targetCount = 30; // Very long content
   }
+  targetCount = scaleCount(targetCount, profile);
 
-  const prompt = `${SYSTEM_INSTRUCTION}Analyze the material and create diverse flashcards covering ALL content.
+  const sourcesPrompt = sourceSectionsPrompt(
+    options.sourceSections,
+    'Give every flashcard a "source" field with the number of the part it comes from.'
+  );
+  const prompt = `${systemPrompt}Analyze the material and create diverse flashcards covering ALL content.
 
-Generate EXACTLY ${targetCount} flashcards based on the content (minimum 5, maximum 30 based on content length).
+Generate EXACTLY ${targetCount} flashcards based on the content (minimum ${profile.minItems}, maximum ${profile.maxItems} based on content length).
 
 ANALYZE the content and create appropriate question types based on what's present:
 
@@ -326,35 +646,46 @@ CRITICAL RULES:
 - If content has 70% theory, make 70% theory questions
 - If content has 50% numerical, make 50% numerical questions
 
-Output in JSON format:
-[
-  {"question": "...", "answer": "..."},
-  {"question": "...", "answer": "..."}
-]
+Output a JSON object in this exact format:
+{
+  "items": [
+    {"question": "...", "answer": "..."},
+    {"question": "...", "answer": "..."}
+  ]
+}
 
-Material:
-${summaryText}`;
+Every flashcard needs a non-empty question and a non-empty answer.
 
-  const response = await callGemini(prompt, 0.8);
+${sourcesPrompt}Material:
+${summaryText}`;
 
-  try {
-    // Extract JSON from response
-    const jsonMatch = response.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    throw new Error("Invalid JSON response");
-  } catch (error) {
-    console.error("Failed to parse flashcards:", error);
-    // Fallback: parse manually
-    return parseFlashcardsManually(response);
-  }
+  const cards = await generateStructuredItems({
+    prompt,
+    kind: "flashcards",
+    schema: FLASHCARD_SCHEMA,
+    normalize: normalizeFlashcard,
+    validate: validateFlashcard,
+    fallbackParse: parseFlashcardsManually,
+    material: summaryText,
+    systemPrompt,
+    maxOutputTokens: profile.maxOutputTokens,
+    signal: options.signal,
+    onToken: options.onToken,
+  });
+  return anchorItems(cards, options.sourceSections);
 }
 
 /**
- * Generate practice questions (MCQ and MSQ) with answer validation
+ * Generate practice questions (MCQ, MSQ, true/false, fill in the blank,
+ * numeric and short answer) with answer validation
+ * @param {Object} options - { depth, language, bilingual, instruction,
+ *   sourceSections, signal, onToken } - questions are anchored as
+ *   flashcards are
  */
-export async function generatePracticeQuestions(summaryText) {
+export async function generatePracticeQuestions(summaryText, options = {}) {
+  const profile = getDepthProfile(options.depth);
+  const systemPrompt = buildSystemPrompt(options);
+
   // Calculate target number based on content length
   const wordCount = summaryText.split(/\s+/).length;
   let targetCount;
@@ -369,8 +700,13 @@ export async function generatePracticeQuestions(summaryText) {
   } else {
     targetCount = 25; // Very long content
   }
+  targetCount = scaleCount(targetCount, profile);
 
-  const prompt = `${SYSTEM_INSTRUCTION}Create comprehensive MCQ (Multiple Choice Questions) based on the material. Generate EXACTLY ${targetCount} questions (minimum 5, maximum 30 based on content length).
+  const sourcesPrompt = sourceSectionsPrompt(
+    options.sourceSections,
+    'Give every question a "source" field with the number of the part it comes from.'
+  );
+  const prompt = `${systemPrompt}Create comprehensive practice questions of several formats based on the material. Generate EXACTLY ${targetCount} questions (minimum ${profile.minItems}, maximum ${profile.maxItems} based on content length).
 
 **Question Types Based on Content:**
 
@@ -386,10 +722,18 @@ export async function generatePracticeQuestions(summaryText) {
    - Unit conversions (if in content)
    - Formula applications
 
-**Question Format:**
-- All questions are MCQ (Multiple Choice - ONLY ONE correct answer)
-- Create 4 distinct options (A, B, C, D) for each question
-- Only ONE option is correct
+**Question Formats** (the "type" field):
+- "mcq" - Multiple Choice, 4 options (A-D), EXACTLY ONE correct
+- "msq" - Multiple Select, 4 options (A-D), TWO OR MORE correct; word it so several may apply (e.g. "Which of the following are...")
+- "truefalse" - a statement to judge; "correct" is ["True"] or ["False"]; no options needed
+- "fillblank" - a sentence with ONE blank written as "____"; "acceptedAnswers" lists every acceptable fill (synonyms, symbols, spellings)
+- "numeric" - a calculation with a single numerical result; give "numericAnswer" (a number), "tolerance" (allowed absolute error) and "unit" ("" if unitless)
+- "short" - a 1-3 sentence free-text answer; give a "modelAnswer" and a "rubric" listing the points a full-marks answer must mention
+
+**Format Mix:**
+- Roughly 40% mcq, 20% msq, 10% truefalse, 10% fillblank, 10% numeric, 10% short
+- Only use "numeric" when the material has calculations or quantities; otherwise use mcq instead
+- Use msq for topics with several valid properties, examples, causes or conditions
 
 **Difficulty Levels:**
 - Easy (basic recall) - 30%
@@ -399,61 +743,148 @@ export async function generatePracticeQuestions(summaryText) {
 **IMPORTANT INSTRUCTIONS:**
 - Base questions primarily on content from the material
 - For numerical questions, if essential formulas are missing from content, you may add standard formulas (like F=ma, E=mc², etc.) with clear explanations
-- Create 4 distinct options for each question
+- Create 4 distinct options for each mcq and msq question
 - Make incorrect options plausible (common mistakes, partial answers)
-- Each question has EXACTLY ONE correct answer
+- Each mcq has EXACTLY ONE correct answer; each msq has at least two
 - Provide detailed explanations showing:
-  * Why the correct answer is right
+  * Why the correct answer(s) are right
   * Why incorrect options are wrong
   * Step-by-step calculations for numerical questions
 
 **Validation Feature:**
 Each question should be designed so students can verify their answer against the provided explanation and understand their mistakes.
 
-Output in strict JSON format (MCQ ONLY):
-[
+Output a JSON object in this exact format. For mcq/msq "correct" is ALWAYS a list of letters - one letter for mcq, two or more for msq:
+{
+"items": [
   {
     "type": "mcq",
     "question": "What is the force when mass is 10kg and acceleration is 5m/s²?",
     "options": ["A) 50 N", "B) 15 N", "C) 2 N", "D) 100 N"],
-    "correct": "A",
-    "explanation": "Using F = ma: F = 10kg × 5m/s² = 50N. Option B (15N) would be m+a, Option C (2N) would be a/m, Option D (100N) is incorrect calculation."
+    "correct": ["A"],
+    "explanation": "Using $F = ma$: $F = 10\\\\,\\\\text{kg} \\\\times 5\\\\,\\\\text{m/s}^2 = 50\\\\,\\\\text{N}$. Option B (15 N) would be $m + a$, Option C (2 N) would be $a/m$, Option D (100 N) is an incorrect calculation."
   },
   {
     "type": "mcq",
     "question": "Which law states that force equals mass times acceleration?",
     "options": ["A) Newton's First Law", "B) Newton's Second Law", "C) Newton's Third Law", "D) Law of Conservation"],
-    "correct": "B",
+    "correct": ["B"],
     "explanation": "Newton's Second Law states F=ma. First Law is about inertia, Third Law is action-reaction, and Conservation Law is different."
   },
   {
-    "type": "mcq",
-    "question": "...",
-    "options": ["A) ...", "B) ...", "C) ...", "D) ..."],
-    "correct": "C",
-    "explanation": "..."
+    "type": "msq",
+    "question": "Which of the following are vector quantities?",
+    "options": ["A) Velocity", "B) Mass", "C) Force", "D) Temperature"],
+    "correct": ["A", "C"],
+    "explanation": "Velocity and force have both magnitude and direction, so they are vectors. Mass and temperature only have magnitude, so they are scalars."
+  },
+  {
+    "type": "truefalse",
+    "question": "An object moving at constant velocity has zero net force acting on it.",
+    "correct": ["True"],
+    "explanation": "By Newton's First Law, constant velocity means zero acceleration, so F = ma = 0."
+  },
+  {
+    "type": "fillblank",
+    "question": "The SI unit of force is the ____.",
+    "acceptedAnswers": ["Newton", "N", "newtons"],
+    "explanation": "Force is measured in newtons (N), where 1 N = 1 kg·m/s²."
+  },
+  {
+    "type": "numeric",
+    "question": "A 2 kg ball accelerates at 3.5 m/s². What net force acts on it?",
+    "numericAnswer": 7,
+    "tolerance": 0.1,
+    "unit": "N",
+    "explanation": "$F = ma = 2 \\\\times 3.5 = 7$ N."
+  },
+  {
+    "type": "short",
+    "question": "Explain why passengers lurch forward when a bus brakes suddenly.",
+    "modelAnswer": "Their bodies tend to keep moving forward due to inertia while the bus slows down.",
+    "rubric": "Mentions inertia / Newton's First Law; says the body keeps moving while the bus decelerates.",
+    "explanation": "This is a direct consequence of inertia: no force acts on the passengers' upper bodies to slow them with the bus."
   }
 ]
+}
+
+Every question MUST have a non-empty explanation and the fields its type requires: mcq/msq need exactly 4 options and "correct" letters from "A", "B", "C", "D"; truefalse needs "correct"; fillblank needs "____" and "acceptedAnswers"; numeric needs "numericAnswer" and "tolerance"; short needs "modelAnswer" and "rubric".
 
-Material:
+${sourcesPrompt}Material:
 ${summaryText}`;
 
-  const response = await callGemini(prompt, 0.8);
+  const questions = await generateStructuredItems({
+    prompt,
+    kind: "questions",
+    schema: QUESTION_SCHEMA,
+    normalize: normalizeQuestion,
+    validate: validateQuestion,
+    material: summaryText,
+    systemPrompt,
+    maxOutputTokens: profile.maxOutputTokens,
+    signal: options.signal,
+    onToken: options.onToken,
+  });
+  return anchorItems(questions, options.sourceSections);
+}
+
+/**
+ * Grade a short free-text answer against the question's rubric
+ * @param {Object} question - A "short" question with modelAnswer and rubric
+ * @param {string} userAnswer - The student's answer
+ * @param {Object} options - { language, bilingual, signal }
+ * @returns {Promise<{grade: number, feedback: string}>} grade from 0 to 1
+ */
+export async function gradeShortAnswer(question, userAnswer, options = {}) {
+  const systemPrompt = buildSystemPrompt(options);
+  const prompt = `${systemPrompt}You are grading a student's short answer. Be fair: award credit for every rubric point the answer covers, even if it is worded differently. Ignore spelling and grammar.
+
+Question:
+${question.question}
+
+Model answer:
+${question.modelAnswer}
+
+Rubric:
+${question.rubric}
 
+Return a JSON object {"grade": <number from 0 to 1>, "feedback": "<one or two sentences telling the student what they got right and what was missing>"}.
+
+Student answer:
+${userAnswer}`;
+
+  const response = await callLLM(prompt, {
+    temperature: 0.2,
+    task: "grade",
+    schema: GRADE_SCHEMA,
+    maxOutputTokens: 512,
+    signal: options.signal,
+  });
+
+  const text = response
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/```$/, "");
   try {
-    const jsonMatch = response.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    throw new Error("Invalid JSON response");
+    // Feedback may quote LaTeX, as item text does
+    const data = JSON.parse(escapeLatexBackslashes(text));
+    const grade = Number(data.grade);
+    if (!Number.isFinite(grade)) throw new Error("grade is not a number");
+    return {
+      grade: Math.min(1, Math.max(0, grade)),
+      feedback: String(data.feedback || "").trim(),
+    };
   } catch (error) {
-    console.error("Failed to parse questions:", error);
-    return parseQuestionsManually(response);
+    throw new StructuredOutputError(
+      "Could not grade this answer. Please try again.",
+      { kind: "grade" }
+    );
   }
 }
 
 /**
- * Fallback parser for flashcards
+ * Fallback parser for flashcards written as "Q: ... / A: ..." lines
+ * @returns {Array|null} Flashcards, or null when nothing could be parsed
  */
 function parseFlashcardsManually(text) {
   const flashcards = [];
@@ -473,27 +904,5 @@ function parseFlashcardsManually(text) {
   }
   if (currentQ && currentQ.answer) flashcards.push(currentQ);
 
-  return flashcards.length > 0
-    ? flashcards
-    : [
-        {
-          question: "Sample Question",
-          answer: "Sample Answer - Generation failed, please try again.",
-        },
-      ];
-}
-
-/**
- * Fallback parser for questions
- */
-function parseQuestionsManually(text) {
-  return [
-    {
-      type: "mcq",
-      question: "Sample question - Generation failed, please try again.",
-      options: ["A) Option 1", "B) Option 2", "C) Option 3", "D) Option 4"],
-      correct: "A",
-      explanation: "Please regenerate questions.",
-    },
-  ];
+  return flashcards.length > 0 ? flashcards : null;
 }
@@ -0,0 +1,16 @@
+/**
+ * Error types raised by the AI service
+ */
+
+/**
+ * Thrown when the model keeps returning items that fail schema validation,
+ * even after repair prompts. Carries the items that could not be fixed.
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { kind, invalidItems = [] } = {}) {
+    super(message);
+    this.name = "StructuredOutputError";
+    this.kind = kind;
+    this.invalidItems = invalidItems;
+  }
+}
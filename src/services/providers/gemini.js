@@ -0,0 +1,273 @@
+/**
+ * Google Gemini provider
+ * Implements 4-tier model fallback system with 4 API keys
+ */
+
+import { readServerSentEvents, isAbortError } from "./streaming";
+
+// Load all available API keys
+const API_KEYS = [
+  import.meta.env.VITE_GEMINI_API_KEY_1,
+  import.meta.env.VITE_GEMINI_API_KEY_2,
+  import.meta.env.VITE_GEMINI_API_KEY_3,
+  import.meta.env.VITE_GEMINI_API_KEY_4,
+].filter((key) => key && key.trim() !== "");
+
+// 4-tier model priority (best to fallback)
+const MODELS = [
+  "gemini-2.5-flash-lite", // Primary: Latest stable flash
+  "gemini-2.5-flash", // Fallback 1: Standard flash
+  "gemini-2.5-pro", // Fallback 2: Latest pro
+  "gemini-2.0-flash", // Fallback 3: Legacy model
+];
+
+// Track current key and model indices
+let currentKeyIndex = 0;
+let currentModelIndex = 0;
+
+/**
+ * Get next API key and model combination
+ * Cycles through all 4 models for each key before moving to next key
+ */
+function getNextKeyAndModel() {
+  if (API_KEYS.length === 0) {
+    throw new Error(
+      "No Gemini API keys configured. Please add your API keys to .env file."
+    );
+  }
+
+  const apiKey = API_KEYS[currentKeyIndex];
+  const model = MODELS[currentModelIndex];
+
+  // Move to next model
+  currentModelIndex++;
+
+  // If we've tried all models for current key, move to next key
+  if (currentModelIndex >= MODELS.length) {
+    currentModelIndex = 0;
+    currentKeyIndex = (currentKeyIndex + 1) % API_KEYS.length;
+  }
+
+  return { apiKey, model };
+}
+
+/**
+ * Convert a JSON Schema subset to Gemini's OpenAPI-style schema
+ * (Gemini expects upper-case type names)
+ */
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== "object") return schema;
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "type") {
+      converted.type = value.toUpperCase();
+    } else if (key === "properties") {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, prop]) => [
+          name,
+          toGeminiSchema(prop),
+        ])
+      );
+    } else {
+      converted[key] = toGeminiSchema(value);
+    }
+  }
+  return converted;
+}
+
+/**
+ * Read a streamed (SSE) response, passing each piece of text to onToken
+ */
+async function readStream(response, onToken) {
+  let text = "";
+  let finishReason = null;
+
+  await readServerSentEvents(response, (payload) => {
+    const candidate = JSON.parse(payload).candidates?.[0];
+    const piece = candidate?.content?.parts?.[0]?.text || "";
+    finishReason = candidate?.finishReason || finishReason;
+    if (piece) {
+      text += piece;
+      onToken(piece);
+    }
+  });
+
+  if (!text && finishReason === "SAFETY") {
+    throw new Error("Content blocked by safety filters");
+  }
+  if (!text) {
+    throw new Error("Invalid response format from Gemini API");
+  }
+  return text;
+}
+
+/**
+ * Call Gemini API with intelligent 4-tier model fallback and key rotation
+ * Flow: Try all 4 models with API Key 1 → All 4 models with Key 2 → Key 3 → Key 4
+ * Streams the response when onToken is given; signal cancels the request.
+ */
+async function generate(
+  prompt,
+  {
+    temperature = 0.7,
+    maxOutputTokens = 2048,
+    schema = null,
+    signal,
+    onToken,
+  } = {}
+) {
+  if (API_KEYS.length === 0) {
+    throw new Error(
+      "Gemini API keys not configured. Please add your API keys to .env file."
+    );
+  }
+
+  // Total combinations: 4 keys × 4 models = 16 attempts max
+  const totalCombinations = API_KEYS.length * MODELS.length;
+  let lastError = null;
+  let attemptCount = 0;
+  // Once text has been streamed to the caller another model can't take
+  // over, or its output would be appended to the partial text
+  let streamed = false;
+  const emit = (piece) => {
+    streamed = true;
+    onToken(piece);
+  };
+
+  while (attemptCount < totalCombinations) {
+    try {
+      const { apiKey, model } = getNextKeyAndModel();
+      attemptCount++;
+
+      console.log(
+        `Attempt ${attemptCount}/${totalCombinations}: Using ${model} with API Key ${
+          currentKeyIndex + 1
+        }`
+      );
+
+      const url = onToken
+        ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+        : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+
+      const response = await fetch(url, {
+        method: "POST",
+        signal,
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          contents: [
+            {
+              parts: [
+                {
+                  text: prompt,
+                },
+              ],
+            },
+          ],
+          generationConfig: {
+            temperature: temperature,
+            maxOutputTokens: maxOutputTokens,
+            topP: 0.95,
+            topK: 40,
+            ...(schema && {
+              responseMimeType: "application/json",
+              responseSchema: toGeminiSchema(schema),
+            }),
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+
+        // Check for rate limit (429) or quota exceeded (429/403)
+        if (response.status === 429 || response.status === 403) {
+          console.warn(
+            `Rate limit/quota exceeded for ${model} (Key ${currentKeyIndex}). Trying next model...`
+          );
+          lastError = new Error(
+            errorData.error?.message || `Rate limit: ${response.status}`
+          );
+          continue; // Try next model immediately
+        }
+
+        // Check for model unavailable errors
+        if (response.status === 404 || response.status === 400) {
+          console.warn(
+            `Model ${model} unavailable or invalid. Trying next model...`
+          );
+          lastError = new Error(
+            errorData.error?.message || `Model error: ${response.status}`
+          );
+          continue;
+        }
+
+        throw new Error(
+          errorData.error?.message ||
+            `API request failed with status ${response.status}`
+        );
+      }
+
+      if (onToken) {
+        const text = await readStream(response, emit);
+        console.log(`✓ Success with ${model} (Key ${currentKeyIndex})`);
+        return text;
+      }
+
+      const data = await response.json();
+
+      // Extract text from Gemini response
+      if (data.candidates && data.candidates[0]?.content?.parts?.[0]?.text) {
+        console.log(`✓ Success with ${model} (Key ${currentKeyIndex})`);
+        return data.candidates[0].content.parts[0].text;
+      }
+
+      // Handle blocked or empty responses
+      if (data.candidates?.[0]?.finishReason === "SAFETY") {
+        throw new Error("Content blocked by safety filters");
+      }
+
+      throw new Error("Invalid response format from Gemini API");
+    } catch (error) {
+      // Cancelled by the user, or failed mid-stream - don't try other models
+      if (isAbortError(error) || streamed) throw error;
+
+      lastError = error;
+
+      // If it's a rate limit or quota error, continue immediately to next model
+      if (
+        error.message?.includes("429") ||
+        error.message?.includes("quota") ||
+        error.message?.includes("rate limit")
+      ) {
+        continue;
+      }
+
+      // For other errors, add small delay before retry
+      if (attemptCount < totalCombinations) {
+        await new Promise((resolve) => setTimeout(resolve, 500));
+      }
+    }
+  }
+
+  // All combinations exhausted
+  throw (
+    lastError ||
+    new Error(
+      `All ${totalCombinations} API key/model combinations exhausted. Please wait before retrying.`
+    )
+  );
+}
+
+export default {
+  name: "gemini",
+  label: "Gemini AI",
+  model: MODELS.join(", "),
+  // All MODELS accept about 1M input tokens
+  contextTokens: 1048576,
+  tokenizer: { charsPerToken: 4, nonLatinTokensPerChar: 0.4 },
+  generate,
+};
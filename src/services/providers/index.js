@@ -0,0 +1,69 @@
+/**
+ * LLM provider registry
+ *
+ * Every provider exposes the same interface:
+ *   generate(prompt, { temperature, maxOutputTokens, task, schema,
+ *                      signal, onToken }) → Promise<string>
+ *
+ * plus model (the configured model, or Gemini's fallback list),
+ * contextTokens (the model's context window) and tokenizer
+ * ({ charsPerToken, nonLatinTokensPerChar }, for token estimates).
+ *
+ * With onToken the response is streamed and each piece of text is passed
+ * to it as it arrives; aborting signal cancels the request.
+ *
+ * The active provider is chosen with VITE_LLM_PROVIDER
+ * ("gemini" | "openai" | "ollama" | "mock"), defaulting to Gemini.
+ */
+
+import gemini from "./gemini";
+import openai from "./openai";
+import ollama from "./ollama";
+import mock from "./mock";
+
+const PROVIDERS = { gemini, openai, ollama, mock };
+
+const DEFAULT_PROVIDER = "gemini";
+
+// Overrides env config at runtime (used to force the mock provider)
+let activeProviderName = null;
+
+/**
+ * Get the provider selected by env config (or by setProvider)
+ */
+export function getProvider() {
+  const name = (
+    activeProviderName ||
+    import.meta.env.VITE_LLM_PROVIDER ||
+    DEFAULT_PROVIDER
+  )
+    .trim()
+    .toLowerCase();
+
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Use one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}.`
+    );
+  }
+  return provider;
+}
+
+/**
+ * Switch provider at runtime, or pass null to go back to env config
+ */
+export function setProvider(name) {
+  if (name !== null && !PROVIDERS[name]) {
+    throw new Error(`Unknown LLM provider "${name}"`);
+  }
+  activeProviderName = name;
+}
+
+/**
+ * Names of all registered providers
+ */
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
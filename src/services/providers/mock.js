@@ -0,0 +1,251 @@
+/**
+ * Deterministic mock provider
+ * Builds plausible output from the prompt itself so the whole pipeline
+ * can run offline (no network, no API keys). Same prompt → same output.
+ */
+
+/**
+ * Pull the source material out of a prompt (everything after the last
+ * "Text:", "Material:" or "Chunk summaries:" label)
+ */
+function extractMaterial(prompt) {
+  const match = prompt.match(/(?:Text|Material|Chunk summaries):\n([\s\S]*)$/);
+  return (match ? match[1] : prompt).trim();
+}
+
+/**
+ * Split material into clean sentences
+ */
+function toSentences(text) {
+  const sentences = text
+    .replace(/^[-•*]\s*/gm, "")
+    .replace(/\*\*/g, "")
+    .replace(/---/g, " ")
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter((s) => s.split(/\s+/).length >= 3);
+
+  return sentences.length > 0 ? sentences : ["This material is empty."];
+}
+
+/**
+ * Pick the n-th sentence, wrapping around when the material is short
+ */
+function pick(sentences, index) {
+  return sentences[index % sentences.length];
+}
+
+/**
+ * Read the "EXACTLY N" target count from a prompt
+ */
+function targetCount(prompt, fallback = 5) {
+  const match = prompt.match(/EXACTLY (\d+)/);
+  return match ? parseInt(match[1], 10) : fallback;
+}
+
+/**
+ * Use the first few words of a sentence as a short topic label
+ */
+function topicOf(sentence) {
+  return sentence
+    .split(/\s+/)
+    .slice(0, 4)
+    .join(" ")
+    .replace(/[.,;:]$/, "");
+}
+
+const LETTERS = ["A", "B", "C", "D"];
+
+/**
+ * Build the i-th mock question, cycling through every question type
+ */
+function buildQuestion(sentences, i) {
+  const sentence = pick(sentences, i);
+  const words = sentence.replace(/[.!?]$/, "").split(/\s+/);
+
+  switch (i % 6) {
+    // MSQ with two correct statements
+    case 2: {
+      const correctLetters = [LETTERS[i % 4], LETTERS[(i + 2) % 4]].sort();
+      return {
+        type: "msq",
+        question: "Which of the following statements appear in the material?",
+        options: LETTERS.map((letter, o) =>
+          correctLetters.includes(letter)
+            ? `${letter}) ${pick(sentences, i + o)}`
+            : `${letter}) The material never discusses this (${letter})`
+        ),
+        correct: correctLetters,
+        explanation: `Options ${correctLetters.join(
+          " and "
+        )} are quoted from the material; the others are not.`,
+      };
+    }
+
+    case 1:
+      return {
+        type: "truefalse",
+        question: sentence,
+        correct: ["True"],
+        explanation: "The statement is quoted directly from the material.",
+      };
+
+    // Blank out the last word of the sentence
+    case 3:
+      return {
+        type: "fillblank",
+        question: `${words.slice(0, -1).join(" ")} ____.`,
+        acceptedAnswers: [words[words.length - 1]],
+        explanation: `The material states: "${sentence}"`,
+      };
+
+    case 4:
+      return {
+        type: "numeric",
+        question: `How many words are in the sentence "${sentence}"?`,
+        numericAnswer: words.length,
+        tolerance: 0,
+        unit: "words",
+        explanation: `Counting them gives ${words.length} words.`,
+      };
+
+    case 5:
+      return {
+        type: "short",
+        question: `In your own words, what does the material say about "${topicOf(
+          sentence
+        )}"?`,
+        modelAnswer: sentence,
+        rubric: `Restates the idea: ${sentence}`,
+        explanation: `The material states: "${sentence}"`,
+      };
+
+    default: {
+      const correctIndex = i % 4;
+      const distractors = sentences.filter((s) => s !== sentence);
+      return {
+        type: "mcq",
+        question: `Which statement about "${topicOf(
+          sentence
+        )}" is supported by the material?`,
+        options: LETTERS.map((letter, o) => {
+          if (o === correctIndex) return `${letter}) ${sentence}`;
+          // Fall back to a filler option when the material is too short
+          return distractors.length >= 3
+            ? `${letter}) ${distractors[(i + o) % distractors.length]}`
+            : `${letter}) None of the above (${letter})`;
+        }),
+        correct: LETTERS[correctIndex],
+        explanation: `The material states: "${sentence}"`,
+      };
+    }
+  }
+}
+
+const TASKS = {
+  chunkSummary(prompt) {
+    const sentences = toSentences(extractMaterial(prompt));
+    return sentences
+      .slice(0, 8)
+      .map((s) => `- ${s}`)
+      .join("\n");
+  },
+
+  synthesis(prompt) {
+    const sentences = toSentences(extractMaterial(prompt));
+    const sections = [];
+    for (let i = 0; i < sentences.length; i += 3) {
+      const group = sentences.slice(i, i + 3);
+      sections.push(`**${topicOf(group[0])}**\n\n${group.join(" ")}`);
+    }
+    return sections.join("\n\n");
+  },
+
+  keyPoints(prompt) {
+    const sentences = toSentences(extractMaterial(prompt));
+    return sentences
+      .slice(0, 12)
+      .map((s) => `- ${s}`)
+      .join("\n");
+  },
+
+  flashcards(prompt) {
+    const sentences = toSentences(extractMaterial(prompt));
+    const cards = Array.from({ length: targetCount(prompt) }, (_, i) => {
+      const sentence = pick(sentences, i);
+      return {
+        question: `What does the material say about "${topicOf(sentence)}"?`,
+        answer: sentence,
+      };
+    });
+    return JSON.stringify({ items: cards }, null, 2);
+  },
+
+  questions(prompt) {
+    const sentences = toSentences(extractMaterial(prompt));
+    const questions = Array.from({ length: targetCount(prompt) }, (_, i) =>
+      buildQuestion(sentences, i)
+    );
+    return JSON.stringify({ items: questions }, null, 2);
+  },
+
+  // Share of model-answer words the student used, as the rubric grade
+  grade(prompt) {
+    const modelAnswer =
+      prompt.match(/Model answer:\n([\s\S]*?)\n\n/)?.[1] || "";
+    const studentAnswer =
+      prompt.match(/Student answer:\n([\s\S]*)$/)?.[1] || "";
+    const words = (text) =>
+      new Set(text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+    const expected = words(modelAnswer);
+    const given = words(studentAnswer);
+    const hits = [...expected].filter((word) => given.has(word)).length;
+    const grade = expected.size > 0 ? hits / expected.size : 0;
+    return JSON.stringify({
+      grade: Math.round(grade * 100) / 100,
+      feedback: `Your answer covers ${hits} of ${expected.size} key words from the model answer.`,
+    });
+  },
+
+  // Echo the items back unchanged - the mock never produces invalid items
+  repair(prompt) {
+    const match = prompt.match(/Items to fix:\n([\s\S]*)$/);
+    const items = match ? JSON.parse(match[1]) : [];
+    return JSON.stringify({ items }, null, 2);
+  },
+};
+
+// Streamed output arrives a few words at a time, like a real model
+const STREAM_WORDS = 6;
+const STREAM_DELAY_MS = 15;
+
+/**
+ * Return canned output for the given task, streamed when onToken is given
+ */
+async function generate(
+  prompt,
+  { task = "chunkSummary", signal, onToken } = {}
+) {
+  const handler = TASKS[task] || TASKS.chunkSummary;
+  const text = handler(prompt);
+  if (!onToken) return text;
+
+  const pieces = text.match(/\S+\s*/g) || [];
+  for (let i = 0; i < pieces.length; i += STREAM_WORDS) {
+    if (signal?.aborted) {
+      throw new DOMException("The request was cancelled.", "AbortError");
+    }
+    onToken(pieces.slice(i, i + STREAM_WORDS).join(""));
+    await new Promise((resolve) => setTimeout(resolve, STREAM_DELAY_MS));
+  }
+  return text;
+}
+
+export default {
+  name: "mock",
+  label: "Mock (offline)",
+  model: "mock",
+  contextTokens: 32768,
+  tokenizer: { charsPerToken: 4, nonLatinTokensPerChar: 0.5 },
+  generate,
+};
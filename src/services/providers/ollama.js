@@ -0,0 +1,101 @@
+/**
+ * Ollama provider
+ * Talks to a local Ollama server (https://ollama.com) - no API key needed
+ */
+
+import { readLines, isAbortError } from "./streaming";
+
+const BASE_URL = (
+  import.meta.env.VITE_OLLAMA_BASE_URL || "http://localhost:11434"
+).replace(/\/+$/, "");
+const MODEL = import.meta.env.VITE_OLLAMA_MODEL || "llama3.1";
+// Ollama only uses a small context unless asked, so request this much
+const CONTEXT_TOKENS =
+  Number(import.meta.env.VITE_OLLAMA_CONTEXT_TOKENS) || 8192;
+
+/**
+ * Read a streamed (newline-delimited JSON) generation
+ */
+async function readStream(response, onToken) {
+  let text = "";
+  await readLines(response, (line) => {
+    const data = JSON.parse(line);
+    if (data.error) throw new Error(data.error);
+    if (data.response) {
+      text += data.response;
+      onToken(data.response);
+    }
+  });
+  return text;
+}
+
+/**
+ * Run a generation on the local Ollama server
+ * Streams the response when onToken is given; signal cancels the request.
+ */
+async function generate(
+  prompt,
+  {
+    temperature = 0.7,
+    maxOutputTokens = 2048,
+    schema = null,
+    signal,
+    onToken,
+  } = {}
+) {
+  console.log(`Calling Ollama model ${MODEL} at ${BASE_URL}`);
+
+  let response;
+  try {
+    response = await fetch(`${BASE_URL}/api/generate`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      signal,
+      body: JSON.stringify({
+        model: MODEL,
+        prompt,
+        stream: Boolean(onToken),
+        ...(schema && { format: schema }),
+        options: {
+          temperature,
+          num_predict: maxOutputTokens,
+          num_ctx: CONTEXT_TOKENS,
+        },
+      }),
+    });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new Error(
+      `Could not reach Ollama at ${BASE_URL}. Is "ollama serve" running?`
+    );
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      errorData.error || `Ollama request failed with status ${response.status}`
+    );
+  }
+
+  const text = onToken
+    ? await readStream(response, onToken)
+    : (await response.json()).response;
+  if (!text) {
+    throw new Error("Invalid response format from Ollama");
+  }
+
+  console.log(`✓ Success with ${MODEL} (Ollama)`);
+  return text;
+}
+
+export default {
+  name: "ollama",
+  label: `${MODEL} (Ollama)`,
+  model: MODEL,
+  contextTokens: CONTEXT_TOKENS,
+  // Llama-family tokenizers split text a little finer
+  tokenizer: { charsPerToken: 3.6, nonLatinTokensPerChar: 0.7 },
+  generate,
+};
@@ -0,0 +1,102 @@
+/**
+ * OpenAI-compatible provider
+ * Works with any endpoint exposing POST /chat/completions
+ * (OpenAI, OpenRouter, Groq, LM Studio, vLLM, ...)
+ */
+
+import { readServerSentEvents } from "./streaming";
+
+const BASE_URL = (
+  import.meta.env.VITE_OPENAI_BASE_URL || "https://api.openai.com/v1"
+).replace(/\/+$/, "");
+const API_KEY = import.meta.env.VITE_OPENAI_API_KEY || "";
+const MODEL = import.meta.env.VITE_OPENAI_MODEL || "gpt-4o-mini";
+// Context window of MODEL (128k for gpt-4o-mini; set it for other models)
+const CONTEXT_TOKENS =
+  Number(import.meta.env.VITE_OPENAI_CONTEXT_TOKENS) || 128000;
+
+/**
+ * Read a streamed chat completion, passing each delta to onToken
+ */
+async function readStream(response, onToken) {
+  let text = "";
+  await readServerSentEvents(response, (payload) => {
+    if (payload === "[DONE]") return;
+    const piece = JSON.parse(payload).choices?.[0]?.delta?.content || "";
+    if (piece) {
+      text += piece;
+      onToken(piece);
+    }
+  });
+  return text;
+}
+
+/**
+ * Send a single-turn chat completion request
+ * Streams the response when onToken is given; signal cancels the request.
+ */
+async function generate(
+  prompt,
+  {
+    temperature = 0.7,
+    maxOutputTokens = 2048,
+    schema = null,
+    signal,
+    onToken,
+  } = {}
+) {
+  const headers = {
+    "Content-Type": "application/json",
+  };
+
+  // Local servers (LM Studio, vLLM) usually don't need a key
+  if (API_KEY) {
+    headers.Authorization = `Bearer ${API_KEY}`;
+  }
+
+  console.log(`Calling ${MODEL} at ${BASE_URL}`);
+
+  const response = await fetch(`${BASE_URL}/chat/completions`, {
+    method: "POST",
+    headers,
+    signal,
+    body: JSON.stringify({
+      model: MODEL,
+      messages: [{ role: "user", content: prompt }],
+      temperature,
+      max_tokens: maxOutputTokens,
+      stream: Boolean(onToken),
+      // json_object is the widest-supported structured mode; the schema
+      // itself is spelled out in the prompt
+      ...(schema && { response_format: { type: "json_object" } }),
+    }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      errorData.error?.message ||
+        `API request failed with status ${response.status}`
+    );
+  }
+
+  const text = onToken
+    ? await readStream(response, onToken)
+    : (await response.json()).choices?.[0]?.message?.content;
+
+  if (!text) {
+    throw new Error("Invalid response format from OpenAI-compatible API");
+  }
+
+  console.log(`✓ Success with ${MODEL}`);
+  return text;
+}
+
+export default {
+  name: "openai",
+  label: MODEL,
+  model: MODEL,
+  contextTokens: CONTEXT_TOKENS,
+  tokenizer: { charsPerToken: 4, nonLatinTokensPerChar: 0.5 },
+  generate,
+};
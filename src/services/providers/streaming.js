@@ -0,0 +1,47 @@
+/**
+ * Helpers for reading streamed responses
+ * Server-sent events (Gemini, OpenAI) and newline-delimited JSON (Ollama)
+ * are both line based, so everything is read line by line.
+ */
+
+/**
+ * Call onLine for every non-empty line of a streamed response body
+ * Rejects with an AbortError when the request's signal is aborted
+ */
+export async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach((line) => {
+      if (line.trim()) onLine(line.trim());
+    });
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) onLine(buffer.trim());
+}
+
+/**
+ * Call onData with the payload of every "data:" line of a server-sent
+ * events stream
+ */
+export async function readServerSentEvents(response, onData) {
+  await readLines(response, (line) => {
+    if (line.startsWith("data:")) onData(line.slice(5).trim());
+  });
+}
+
+/**
+ * True for the error fetch throws when a request is cancelled
+ */
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
@@ -0,0 +1,363 @@
+/**
+ * Output schemas and validators for structured generation
+ * Every structured response is wrapped as { "items": [...] }
+ */
+
+const OPTION_LETTERS = ["A", "B", "C", "D"];
+
+/**
+ * Flashcard item schema (JSON Schema subset understood by all providers)
+ * source is the number of the document part the card comes from, when the
+ * prompt lists them
+ */
+export const FLASHCARD_SCHEMA = {
+  type: "object",
+  properties: {
+    question: { type: "string" },
+    answer: { type: "string" },
+    source: { type: "integer" },
+  },
+  required: ["question", "answer"],
+};
+
+// Question types the generator may produce
+export const QUESTION_TYPES = [
+  "mcq",
+  "msq",
+  "truefalse",
+  "fillblank",
+  "numeric",
+  "short",
+];
+
+// Display names for each question type
+export const QUESTION_TYPE_LABELS = {
+  mcq: "MCQ",
+  msq: "MSQ",
+  truefalse: "True / False",
+  fillblank: "Fill in the Blank",
+  numeric: "Numeric",
+  short: "Short Answer",
+};
+
+/**
+ * Practice question schema, one flat object for every type (not all
+ * providers support unions). Fields that don't apply to a type are omitted.
+ * - mcq / msq: options + correct letters (MCQs are collapsed to one letter)
+ * - truefalse: correct is ["True"] or ["False"]
+ * - fillblank: question contains "____", acceptedAnswers lists valid fills
+ * - numeric: numericAnswer, tolerance (absolute) and unit
+ * - short: modelAnswer + rubric, graded by the model
+ * source is the number of the document part the question comes from, as
+ * for flashcards.
+ */
+export const QUESTION_SCHEMA = {
+  type: "object",
+  properties: {
+    type: { type: "string", enum: QUESTION_TYPES },
+    question: { type: "string" },
+    options: { type: "array", items: { type: "string" } },
+    correct: { type: "array", items: { type: "string" } },
+    acceptedAnswers: { type: "array", items: { type: "string" } },
+    numericAnswer: { type: "number" },
+    tolerance: { type: "number" },
+    unit: { type: "string" },
+    modelAnswer: { type: "string" },
+    rubric: { type: "string" },
+    explanation: { type: "string" },
+    source: { type: "integer" },
+  },
+  required: ["type", "question", "explanation"],
+};
+
+/**
+ * Short-answer grading result schema
+ */
+export const GRADE_SCHEMA = {
+  type: "object",
+  properties: {
+    grade: { type: "number" },
+    feedback: { type: "string" },
+  },
+  required: ["grade", "feedback"],
+};
+
+/**
+ * Wrap an item schema as the { items: [...] } envelope
+ */
+export function listSchema(itemSchema) {
+  return {
+    type: "object",
+    properties: {
+      items: { type: "array", items: itemSchema },
+    },
+    required: ["items"],
+  };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Tidy up a flashcard before validation
+ */
+export function normalizeFlashcard(item) {
+  if (!item || typeof item !== "object") return item;
+  return {
+    ...item,
+    question: typeof item.question === "string" ? item.question.trim() : "",
+    answer: typeof item.answer === "string" ? item.answer.trim() : "",
+  };
+}
+
+/**
+ * Validate a flashcard
+ * @returns {Array<string>} List of problems (empty when valid)
+ */
+export function validateFlashcard(item) {
+  if (!item || typeof item !== "object") return ["item is not an object"];
+
+  const errors = [];
+  if (!isNonEmptyString(item.question)) errors.push("question is empty");
+  if (!isNonEmptyString(item.answer)) errors.push("answer is empty");
+  return errors;
+}
+
+/**
+ * Read answer letters from "B", "b)", "A, C", ["A", "c"] ...
+ * @returns {Array<string>} Unique letters in alphabetical order; letters
+ *   past D are kept so validation rejects them instead of dropping them
+ */
+function parseAnswerLetters(correct) {
+  const raw = Array.isArray(correct)
+    ? correct
+    : String(correct ?? "").split(/[,\s/&]+/);
+  const letters = raw
+    .map((value) =>
+      String(value ?? "")
+        .trim()
+        .toUpperCase()
+        .replace(/[).:].*$/, "")
+    )
+    .filter((letter) => /^[A-Z]$/.test(letter));
+  return [...new Set(letters)].sort();
+}
+
+function trimString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Prefix options with "A) ", "B) ", ... unless they already are
+ */
+function letterOptions(options) {
+  if (!Array.isArray(options)) return options;
+  return options.map((option, index) => {
+    const text = String(option ?? "").trim();
+    if (!text || index >= OPTION_LETTERS.length) return text;
+    return /^[A-D]\)\s/.test(text)
+      ? text
+      : `${OPTION_LETTERS[index]}) ${text.replace(/^[A-Da-d][).:]\s*/, "")}`;
+  });
+}
+
+/**
+ * Read a true/false answer from "True", ["false"], true, "B" ...
+ * @returns {string|null} "A" for True, "B" for False
+ */
+function parseTrueFalse(correct) {
+  const value = Array.isArray(correct) ? correct[0] : correct;
+  if (value === true) return "A";
+  if (value === false) return "B";
+
+  const text = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/^[ab]\)\s*/, "");
+  if (["true", "t", "a", "yes"].includes(text)) return "A";
+  if (["false", "f", "b", "no"].includes(text)) return "B";
+  return null;
+}
+
+/**
+ * Parse a number that may come as a string ("9.8", "1,200", "3e8")
+ */
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string") return NaN;
+  return parseFloat(value.replace(/,/g, ""));
+}
+
+// Spellings models commonly use for the type field
+const TYPE_ALIASES = {
+  tf: "truefalse",
+  fillintheblank: "fillblank",
+  fillintheblanks: "fillblank",
+  cloze: "fillblank",
+  numerical: "numeric",
+  shortanswer: "short",
+};
+
+const QUESTION_NORMALIZERS = {
+  mcq: (item) => {
+    const letters = parseAnswerLetters(item.correct);
+    return {
+      options: letterOptions(item.options),
+      correct: letters.length === 1 ? letters[0] : letters,
+    };
+  },
+
+  msq: (item) => ({
+    options: letterOptions(item.options),
+    correct: parseAnswerLetters(item.correct),
+  }),
+
+  // Stored like a two-option MCQ so it can share the option UI and scoring
+  truefalse: (item) => ({
+    options: ["A) True", "B) False"],
+    correct: parseTrueFalse(item.correct),
+  }),
+
+  fillblank: (item) => {
+    const acceptedAnswers = (
+      Array.isArray(item.acceptedAnswers)
+        ? item.acceptedAnswers
+        : [item.acceptedAnswers ?? item.correct].flat()
+    )
+      .map((answer) => String(answer ?? "").trim())
+      .filter((answer) => answer.length > 0);
+    return { acceptedAnswers, correct: acceptedAnswers[0] || "" };
+  },
+
+  numeric: (item) => {
+    const numericAnswer = toNumber(item.numericAnswer);
+    const tolerance = toNumber(item.tolerance);
+    const unit = trimString(item.unit);
+    return {
+      numericAnswer,
+      // Default to 1% of the answer when the model gives no tolerance
+      tolerance: Number.isFinite(tolerance)
+        ? Math.abs(tolerance)
+        : Math.abs(numericAnswer) * 0.01,
+      unit,
+      correct: `${numericAnswer}${unit ? ` ${unit}` : ""}`,
+    };
+  },
+
+  short: (item) => ({
+    modelAnswer: trimString(item.modelAnswer),
+    rubric: trimString(item.rubric),
+    correct: trimString(item.modelAnswer),
+  }),
+};
+
+/**
+ * Tidy up a question before validation: "b)" → "B", options get "A) "
+ * prefixes, answers are coerced into the stored shape for their type
+ */
+export function normalizeQuestion(item) {
+  if (!item || typeof item !== "object") return item;
+
+  const rawType = String(item.type || "mcq")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_/-]/g, "");
+  const type = TYPE_ALIASES[rawType] || rawType;
+  const normalizeType = QUESTION_NORMALIZERS[type];
+
+  return {
+    ...item,
+    type,
+    question: trimString(item.question),
+    explanation: trimString(item.explanation),
+    ...(normalizeType ? normalizeType(item) : {}),
+  };
+}
+
+function validateOptions(item, count, errors) {
+  if (!Array.isArray(item.options) || item.options.length !== count) {
+    errors.push(`options must contain exactly ${count} entries`);
+  } else if (!item.options.every(isNonEmptyString)) {
+    errors.push("every option must be non-empty");
+  }
+}
+
+const QUESTION_VALIDATORS = {
+  mcq: (item, errors) => {
+    validateOptions(item, 4, errors);
+    if (!OPTION_LETTERS.includes(item.correct)) {
+      errors.push(
+        `mcq needs exactly one correct letter (${OPTION_LETTERS.join(", ")})`
+      );
+    }
+  },
+
+  msq: (item, errors) => {
+    validateOptions(item, 4, errors);
+    if (
+      !Array.isArray(item.correct) ||
+      item.correct.length < 2 ||
+      !item.correct.every((letter) => OPTION_LETTERS.includes(letter))
+    ) {
+      errors.push(
+        `msq needs at least two correct letters (${OPTION_LETTERS.join(", ")})`
+      );
+    }
+  },
+
+  truefalse: (item, errors) => {
+    if (!["A", "B"].includes(item.correct)) {
+      errors.push('truefalse needs correct set to ["True"] or ["False"]');
+    }
+  },
+
+  fillblank: (item, errors) => {
+    if (!/_{3,}/.test(item.question)) {
+      errors.push('fillblank question must contain a blank written as "____"');
+    }
+    if (item.acceptedAnswers.length === 0) {
+      errors.push("fillblank needs at least one accepted answer");
+    }
+  },
+
+  numeric: (item, errors) => {
+    if (!Number.isFinite(item.numericAnswer)) {
+      errors.push("numeric needs numericAnswer as a number");
+    }
+    if (!Number.isFinite(item.tolerance)) {
+      errors.push("numeric needs tolerance as a number");
+    }
+  },
+
+  short: (item, errors) => {
+    if (!isNonEmptyString(item.modelAnswer)) {
+      errors.push("short needs a modelAnswer");
+    }
+    if (!isNonEmptyString(item.rubric)) {
+      errors.push("short needs a grading rubric");
+    }
+  },
+};
+
+/**
+ * Validate a question against the rules for its type (see QUESTION_SCHEMA);
+ * every type needs a question and a non-empty explanation
+ * @returns {Array<string>} List of problems (empty when valid)
+ */
+export function validateQuestion(item) {
+  if (!item || typeof item !== "object") return ["item is not an object"];
+
+  const validateType = QUESTION_VALIDATORS[item.type];
+  if (!validateType) {
+    return [`type must be one of ${QUESTION_TYPES.join(", ")}`];
+  }
+
+  const errors = [];
+  if (!isNonEmptyString(item.question)) errors.push("question is empty");
+  validateType(item, errors);
+  if (!isNonEmptyString(item.explanation)) {
+    errors.push("explanation is empty");
+  }
+  return errors;
+}
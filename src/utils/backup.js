@@ -0,0 +1,407 @@
+/**
+ * Backup and restore of user data
+ * A backup is a versioned JSON file holding one user or all users. Restoring
+ * upgrades older files to the current schema, previews what will change and
+ * then merges notes by id (or replaces the user's data outright).
+ */
+
+import {
+  getAllUsers,
+  getCurrentUser,
+  getUserData,
+  saveUserData,
+  createUser,
+} from "./storage";
+import { downloadText } from "./pdfGenerator";
+
+export const BACKUP_FORMAT = "student-notes-backup";
+export const BACKUP_VERSION = 2;
+
+export const IMPORT_MODES = [
+  {
+    id: "merge",
+    label: "Merge",
+    description: "Add the backup to your notes and keep notes it doesn't have",
+  },
+  {
+    id: "replace",
+    label: "Replace",
+    description: "Make your data exactly match the backup",
+  },
+];
+
+// How to resolve a note that exists locally and in the backup with changes
+export const CONFLICT_RULES = [
+  { id: "newer", label: "Keep the newer version" },
+  { id: "backup", label: "Use the backup version" },
+  { id: "local", label: "Keep my version" },
+];
+
+/**
+ * Schema migrations: MIGRATIONS[n] upgrades a version n backup to n + 1
+ */
+const MIGRATIONS = {
+  // v1 is the old exportAllData() output: one user's data at the top level
+  1: (data) => ({
+    format: BACKUP_FORMAT,
+    version: 2,
+    scope: "user",
+    exportedAt: data.exportedAt || null,
+    users: [
+      {
+        profile: data.user || data.profile || null,
+        notes: data.notes,
+        quizResults: data.quizResults,
+        quizProgress: data.quizProgress,
+        cardReviews: data.cardReviews,
+        settings: data.settings,
+      },
+    ],
+  }),
+};
+
+function detectVersion(data) {
+  if (data?.format === BACKUP_FORMAT) {
+    return Number(data.version) || 0;
+  }
+  if (data && (Array.isArray(data.notes) || data.user)) {
+    return 1;
+  }
+  throw new Error("This file is not a Student Notes backup.");
+}
+
+/**
+ * Fill in fields older versions didn't always save
+ */
+function normalizeUser(user) {
+  const notes = (Array.isArray(user.notes) ? user.notes : []).map(
+    (note, index) => {
+      const id = note.id ?? Date.now() + index;
+      return {
+        ...note,
+        id,
+        createdAt:
+          note.createdAt ||
+          note.timestamp ||
+          new Date(typeof id === "number" ? id : Date.now()).toISOString(),
+      };
+    }
+  );
+
+  return {
+    profile: user.profile || null,
+    notes,
+    quizResults: (Array.isArray(user.quizResults) ? user.quizResults : [])
+      // Results are keyed by note and question, so both must be present
+      .filter((r) => r.noteId != null && r.questionIndex != null),
+    quizProgress: user.quizProgress || {},
+    cardReviews: user.cardReviews || {},
+    settings: user.settings || null,
+    examAttempts: Array.isArray(user.examAttempts) ? user.examAttempts : [],
+  };
+}
+
+/**
+ * Parse a backup file and upgrade it to the current schema
+ * @param {string} text - File contents
+ * @returns {Object} { format, version, scope, exportedAt, users }
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not a valid backup (it isn't JSON).");
+  }
+
+  let version = detectVersion(data);
+  if (version > BACKUP_VERSION) {
+    throw new Error(
+      `This backup was made by a newer version of the app (schema v${version}). Update the app to restore it.`
+    );
+  }
+  while (version < BACKUP_VERSION) {
+    if (!MIGRATIONS[version]) {
+      throw new Error(`Backups with schema v${version} are not supported.`);
+    }
+    data = MIGRATIONS[version](data);
+    version = data.version;
+  }
+
+  if (!Array.isArray(data.users) || data.users.length === 0) {
+    throw new Error("This backup doesn't contain any users.");
+  }
+
+  return { ...data, users: data.users.map(normalizeUser) };
+}
+
+/**
+ * Build a backup of the current user ("user") or every user ("all")
+ */
+export function createBackup(scope = "user") {
+  const currentUser = getCurrentUser();
+  const users = scope === "all" ? getAllUsers() : [currentUser].filter(Boolean);
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    scope,
+    exportedAt: new Date().toISOString(),
+    users: users.map((profile) => {
+      const {
+        notes,
+        quizResults,
+        quizProgress,
+        cardReviews,
+        settings,
+        examAttempts,
+      } = getUserData(profile.id);
+      return {
+        profile,
+        notes,
+        quizResults,
+        quizProgress,
+        cardReviews,
+        settings,
+        examAttempts,
+      };
+    }),
+  };
+}
+
+/**
+ * Create a backup and download it as JSON
+ */
+export function downloadBackup(scope = "user") {
+  const backup = createBackup(scope);
+  if (backup.users.length === 0) {
+    throw new Error("No user selected. Please select a user first.");
+  }
+
+  const name =
+    scope === "all"
+      ? "all_users"
+      : backup.users[0].profile.name.replace(/[^a-z0-9]/gi, "_");
+  downloadText(
+    JSON.stringify(backup, null, 2),
+    `student_notes_backup_${name}_${backup.exportedAt.slice(0, 10)}.json`,
+    "application/json"
+  );
+  return backup;
+}
+
+/**
+ * The local user a backup user restores into: a single-user backup goes to
+ * the current user, an all-users backup to the user with the same id or
+ * email (null means a new user will be created)
+ */
+function findTarget(backup, source) {
+  if (backup.scope !== "all") {
+    return getCurrentUser();
+  }
+  const users = getAllUsers();
+  return (
+    users.find((u) => u.id === source.profile?.id) ||
+    users.find(
+      (u) => source.profile?.email && u.email === source.profile.email
+    ) ||
+    null
+  );
+}
+
+function noteTime(note) {
+  return Date.parse(note.updatedAt || note.createdAt) || 0;
+}
+
+function sameNote(a, b) {
+  const strip = ({ userId, ...rest }) => JSON.stringify(rest);
+  return strip(a) === strip(b);
+}
+
+/**
+ * Work out what restoring a backup would change, without changing anything
+ * @param {Object} backup - From parseBackup()
+ * @param {Object} options - { mode: "merge" | "replace", conflictRule }
+ * @returns {Array} One plan per backup user: { source, target, added,
+ *   updated, unchanged, skipped, localOnly, removed } (arrays of notes)
+ */
+export function planImport(backup, { mode = "merge", conflictRule = "newer" }) {
+  return backup.users.map((source) => {
+    const target = findTarget(backup, source);
+    const localNotes = target ? getUserData(target.id).notes : [];
+    const localById = new Map(localNotes.map((note) => [note.id, note]));
+    const backupIds = new Set(source.notes.map((note) => note.id));
+
+    const plan = {
+      source,
+      target,
+      added: [],
+      updated: [],
+      unchanged: [],
+      skipped: [],
+      localOnly: [],
+      removed: [],
+    };
+
+    source.notes.forEach((note) => {
+      const existing = localById.get(note.id);
+      if (!existing) {
+        plan.added.push(note);
+      } else if (sameNote(existing, note)) {
+        plan.unchanged.push(note);
+      } else if (
+        mode === "replace" ||
+        conflictRule === "backup" ||
+        (conflictRule === "newer" && noteTime(note) > noteTime(existing))
+      ) {
+        plan.updated.push(note);
+      } else {
+        plan.skipped.push(existing);
+      }
+    });
+
+    localNotes
+      .filter((note) => !backupIds.has(note.id))
+      .forEach((note) =>
+        (mode === "replace" ? plan.removed : plan.localOnly).push(note)
+      );
+
+    return plan;
+  });
+}
+
+/**
+ * Local settings plus the backup's folders and custom subjects, so merged
+ * notes still find their folder
+ */
+function mergeLibrary(local, backup) {
+  const union = (mine = [], theirs = [], key) => [
+    ...mine,
+    ...theirs.filter((item) => !mine.some((m) => m[key] === item[key])),
+  ];
+  return {
+    ...local,
+    folders: union(local?.folders, backup?.folders, "id"),
+    customSubjects: union(
+      local?.customSubjects,
+      backup?.customSubjects,
+      "name"
+    ),
+  };
+}
+
+/**
+ * Exam attempts from both sides. Attempts keep copies of their questions,
+ * so unlike quiz results they don't depend on which notes are taken.
+ */
+function mergeAttempts(local = [], backup = []) {
+  return [
+    ...local,
+    ...backup.filter((attempt) => !local.some((a) => a.id === attempt.id)),
+  ].sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+}
+
+/**
+ * Note ids are unique across users, so collect the ones other users own
+ */
+function noteIdsOfOtherUsers(userId) {
+  return new Set(
+    getAllUsers()
+      .filter((user) => user.id !== userId)
+      .flatMap((user) => getUserData(user.id).notes.map((note) => note.id))
+  );
+}
+
+/**
+ * Apply plans from planImport(). Quiz results, progress and flashcard
+ * reviews follow their note: they come from the backup for notes taken
+ * from the backup and stay as they are for notes kept locally.
+ * @returns {Array} { user, added, updated, removed } per restored user
+ */
+export function applyImport(plans, { mode = "merge" }) {
+  // Create missing users first, so a failure leaves existing data untouched
+  const targets = plans.map(
+    ({ source, target }) =>
+      target ||
+      createUser(
+        source.profile?.name || "Restored user",
+        source.profile?.email || ""
+      )
+  );
+
+  return plans.map((plan, index) => {
+    const { source } = plan;
+    const target = targets[index];
+    const local = getUserData(target.id);
+
+    const taken =
+      mode === "replace" ? source.notes : [...plan.added, ...plan.updated];
+    const fromBackup = new Set(taken.map((note) => String(note.id)));
+    const keepLocal = (noteId) =>
+      mode === "merge" && !fromBackup.has(String(noteId));
+
+    // A new note whose id another user already has gets a fresh id
+    const otherIds = noteIdsOfOtherUsers(target.id);
+    const idMap = new Map();
+    let nextId = Date.now();
+    taken.forEach((note) => {
+      if (otherIds.has(note.id)) idMap.set(String(note.id), nextId++);
+    });
+    const remap = (noteId) => idMap.get(String(noteId)) ?? noteId;
+
+    const byNote = (localMap, backupMap) => {
+      const merged = {};
+      Object.entries(localMap || {}).forEach(([noteId, value]) => {
+        if (keepLocal(noteId)) merged[noteId] = value;
+      });
+      Object.entries(backupMap || {}).forEach(([noteId, value]) => {
+        if (fromBackup.has(noteId)) merged[remap(noteId)] = value;
+      });
+      return merged;
+    };
+
+    const notes = [
+      ...taken.map((note) => ({
+        ...note,
+        id: remap(note.id),
+        userId: target.id,
+      })),
+      ...local.notes.filter((note) => keepLocal(note.id)),
+    ].sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+
+    const quizResults = [
+      ...local.quizResults.filter((result) => keepLocal(result.noteId)),
+      ...source.quizResults
+        .filter((result) => fromBackup.has(String(result.noteId)))
+        .map((result) => ({
+          ...result,
+          noteId: remap(result.noteId),
+          userId: target.id,
+        })),
+    ];
+
+    saveUserData(target.id, {
+      ...local,
+      profile: target,
+      notes,
+      quizResults,
+      quizProgress: byNote(local.quizProgress, source.quizProgress),
+      cardReviews: byNote(local.cardReviews, source.cardReviews),
+      settings:
+        mode === "replace" && source.settings
+          ? source.settings
+          : mergeLibrary(local.settings, source.settings),
+      examAttempts:
+        mode === "replace"
+          ? source.examAttempts
+          : mergeAttempts(local.examAttempts, source.examAttempts),
+    });
+
+    return {
+      user: target,
+      added: plan.added.length,
+      updated: plan.updated.length,
+      removed: plan.removed.length,
+    };
+  });
+}
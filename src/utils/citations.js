@@ -0,0 +1,279 @@
+/**
+ * Source citations for generated notes
+ * Key points, flashcards and questions are traced back to the passage of
+ * the original document (the note's rawText) they were drawn from.
+ * Generated items carry the anchor (pages and section) of the part of the
+ * document they were made from; BM25 over the words of the passages then
+ * finds the passage within that part. Without an anchor - notes saved
+ * before anchors existed, items written by hand - the whole document is
+ * searched.
+ */
+
+import { PAGE_BREAK, splitBlocks } from "./textProcessing";
+import { toLetterList } from "./scoring";
+import { formatPages } from "./sources";
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// A neighbouring passage scoring this close to the best one is cited too
+const NEIGHBOUR_SHARE = 0.6;
+
+const STOP_WORDS = new Set(
+  (
+    "the and for are but not you all any can had her was one our out has him his how " +
+    "its may new now see two who did get let say she too use that with have this will " +
+    "your from they been than them then what when were which while would there " +
+    "their these those into also such each other some more most only over very about " +
+    "after before between both does where being because could should through under " +
+    "answer question correct true false following"
+  ).split(" ")
+);
+
+/**
+ * Lower-case words worth matching, with plural endings stripped
+ */
+function tokenize(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  )
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 4 ? word.replace(/e?s$/, "") : word));
+}
+
+/**
+ * Index the passages of a document for citeText()
+ * @param {string} rawText - The note's original text
+ * @returns {Object|null} The index, or null when there is no text
+ */
+export function buildSourceIndex(rawText) {
+  if (!rawText) return null;
+
+  const passages = splitBlocks(rawText)
+    .filter((block) => !block.heading)
+    .map((block) => {
+      const words = tokenize(block.text);
+      const frequencies = new Map();
+      words.forEach((word) =>
+        frequencies.set(word, (frequencies.get(word) || 0) + 1)
+      );
+      return { ...block, length: words.length, frequencies };
+    })
+    .filter((passage) => passage.length > 0);
+
+  const documentFrequency = new Map();
+  passages.forEach((passage) =>
+    passage.frequencies.forEach((_, word) =>
+      documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1)
+    )
+  );
+
+  const averageLength =
+    passages.reduce((sum, passage) => sum + passage.length, 0) /
+    Math.max(passages.length, 1);
+
+  return { passages, documentFrequency, averageLength };
+}
+
+function scorePassage(index, passage, words) {
+  const { passages, documentFrequency, averageLength } = index;
+  let score = 0;
+  let matched = 0;
+
+  words.forEach((word) => {
+    const frequency = passage.frequencies.get(word);
+    if (!frequency) return;
+    const df = documentFrequency.get(word);
+    const idf = Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+    score +=
+      (idf * frequency * (K1 + 1)) /
+      (frequency + K1 * (1 - B + (B * passage.length) / averageLength));
+    matched++;
+  });
+
+  return { score, matched };
+}
+
+/**
+ * Find the passage a piece of generated text comes from
+ * @param {Object} index - From buildSourceIndex()
+ * @param {string} text - Key point, flashcard or question text
+ * @param {Function} allowed - Which passages may be cited (default all)
+ * @returns {Object|null} { start, end, pageStart, pageEnd, section } with
+ *   offsets into rawText (pages are null for text without page breaks), or
+ *   null when no passage matches well enough
+ */
+export function citeText(index, text, allowed = () => true) {
+  if (!index || index.passages.length === 0) return null;
+
+  const words = [...new Set(tokenize(text))];
+  if (words.length === 0) return null;
+
+  const scores = index.passages.map((passage) =>
+    allowed(passage) ? scorePassage(index, passage, words) : null
+  );
+  let best = -1;
+  scores.forEach((entry, i) => {
+    if (entry && (best === -1 || entry.score > scores[best].score)) best = i;
+  });
+  if (best === -1) return null;
+
+  // One shared word is a coincidence unless that's all the text has
+  if (scores[best].matched < Math.min(2, words.length)) return null;
+
+  // Cite the passages either side too when they match nearly as well,
+  // e.g. a paragraph that continues on the next page
+  let first = best;
+  let last = best;
+  const close = (i) =>
+    scores[i] && scores[i].score >= scores[best].score * NEIGHBOUR_SHARE;
+  if (close(best - 1)) first = best - 1;
+  if (close(best + 1)) last = best + 1;
+
+  const cited = index.passages.slice(first, last + 1);
+  const pages = cited
+    .map((passage) => passage.page)
+    .filter((page) => page !== null);
+
+  return {
+    start: cited[0].start,
+    end: cited[cited.length - 1].end,
+    pageStart: pages.length > 0 ? Math.min(...pages) : null,
+    pageEnd: pages.length > 0 ? Math.max(...pages) : null,
+    section: index.passages[best].section,
+  };
+}
+
+/**
+ * A question with its correct answer and explanation - the answer is
+ * usually what ties it to the text
+ */
+function questionText(question) {
+  const correctLetters = toLetterList(question.correct);
+  const correctOptions = (question.options || []).filter((option, i) =>
+    correctLetters.includes(
+      option.match(/^([A-D])/)?.[1] || String.fromCharCode(65 + i)
+    )
+  );
+  return [
+    question.question,
+    ...(question.type === "truefalse" ? [] : correctOptions),
+    question.type === "short" ? question.modelAnswer : question.correct,
+    question.explanation,
+  ]
+    .filter((part) => typeof part === "string")
+    .join(" ");
+}
+
+/**
+ * Is a passage inside an anchor's pages (or its section, for text without
+ * page breaks)?
+ */
+function inAnchor(passage, { pageStart, pageEnd, section }) {
+  if (pageStart !== null) {
+    return (
+      passage.page !== null &&
+      passage.page >= pageStart &&
+      passage.page <= pageEnd
+    );
+  }
+  return passage.section === section;
+}
+
+/**
+ * Cite an item from the part of the document its anchor names: the best
+ * matching passage there, or the whole part when none shares enough words
+ * with the item (e.g. notes written in another language than the source)
+ * @param {Object} index - From buildSourceIndex()
+ * @param {string} text - The item's text
+ * @param {Object} anchor - { pageStart, pageEnd, section }, or null to
+ *   search the whole document
+ */
+export function citeAnchored(index, text, anchor) {
+  if (!anchor || !index) return citeText(index, text);
+
+  const passages = index.passages.filter((passage) =>
+    inAnchor(passage, anchor)
+  );
+  if (passages.length === 0) return citeText(index, text);
+
+  return (
+    citeText(index, text, (passage) => inAnchor(passage, anchor)) || {
+      start: passages[0].start,
+      end: passages[passages.length - 1].end,
+      pageStart: anchor.pageStart,
+      pageEnd: anchor.pageEnd,
+      section: anchor.section,
+    }
+  );
+}
+
+/**
+ * Cite every key point, flashcard and question of a note
+ * @param {Object} note - { rawText, keyPoints, keyPointAnchors, flashcards,
+ *   questions } - cards and questions may carry their own anchor
+ * @returns {Object} { keyPoints, flashcards, questions } - arrays of
+ *   citations (or null) in the same order as the note's items
+ */
+export function citeNote({
+  rawText,
+  keyPoints,
+  keyPointAnchors,
+  flashcards,
+  questions,
+}) {
+  const index = buildSourceIndex(rawText);
+  const cite = (text, anchor) => citeAnchored(index, text, anchor);
+
+  return {
+    keyPoints: (keyPoints || []).map((point, i) =>
+      cite(point, keyPointAnchors?.[i])
+    ),
+    flashcards: (flashcards || []).map((card) =>
+      cite(`${card.question} ${card.answer}`, card.anchor)
+    ),
+    questions: (questions || []).map((question) =>
+      cite(questionText(question), question.anchor)
+    ),
+  };
+}
+
+/**
+ * A citation covering a whole page, e.g. to show a page read by OCR
+ */
+export function pageCitation(rawText, pageNumber) {
+  const pages = String(rawText || "").split(PAGE_BREAK);
+  if (pageNumber < 1 || pageNumber > pages.length) return null;
+
+  const start = pages
+    .slice(0, pageNumber - 1)
+    .reduce((offset, page) => offset + page.length + PAGE_BREAK.length, 0);
+  return {
+    start,
+    end: start + pages[pageNumber - 1].length,
+    pageStart: pageNumber,
+    pageEnd: pageNumber,
+    section: null,
+  };
+}
+
+/**
+ * Short label for a citation: "p. 12", "p. 12–13" or the section title
+ * @param {Object} citation - From citeText()
+ * @param {Array} sources - The note's sources, to name the file when the
+ *   note combines several
+ */
+export function formatCitation(citation, sources = []) {
+  if (!citation) return "";
+  const { pageStart, pageEnd, section } = citation;
+  if (pageStart !== null) {
+    return formatPages(sources, pageStart, pageEnd);
+  }
+  if (section) {
+    return section.length > 30 ? `§ ${section.slice(0, 29)}…` : `§ ${section}`;
+  }
+  return "Source";
+}
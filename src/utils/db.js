@@ -0,0 +1,131 @@
+/**
+ * Minimal promise wrapper around IndexedDB
+ * One database with an object store per kind of user data. Every store has
+ * a "userId" index so a user's records can be loaded or removed together.
+ * The generation cache is shared by all users and lives in its own store.
+ */
+
+const DB_NAME = "student_notes";
+const DB_VERSION = 3;
+
+export const STORES = {
+  NOTES: "notes",
+  QUIZ_RESULTS: "quizResults",
+  PROGRESS: "progress",
+  CARD_REVIEWS: "cardReviews",
+  SETTINGS: "settings",
+  // Added in version 3
+  EXAM_ATTEMPTS: "examAttempts",
+};
+
+const STORE_KEYS = {
+  [STORES.NOTES]: "id",
+  [STORES.QUIZ_RESULTS]: ["userId", "noteId", "questionIndex"],
+  [STORES.PROGRESS]: ["userId", "noteId"],
+  [STORES.CARD_REVIEWS]: ["userId", "noteId"],
+  [STORES.SETTINGS]: "userId",
+  [STORES.EXAM_ATTEMPTS]: ["userId", "id"],
+};
+
+export const ALL_STORES = Object.values(STORES);
+
+// Cached AI results keyed by content hash (see utils/generationCache.js)
+export const CACHE_STORE = "generationCache";
+
+/**
+ * Open (and create or upgrade) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not supported in this browser"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      ALL_STORES.forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) {
+          const store = db.createObjectStore(name, {
+            keyPath: STORE_KEYS[name],
+          });
+          store.createIndex("userId", "userId", { unique: false });
+        }
+      });
+
+      // Added in version 2
+      if (!db.objectStoreNames.contains(CACHE_STORE)) {
+        const store = db.createObjectStore(CACHE_STORE, { keyPath: "key" });
+        store.createIndex("createdAt", "createdAt", { unique: false });
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version opened in another tab take over
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () =>
+      reject(new Error("Database upgrade blocked by another open tab"));
+  });
+}
+
+/**
+ * Read every record in a store
+ * @returns {Promise<Array>}
+ */
+export function readAll(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = db
+      .transaction(storeName, "readonly")
+      .objectStore(storeName)
+      .getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run writes in one readwrite transaction
+ * @param {IDBDatabase} db
+ * @param {Array<string>} storeNames - Stores the callback touches
+ * @param {Function} callback - Receives { [storeName]: IDBObjectStore }
+ * @returns {Promise<void>} Resolves once the transaction commits
+ */
+export function runTransaction(db, storeNames, callback) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, "readwrite");
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error("Transaction aborted"));
+
+    try {
+      const stores = Object.fromEntries(
+        storeNames.map((name) => [name, transaction.objectStore(name)])
+      );
+      callback(stores);
+    } catch (error) {
+      transaction.abort();
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Delete every record of a user from a store (inside a transaction)
+ * @param {Function} onDeleted - Called once the deletes are queued; put new
+ *   records from here, otherwise the deletes would run after them
+ */
+export function deleteUserRecords(store, userId, onDeleted) {
+  const request = store.index("userId").getAllKeys(userId);
+  request.onsuccess = () => {
+    request.result.forEach((key) => store.delete(key));
+    onDeleted?.();
+  };
+}
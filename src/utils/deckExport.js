@@ -0,0 +1,386 @@
+/**
+ * Flashcard deck export: Anki package (.apkg), CSV and TSV
+ * Everything is built in the browser - the .apkg is a zip holding an
+ * Anki SQLite collection created with sql.js (WASM).
+ */
+
+import { downloadBlob, downloadText } from "./pdfGenerator";
+
+export const DECK_FORMATS = [
+  { id: "apkg", label: "Anki (.apkg)" },
+  { id: "csv", label: "CSV" },
+  { id: "tsv", label: "TSV" },
+];
+
+/**
+ * Turn a subject or title into an Anki tag (no spaces allowed)
+ */
+export function toTag(text) {
+  return String(text || "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .replace(/[^\p{L}\p{N}_:-]/gu, "");
+}
+
+/**
+ * Flatten notes into exportable cards with deck name and tags
+ * @param {Array} notes - Saved notes
+ * @returns {Array} { noteId, cardIndex, front, back, deck, tags }
+ */
+export function collectCards(notes) {
+  return notes.flatMap((note) =>
+    (note.flashcards || []).map((card, cardIndex) => ({
+      noteId: note.id,
+      cardIndex,
+      front: card.question,
+      back: card.answer,
+      deck: [note.subject, note.title].filter(Boolean).join("::") || "Notes",
+      tags: [toTag(note.subject), toTag(note.title)].filter(Boolean),
+    }))
+  );
+}
+
+/**
+ * Quote a CSV field when it contains a comma, quote or newline
+ */
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a header row: Front, Back, Tags
+ */
+export function buildCsv(cards) {
+  const rows = cards.map((card) =>
+    [card.front, card.back, card.tags.join(" ")].map(csvField).join(",")
+  );
+  return ["Front,Back,Tags", ...rows].join("\r\n");
+}
+
+/**
+ * Escape text for an HTML field (Anki fields are HTML)
+ */
+function toHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\r?\n/g, "<br>");
+}
+
+/**
+ * TSV in Anki's plain-text import format: the header lines tell Anki the
+ * separator, that fields are HTML and that column 3 holds the tags
+ */
+export function buildTsv(cards) {
+  const rows = cards.map((card) =>
+    [toHtml(card.front), toHtml(card.back), card.tags.join(" ")]
+      .map((field) => field.replace(/\t/g, " "))
+      .join("\t")
+  );
+  return ["#separator:tab", "#html:true", "#tags column:3", ...rows].join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Anki package
+// ---------------------------------------------------------------------------
+
+const ANKI_SCHEMA = `
+CREATE TABLE col (
+  id integer primary key, crt integer not null, mod integer not null,
+  scm integer not null, ver integer not null, dty integer not null,
+  usn integer not null, ls integer not null, conf text not null,
+  models text not null, decks text not null, dconf text not null,
+  tags text not null
+);
+CREATE TABLE notes (
+  id integer primary key, guid text not null, mid integer not null,
+  mod integer not null, usn integer not null, tags text not null,
+  flds text not null, sfld integer not null, csum integer not null,
+  flags integer not null, data text not null
+);
+CREATE TABLE cards (
+  id integer primary key, nid integer not null, did integer not null,
+  ord integer not null, mod integer not null, usn integer not null,
+  type integer not null, queue integer not null, due integer not null,
+  ivl integer not null, factor integer not null, reps integer not null,
+  lapses integer not null, left integer not null, odue integer not null,
+  odid integer not null, flags integer not null, data text not null
+);
+CREATE TABLE revlog (
+  id integer primary key, cid integer not null, usn integer not null,
+  ease integer not null, ivl integer not null, lastIvl integer not null,
+  factor integer not null, time integer not null, type integer not null
+);
+CREATE TABLE graves (
+  usn integer not null, oid integer not null, type integer not null
+);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+// Fixed model id so repeated exports reuse the same note type in Anki
+const MODEL_ID = 1700000000000;
+
+const CARD_CSS = `.card {
+  font-family: arial;
+  font-size: 20px;
+  text-align: center;
+  color: black;
+  background-color: white;
+}`;
+
+function buildModel(now) {
+  const field = (name, ord) => ({
+    name,
+    ord,
+    sticky: false,
+    rtl: false,
+    font: "Arial",
+    size: 20,
+    media: [],
+  });
+
+  return {
+    id: MODEL_ID,
+    name: "Student Notes Basic",
+    type: 0,
+    mod: now,
+    usn: -1,
+    sortf: 0,
+    did: 1,
+    tmpls: [
+      {
+        name: "Card 1",
+        ord: 0,
+        qfmt: "{{Front}}",
+        afmt: "{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}",
+        did: null,
+        bqfmt: "",
+        bafmt: "",
+      },
+    ],
+    flds: [field("Front", 0), field("Back", 1)],
+    css: CARD_CSS,
+    latexPre:
+      "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+    latexPost: "\\end{document}",
+    req: [[0, "all", [0]]],
+    tags: [],
+    vers: [],
+  };
+}
+
+function buildDeck(id, name, now) {
+  return {
+    id,
+    name,
+    mod: now,
+    usn: -1,
+    desc: "",
+    dyn: 0,
+    conf: 1,
+    collapsed: false,
+    browserCollapsed: false,
+    extendNew: 10,
+    extendRev: 50,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+  };
+}
+
+const DECK_CONFIG = {
+  1: {
+    id: 1,
+    name: "Default",
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: {
+      bury: true,
+      delays: [1, 10],
+      initialFactor: 2500,
+      ints: [1, 4, 7],
+      order: 1,
+      perDay: 20,
+      separate: true,
+    },
+    lapse: {
+      delays: [10],
+      leechAction: 0,
+      leechFails: 8,
+      minInt: 1,
+      mult: 0,
+    },
+    rev: {
+      bury: true,
+      ease4: 1.3,
+      fuzz: 0.05,
+      ivlFct: 1,
+      maxIvl: 36500,
+      minSpace: 1,
+      perDay: 100,
+    },
+  },
+};
+
+/**
+ * Anki's note checksum: first 8 hex digits of the SHA-1 of the sort field
+ */
+async function checksum(text) {
+  const bytes = new TextEncoder().encode(text.replace(/<[^>]*>/g, ""));
+  const digest = await crypto.subtle.digest("SHA-1", bytes);
+  const hex = Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  return parseInt(hex.slice(0, 8), 16);
+}
+
+/**
+ * Every deck a card needs, including "Subject" for "Subject::Title"
+ */
+function deckNames(cards) {
+  const names = new Set();
+  cards.forEach((card) => {
+    const parts = card.deck.split("::");
+    parts.forEach((_, i) => names.add(parts.slice(0, i + 1).join("::")));
+  });
+  return [...names];
+}
+
+/**
+ * Build an Anki .apkg as a Blob
+ */
+export async function buildApkg(cards) {
+  const [{ default: initSqlJs }, { default: JSZip }, { default: wasmUrl }] =
+    await Promise.all([
+      import("sql.js"),
+      import("jszip"),
+      import("sql.js/dist/sql-wasm-browser.wasm?url"),
+    ]);
+
+  const SQL = await initSqlJs({ locateFile: () => wasmUrl });
+  const db = new SQL.Database();
+  db.run(ANKI_SCHEMA);
+
+  const nowMs = Date.now();
+  const now = Math.floor(nowMs / 1000);
+
+  // Deck ids must be unique and stable within the file
+  const deckIds = {};
+  const decks = { 1: buildDeck(1, "Default", now) };
+  deckNames(cards).forEach((name, i) => {
+    deckIds[name] = nowMs + i + 1;
+    decks[deckIds[name]] = buildDeck(deckIds[name], name, now);
+  });
+
+  const conf = {
+    activeDecks: [1],
+    curDeck: 1,
+    newSpread: 0,
+    collapseTime: 1200,
+    timeLim: 0,
+    estTimes: true,
+    dueCounts: true,
+    curModel: String(MODEL_ID),
+    nextPos: cards.length + 1,
+    sortType: "noteFld",
+    sortBackwards: false,
+    addToCur: true,
+  };
+
+  db.run("INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')", [
+    now,
+    nowMs,
+    nowMs,
+    JSON.stringify(conf),
+    JSON.stringify({ [MODEL_ID]: buildModel(now) }),
+    JSON.stringify(decks),
+    JSON.stringify(DECK_CONFIG),
+  ]);
+
+  const insertNote = db.prepare(
+    "INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, '')"
+  );
+  const insertCard = db.prepare(
+    "INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')"
+  );
+
+  for (let i = 0; i < cards.length; i++) {
+    const card = cards[i];
+    const id = nowMs + cards.length + i + 1;
+    const front = toHtml(card.front);
+    const back = toHtml(card.back);
+    // Stable guid so re-importing an updated deck updates the same notes
+    const guid = `sn-${card.noteId}-${card.cardIndex}`;
+    const tags = card.tags.length > 0 ? ` ${card.tags.join(" ")} ` : "";
+
+    insertNote.run([
+      id,
+      guid,
+      MODEL_ID,
+      now,
+      tags,
+      `${front}\x1f${back}`,
+      front,
+      await checksum(front),
+    ]);
+    insertCard.run([id, id, deckIds[card.deck], now, i + 1]);
+  }
+
+  insertNote.free();
+  insertCard.free();
+
+  const collection = db.export();
+  db.close();
+
+  const zip = new JSZip();
+  zip.file("collection.anki2", collection);
+  zip.file("media", "{}");
+  return zip.generateAsync({ type: "blob" });
+}
+
+/**
+ * Export cards from the given notes and download the file
+ * @param {Array} notes - Notes whose flashcards to export
+ * @param {string} format - "apkg" | "csv" | "tsv"
+ * @param {string} name - Base file name (note title or subject)
+ */
+export async function exportDeck(notes, format, name = "flashcards") {
+  const cards = collectCards(notes);
+  if (cards.length === 0) {
+    throw new Error("There are no flashcards to export.");
+  }
+
+  const filename = `${name.replace(/[^a-z0-9]/gi, "_")}_flashcards`;
+
+  switch (format) {
+    case "apkg":
+      downloadBlob(await buildApkg(cards), `${filename}.apkg`);
+      break;
+    case "tsv":
+      downloadText(
+        buildTsv(cards),
+        `${filename}.txt`,
+        "text/tab-separated-values"
+      );
+      break;
+    case "csv":
+    default:
+      downloadText(buildCsv(cards), `${filename}.csv`, "text/csv");
+  }
+
+  return cards.length;
+}
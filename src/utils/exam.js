@@ -0,0 +1,255 @@
+/**
+ * Exam mode: timed mock tests mixing questions from several notes
+ * Questions are drawn evenly from the chosen notes, nothing is marked until
+ * the exam is submitted, and the finished attempt is saved with
+ * storage.saveExamAttempt() - apart from practice results, so a mock test
+ * doesn't move the dashboard scores.
+ */
+
+import { scoreQuestion, hasAnswer, roundScore } from "./scoring";
+import { citeNote } from "./citations";
+import { gradeShortAnswer } from "../services/aiService";
+
+export const EXAM_DEFAULTS = {
+  questionCount: 20,
+  timeLimit: 30, // minutes
+  shuffleOptions: true,
+};
+
+/**
+ * A shuffled copy of a list (Fisher-Yates)
+ */
+export function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+const letterAt = (index) => String.fromCharCode(65 + index);
+
+// How explanations name options: "Option B", "options A and C", "(B)"
+const OPTION_REFERENCE =
+  /\b[Oo]ptions?\s+\(?[A-H]\)?(?:(?:\s*,\s*|\s+(?:and|or)\s+)\(?[A-H]\)?)*|\([A-H]\)/g;
+
+/**
+ * Text with its option letters changed to the new ones
+ * @param {Object} newLetters - Old letter to new letter
+ */
+function reletter(text, newLetters) {
+  if (typeof text !== "string") return text;
+  return text.replace(OPTION_REFERENCE, (reference) =>
+    reference.replace(/\b[A-H]\b/g, (letter) => newLetters[letter] || letter)
+  );
+}
+
+/**
+ * An MCQ or MSQ with its options in a new order, relettered, and the
+ * correct letters and the letters the explanation mentions following them.
+ * True / false keeps its order.
+ */
+export function shuffleOptions(question) {
+  if (!["mcq", "msq"].includes(question.type || "mcq")) return question;
+  if (!question.options || question.options.length < 2) return question;
+
+  const options = question.options.map((option, index) => ({
+    letter: option.match(/^([A-H])\)/)?.[1] || letterAt(index),
+    text: option.replace(/^[A-H]\)\s*/, ""),
+  }));
+  const order = shuffle(options);
+  const newLetters = Object.fromEntries(
+    order.map((option, index) => [option.letter, letterAt(index)])
+  );
+
+  const correct = Array.isArray(question.correct)
+    ? question.correct.map((letter) => newLetters[letter] || letter).sort()
+    : newLetters[question.correct] || question.correct;
+
+  return {
+    ...question,
+    options: order.map((option, index) => `${letterAt(index)}) ${option.text}`),
+    correct,
+    explanation: reletter(question.explanation, newLetters),
+  };
+}
+
+/**
+ * Pick the questions of an exam, taking turns between the notes so each
+ * one is covered even when the count is small
+ * @param {Array} notes - Saved notes to draw from
+ * @param {Object} options - { questionCount, shuffleOptions }
+ * @returns {Array} { noteId, noteTitle, subject, questionIndex, topic,
+ *   question, language, bilingual } in the order they are asked
+ */
+export function buildExam(notes, options = {}) {
+  const {
+    questionCount = EXAM_DEFAULTS.questionCount,
+    shuffleOptions: shuffleChoices = EXAM_DEFAULTS.shuffleOptions,
+  } = options;
+
+  const pools = notes
+    .filter((note) => note.questions?.length > 0)
+    .map((note) => {
+      // The section a question was cited from is its topic in the report
+      const citations = citeNote(note).questions;
+      return shuffle(
+        note.questions.map((question, questionIndex) => ({
+          noteId: note.id,
+          noteTitle: note.title || "Untitled",
+          subject: note.subject || "General",
+          questionIndex,
+          topic: citations[questionIndex]?.section || note.title || "General",
+          question: shuffleChoices ? shuffleOptions(question) : question,
+          language: note.language,
+          bilingual: note.bilingual,
+        }))
+      );
+    });
+
+  const picked = [];
+  while (picked.length < questionCount && pools.some((pool) => pool.length)) {
+    pools.forEach((pool) => {
+      if (pool.length > 0 && picked.length < questionCount) {
+        picked.push(pool.shift());
+      }
+    });
+  }
+  return shuffle(picked);
+}
+
+/**
+ * Mark one question of a submitted exam
+ */
+async function markItem(item, answer, signal) {
+  if (!hasAnswer(answer)) {
+    return {
+      ...item,
+      answer: null,
+      score: 0,
+      isCorrect: false,
+      isPartial: false,
+    };
+  }
+
+  let grading = {};
+  if (item.question.type === "short") {
+    try {
+      grading = await gradeShortAnswer(item.question, answer, {
+        language: item.language,
+        bilingual: item.bilingual,
+        signal,
+      });
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      console.error("Error grading short answer:", error);
+      return {
+        ...item,
+        answer,
+        score: 0,
+        isCorrect: false,
+        isPartial: false,
+        feedback: "This answer could not be graded, so it wasn't marked.",
+      };
+    }
+  }
+
+  return {
+    ...item,
+    answer,
+    ...scoreQuestion(item.question, answer, grading),
+    ...(grading.feedback && { feedback: grading.feedback }),
+  };
+}
+
+/**
+ * Mark every question of a submitted exam. Unanswered questions score 0
+ * instead of the -1 of a wrong answer; short answers are graded by the
+ * model now, one at a time to stay within rate limits, and count as
+ * unmarked (0) if grading fails.
+ * @param {Array} items - From buildExam()
+ * @param {Array} answers - The user's answer to each item (or undefined)
+ * @param {Object} options - { signal } - aborting stops the marking with
+ *   an AbortError
+ * @returns {Promise<Array>} The items with answer, score, isCorrect,
+ *   isPartial and feedback
+ */
+export async function markExam(items, answers, { signal } = {}) {
+  const marked = [];
+  for (const [index, item] of items.entries()) {
+    signal?.throwIfAborted();
+    marked.push(await markItem(item, answers[index], signal));
+  }
+  return marked;
+}
+
+/**
+ * Percentage of the full marks, never below 0
+ */
+function toPercentage(score, maxScore) {
+  return maxScore > 0 ? Math.max(0, Math.round((score / maxScore) * 100)) : 0;
+}
+
+/**
+ * Totals and per-topic breakdown of a marked attempt
+ * @param {Array} questions - From markExam() (attempt.questions)
+ * @returns {Object} { score, maxScore, percentage, correct, partial,
+ *   incorrect, unanswered, topics: [{ topic, noteTitle, count, score,
+ *   percentage }] }
+ */
+export function summarizeExam(questions = []) {
+  const summary = {
+    score: 0,
+    maxScore: questions.length,
+    correct: 0,
+    partial: 0,
+    incorrect: 0,
+    unanswered: 0,
+  };
+  const topics = new Map();
+
+  questions.forEach((item) => {
+    summary.score += item.score;
+    if (item.answer === null) summary.unanswered++;
+    else if (item.isCorrect) summary.correct++;
+    else if (item.isPartial) summary.partial++;
+    else summary.incorrect++;
+
+    // Sections of different notes can share a name, so key by note too
+    const key = `${item.noteId}:${item.topic}`;
+    const topic = topics.get(key) || {
+      topic: item.topic,
+      noteTitle: item.noteTitle,
+      count: 0,
+      score: 0,
+    };
+    topic.count++;
+    topic.score += item.score;
+    topics.set(key, topic);
+  });
+
+  summary.score = roundScore(summary.score);
+  summary.percentage = toPercentage(summary.score, summary.maxScore);
+  summary.topics = [...topics.values()]
+    .map((topic) => ({
+      ...topic,
+      score: roundScore(topic.score),
+      percentage: toPercentage(topic.score, topic.count),
+    }))
+    .sort((a, b) => a.percentage - b.percentage);
+  return summary;
+}
+
+/**
+ * Seconds as "45s", "3m 05s" or "1h 02m"
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+  if (minutes > 0) return `${minutes}m ${String(secs).padStart(2, "0")}s`;
+  return `${secs}s`;
+}
@@ -0,0 +1,531 @@
+/**
+ * Supported upload formats and the extractors for slides, e-books, web
+ * pages, Markdown and subtitle transcripts (PDF, DOCX and images are in
+ * textProcessing.js). Extractors keep slide titles and headings as
+ * Markdown headings so the chunker can split on them.
+ */
+
+import { PAGE_BREAK } from "./textProcessing";
+
+export const FILE_FORMATS = [
+  {
+    id: "pdf",
+    label: "PDF",
+    mimeTypes: ["application/pdf"],
+    extensions: [".pdf"],
+  },
+  {
+    id: "docx",
+    label: "DOCX",
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+    extensions: [".docx"],
+  },
+  {
+    id: "pptx",
+    label: "PPTX",
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ],
+    extensions: [".pptx"],
+  },
+  {
+    id: "epub",
+    label: "EPUB",
+    mimeTypes: ["application/epub+zip"],
+    extensions: [".epub"],
+  },
+  {
+    id: "markdown",
+    label: "Markdown",
+    mimeTypes: ["text/markdown", "text/x-markdown"],
+    extensions: [".md", ".markdown"],
+  },
+  {
+    id: "html",
+    label: "HTML",
+    mimeTypes: ["text/html", "application/xhtml+xml"],
+    extensions: [".html", ".htm", ".xhtml"],
+  },
+  {
+    id: "subtitles",
+    label: "SRT / VTT",
+    mimeTypes: ["application/x-subrip", "text/vtt"],
+    extensions: [".srt", ".vtt"],
+  },
+  {
+    id: "text",
+    label: "TXT",
+    mimeTypes: ["text/plain"],
+    extensions: [".txt"],
+  },
+  {
+    id: "image",
+    label: "PNG / JPEG",
+    mimeTypes: ["image/png", "image/jpeg"],
+    extensions: [".png", ".jpg", ".jpeg"],
+  },
+];
+
+// For the file picker's accept attribute
+export const ACCEPTED_EXTENSIONS = FILE_FORMATS.flatMap(
+  (format) => format.extensions
+).join(",");
+
+/**
+ * Work out a file's format from its MIME type, falling back to the
+ * extension when the type is missing or generic (browsers often report
+ * "" for .md and .vtt files, or text/plain for .srt)
+ * @returns {Object|null} One of FILE_FORMATS, or null if unsupported
+ */
+export function detectFormat(file) {
+  const type = (file.type || "").toLowerCase();
+  const byType = FILE_FORMATS.find((format) => format.mimeTypes.includes(type));
+  if (byType && byType.id !== "text") return byType;
+
+  const name = (file.name || "").toLowerCase();
+  const byExtension = FILE_FORMATS.find((format) =>
+    format.extensions.some((extension) => name.endsWith(extension))
+  );
+  return byExtension || byType || null;
+}
+
+// ---------------------------------------------------------------------------
+// XML / HTML helpers
+// ---------------------------------------------------------------------------
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Malformed XML");
+  }
+  return doc;
+}
+
+function collapse(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Resolve a relative path inside a zip archive ("../a/b.xml" from "x/y/")
+ */
+function resolvePath(baseDir, relative) {
+  const parts = `${baseDir}${relative}`.split("/");
+  const resolved = [];
+  parts.forEach((part) => {
+    if (part === "..") resolved.pop();
+    else if (part && part !== ".") resolved.push(part);
+  });
+  return resolved.join("/");
+}
+
+function dirname(path) {
+  return path.includes("/") ? path.slice(0, path.lastIndexOf("/") + 1) : "";
+}
+
+async function readZip(file) {
+  const { default: JSZip } = await import("jszip");
+  return JSZip.loadAsync(await file.arrayBuffer());
+}
+
+async function readZipText(zip, path) {
+  const entry = zip.file(path);
+  return entry ? entry.async("string") : null;
+}
+
+/**
+ * Relationship id → target path from an OOXML .rels file
+ */
+async function readRelationships(zip, relsPath, baseDir) {
+  const xml = await readZipText(zip, relsPath);
+  if (!xml) return [];
+  return Array.from(
+    parseXml(xml).getElementsByTagName("Relationship"),
+    (rel) => ({
+      id: rel.getAttribute("Id"),
+      type: rel.getAttribute("Type") || "",
+      target: resolvePath(baseDir, rel.getAttribute("Target") || ""),
+    })
+  );
+}
+
+const SKIPPED_TAGS = new Set([
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "form",
+  "button",
+]);
+
+const BLOCK_TAGS = new Set([
+  "p",
+  "div",
+  "section",
+  "article",
+  "main",
+  "body",
+  "blockquote",
+  "pre",
+  "ul",
+  "ol",
+  "li",
+  "dl",
+  "dt",
+  "dd",
+  "figure",
+  "figcaption",
+  "table",
+  "thead",
+  "tbody",
+  "tfoot",
+  "caption",
+  "hr",
+]);
+
+/**
+ * Convert an HTML element to plain text with Markdown headings, list
+ * bullets and table rows, one paragraph per block element
+ */
+export function htmlToText(root) {
+  const blocks = [];
+  let inline = "";
+
+  const flush = () => {
+    const text = inline.split("\n").map(collapse).filter(Boolean).join("\n");
+    // A list item whose content is all in nested blocks leaves a bare "-"
+    if (text && text !== "-") blocks.push(text);
+    inline = "";
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      inline += node.nodeValue;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.localName.toLowerCase();
+    if (SKIPPED_TAGS.has(tag)) return;
+
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+      flush();
+      const title = collapse(node.textContent);
+      if (title) blocks.push(`${"#".repeat(Number(heading[1]))} ${title}`);
+      return;
+    }
+    if (tag === "br") {
+      inline += "\n";
+      return;
+    }
+    if (tag === "tr") {
+      flush();
+      const cells = Array.from(node.children, (cell) =>
+        collapse(cell.textContent)
+      );
+      if (cells.some(Boolean)) blocks.push(`| ${cells.join(" | ")} |`);
+      return;
+    }
+    if (tag === "pre") {
+      flush();
+      if (node.textContent.trim()) blocks.push(node.textContent.trim());
+      return;
+    }
+
+    if (BLOCK_TAGS.has(tag)) {
+      flush();
+      if (tag === "li") inline = "- ";
+      node.childNodes.forEach(walk);
+      flush();
+      return;
+    }
+    node.childNodes.forEach(walk);
+  };
+
+  walk(root);
+  flush();
+
+  // Table rows and list items are separate blocks but belong together
+  return blocks
+    .join("\n\n")
+    .replace(/(\|)\n\n(?=\|)/g, "$1\n")
+    .replace(/^(- .*)\n\n(?=- )/gm, "$1\n");
+}
+
+function parseHtml(text, type = "text/html") {
+  return new DOMParser().parseFromString(text, type);
+}
+
+// ---------------------------------------------------------------------------
+// Extractors
+// ---------------------------------------------------------------------------
+
+/**
+ * Web page: the article (or main content) without navigation and scripts
+ */
+export async function extractTextFromHtml(file) {
+  const doc = parseHtml(await file.text());
+  const root =
+    doc.querySelector("article") || doc.querySelector("main") || doc.body;
+  const title = collapse(doc.querySelector("title")?.textContent || "");
+  const text = htmlToText(root);
+
+  // Pages without an <h1> still get their title as a heading
+  return title && !/^# /m.test(text) ? `# ${title}\n\n${text}` : text;
+}
+
+/**
+ * Markdown: headings are already what the chunker looks for, so only
+ * images, link targets and HTML comments are stripped
+ */
+export async function extractTextFromMarkdown(file) {
+  return (await file.text())
+    .replace(/^---\n[\s\S]*?\n---\n/, "") // YAML front matter
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1");
+}
+
+/**
+ * Text of a DrawingML shape, one line per paragraph
+ */
+function shapeText(shape) {
+  return Array.from(shape.getElementsByTagName("a:p"), (paragraph) =>
+    Array.from(paragraph.getElementsByTagName("a:t"), (t) => t.textContent)
+      .join("")
+      .trim()
+  )
+    .filter(Boolean)
+    .join("\n");
+}
+
+function isTitleShape(shape) {
+  const placeholder = shape.getElementsByTagName("p:ph")[0];
+  return ["title", "ctrTitle"].includes(placeholder?.getAttribute("type"));
+}
+
+/**
+ * Slide paths in presentation order (falls back to file name order)
+ */
+async function slidePaths(zip) {
+  const relationships = await readRelationships(
+    zip,
+    "ppt/_rels/presentation.xml.rels",
+    "ppt/"
+  );
+  const presentation = await readZipText(zip, "ppt/presentation.xml");
+  if (presentation && relationships.length > 0) {
+    const targets = new Map(relationships.map((rel) => [rel.id, rel.target]));
+    const ordered = Array.from(
+      parseXml(presentation).getElementsByTagName("p:sldId"),
+      (slide) => targets.get(slide.getAttribute("r:id"))
+    ).filter((path) => path && zip.file(path));
+    if (ordered.length > 0) return ordered;
+  }
+
+  const slideNumber = (path) => Number(path.match(/slide(\d+)\.xml$/)[1]);
+  return Object.keys(zip.files)
+    .filter((path) => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+}
+
+/**
+ * Slides: each slide's title becomes a heading, followed by its text and
+ * speaker notes. Slides are separated like PDF pages, so citations point
+ * to slide numbers.
+ */
+export async function extractTextFromPptx(file) {
+  const zip = await readZip(file);
+  const slides = [];
+
+  for (const [index, path] of (await slidePaths(zip)).entries()) {
+    const doc = parseXml(await readZipText(zip, path));
+    const shapes = Array.from(doc.getElementsByTagName("p:sp"));
+    const titleShape = shapes.find(isTitleShape);
+    const title = titleShape ? collapse(shapeText(titleShape)) : "";
+
+    const body = shapes
+      .filter((shape) => shape !== titleShape)
+      .map(shapeText)
+      .filter(Boolean);
+
+    // Tables (graphic frames) hold their text in a:tbl rows
+    Array.from(doc.getElementsByTagName("a:tr")).forEach((row) => {
+      const cells = Array.from(row.getElementsByTagName("a:tc"), (cell) =>
+        collapse(shapeText(cell))
+      );
+      body.push(`| ${cells.join(" | ")} |`);
+    });
+
+    const notesRel = (
+      await readRelationships(
+        zip,
+        `${dirname(path)}_rels/${path.split("/").pop()}.rels`,
+        dirname(path)
+      )
+    ).find((rel) => rel.type.endsWith("/notesSlide"));
+    const notesXml = notesRel && (await readZipText(zip, notesRel.target));
+    const notes = notesXml
+      ? Array.from(parseXml(notesXml).getElementsByTagName("p:sp"))
+          .filter((shape) => {
+            const type = shape
+              .getElementsByTagName("p:ph")[0]
+              ?.getAttribute("type");
+            return type === "body";
+          })
+          .map(shapeText)
+          .filter(Boolean)
+          .join("\n")
+      : "";
+
+    slides.push(
+      [
+        `## Slide ${index + 1}${title ? `: ${title}` : ""}`,
+        ...body,
+        notes && `Speaker notes: ${notes}`,
+      ]
+        .filter(Boolean)
+        .join("\n\n")
+    );
+  }
+
+  if (slides.length === 0) {
+    throw new Error("No slides found in this presentation.");
+  }
+  return slides.join(`\n${PAGE_BREAK}\n`);
+}
+
+/**
+ * E-book: chapters in reading (spine) order
+ */
+export async function extractTextFromEpub(file) {
+  const zip = await readZip(file);
+
+  const container = await readZipText(zip, "META-INF/container.xml");
+  const opfPath = container
+    ? parseXml(container)
+        .getElementsByTagName("rootfile")[0]
+        ?.getAttribute("full-path")
+    : null;
+  const opf = opfPath && (await readZipText(zip, opfPath));
+  if (!opf) {
+    throw new Error("This EPUB has no package document.");
+  }
+
+  const opfDoc = parseXml(opf);
+  const manifest = new Map(
+    Array.from(opfDoc.getElementsByTagName("item"), (item) => [
+      item.getAttribute("id"),
+      {
+        path: resolvePath(dirname(opfPath), item.getAttribute("href") || ""),
+        type: item.getAttribute("media-type") || "",
+      },
+    ])
+  );
+
+  const chapters = [];
+  for (const itemref of Array.from(opfDoc.getElementsByTagName("itemref"))) {
+    const item = manifest.get(itemref.getAttribute("idref"));
+    if (!item || !/html/.test(item.type)) continue;
+
+    const markup = await readZipText(zip, decodeURIComponent(item.path));
+    if (!markup) continue;
+    // Some e-books aren't valid XHTML, so parse leniently as HTML
+    const text = htmlToText(parseHtml(markup).body);
+    if (text) chapters.push(text);
+  }
+
+  if (chapters.length === 0) {
+    throw new Error("No readable chapters found in this EPUB.");
+  }
+  return chapters.join("\n\n");
+}
+
+// A transcript gets a timestamp heading this often (seconds)
+const TRANSCRIPT_SECTION_SECONDS = 5 * 60;
+// ...and a new paragraph this often
+const TRANSCRIPT_PARAGRAPH_SECONDS = 60;
+
+function parseTimestamp(value) {
+  const parts = value.replace(",", ".").split(":").map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function formatTimestamp(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  const mmss = `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+  return h > 0 ? `${h}:${mmss}` : mmss;
+}
+
+/**
+ * SRT/VTT transcript: cue text without numbers, timings and tags, grouped
+ * into paragraphs with a timestamp heading every few minutes
+ */
+export async function extractTextFromSubtitles(file) {
+  const cues = [];
+  (await file.text())
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/)
+    .forEach((block) => {
+      const lines = block.split("\n");
+      const timingIndex = lines.findIndex((line) => line.includes("-->"));
+      if (timingIndex === -1) return; // WEBVTT header, NOTE, STYLE, ...
+
+      const start = parseTimestamp(lines[timingIndex].split("-->")[0].trim());
+      const text = collapse(
+        lines
+          .slice(timingIndex + 1)
+          .join(" ")
+          .replace(/<[^>]+>/g, "")
+          .replace(/\{\\[^}]*\}/g, "")
+      );
+      if (text) cues.push({ start, text });
+    });
+
+  if (cues.length === 0) {
+    throw new Error("No captions found in this subtitle file.");
+  }
+
+  const blocks = [];
+  let paragraph = [];
+  let paragraphStart = null;
+  let section = -1;
+  let previous = "";
+
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push(paragraph.join(" "));
+    paragraph = [];
+  };
+
+  cues.forEach(({ start, text }) => {
+    // Auto-generated captions repeat the previous line
+    if (text === previous) return;
+    previous = text;
+
+    const cueSection = Math.floor(start / TRANSCRIPT_SECTION_SECONDS);
+    if (cueSection > section) {
+      flush();
+      section = cueSection;
+      blocks.push(
+        `## ${formatTimestamp(cueSection * TRANSCRIPT_SECTION_SECONDS)}`
+      );
+      paragraphStart = start;
+    } else if (start - paragraphStart >= TRANSCRIPT_PARAGRAPH_SECONDS) {
+      flush();
+      paragraphStart = start;
+    }
+    paragraph.push(text);
+  });
+  flush();
+
+  return blocks.join("\n\n");
+}
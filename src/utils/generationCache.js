@@ -0,0 +1,111 @@
+/**
+ * Persistent cache for generation results
+ * Each pipeline stage (chunk summary, synthesis, key points, flashcards,
+ * questions) is stored under a hash of its input, the generation options
+ * and the provider and model. A failed run can then be resumed without redoing
+ * finished chunks, and regenerating the same document reuses earlier
+ * results instead of spending API quota.
+ */
+
+import { CACHE_STORE, openDatabase, runTransaction } from "./db";
+import { getProvider } from "../services/providers";
+
+// Bump when prompts or chunking change so results from old prompts aren't
+// reused (2: page/section-aware chunks, multi-file synthesis; 3: items name
+// the document part they come from)
+const CACHE_VERSION = 3;
+
+// Entries older than this are removed by pruneGenerationCache()
+const MAX_AGE_DAYS = 30;
+
+let dbPromise = null;
+
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase().catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * SHA-256 of everything a result depends on
+ */
+async function hashKey(parts) {
+  const bytes = new TextEncoder().encode(
+    JSON.stringify([CACHE_VERSION, ...parts])
+  );
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function readEntry(db, key) {
+  return new Promise((resolve, reject) => {
+    const request = db
+      .transaction(CACHE_STORE, "readonly")
+      .objectStore(CACHE_STORE)
+      .get(key);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Return the cached result of a stage, or compute and cache it.
+ * Cache problems never fail generation - at worst the stage is regenerated.
+ * @param {string} stage - Pipeline stage, e.g. "chunkSummary"
+ * @param {string|Array} input - The text (or summaries) the stage works on
+ * @param {Object} options - Generation options { depth, language, bilingual }
+ * @param {Function} compute - Generates the result on a cache miss
+ * @returns {Promise<*>} The result
+ */
+export async function cachedStage(stage, input, options, compute) {
+  let db = null;
+  let key = null;
+
+  try {
+    db = await getDatabase();
+    const provider = getProvider();
+    key = await hashKey([stage, provider.name, provider.model, options, input]);
+    const entry = await readEntry(db, key);
+    if (entry) {
+      console.log(`Using cached ${stage}`);
+      return entry.value;
+    }
+  } catch (error) {
+    console.warn("Generation cache unavailable:", error);
+  }
+
+  const value = await compute();
+
+  if (db && key) {
+    runTransaction(db, [CACHE_STORE], (stores) =>
+      stores[CACHE_STORE].put({ key, stage, value, createdAt: Date.now() })
+    ).catch((error) => console.warn("Could not cache", stage, error));
+  }
+
+  return value;
+}
+
+/**
+ * Remove cached results older than MAX_AGE_DAYS
+ */
+export async function pruneGenerationCache() {
+  try {
+    const db = await getDatabase();
+    const cutoff = Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    await runTransaction(db, [CACHE_STORE], (stores) => {
+      const request = stores[CACHE_STORE].index("createdAt").getAllKeys(
+        IDBKeyRange.upperBound(cutoff)
+      );
+      request.onsuccess = () =>
+        request.result.forEach((key) => stores[CACHE_STORE].delete(key));
+    });
+  } catch (error) {
+    console.warn("Could not prune generation cache:", error);
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Folders, tags and subjects for organising saved notes
+ * Folders (one per course, say) and custom subjects are kept per user with
+ * the settings. A note stores the id of its folder (folderId) and a list of
+ * tags. Notes keep their subject by name, so a custom subject needs no
+ * migration and a deleted one still reads fine on its notes.
+ */
+
+export const DEFAULT_SUBJECTS = [
+  { id: "cs", name: "Computer Science", icon: "💻", color: "#3b82f6" },
+  { id: "math", name: "Mathematics", icon: "📐", color: "#8b5cf6" },
+  { id: "physics", name: "Physics", icon: "⚛️", color: "#06b6d4" },
+  { id: "chemistry", name: "Chemistry", icon: "🧪", color: "#10b981" },
+  { id: "biology", name: "Biology", icon: "🧬", color: "#f59e0b" },
+  { id: "history", name: "History", icon: "📜", color: "#ef4444" },
+  { id: "economics", name: "Economics", icon: "💰", color: "#ec4899" },
+  { id: "literature", name: "Literature", icon: "📚", color: "#6366f1" },
+  { id: "other", name: "Other", icon: "📖", color: "#64748b" },
+];
+
+// Icons offered for a custom subject
+export const SUBJECT_ICONS = [
+  "📘",
+  "🧠",
+  "🎨",
+  "🎵",
+  "🌍",
+  "⚖️",
+  "🏛️",
+  "🩺",
+  "🔧",
+  "🗣️",
+  "📊",
+  "🌱",
+];
+
+// Colours offered for folders and custom subjects
+export const LIBRARY_COLORS = [
+  "#667eea",
+  "#3b82f6",
+  "#06b6d4",
+  "#10b981",
+  "#f59e0b",
+  "#ef4444",
+  "#ec4899",
+  "#64748b",
+];
+
+// Folder choices that aren't folders
+export const ALL_NOTES = "all";
+export const UNFILED = "unfiled";
+
+/**
+ * Built-in subjects with the user's own ones before "Other"
+ * @param {Array} customSubjects - From storage.getCustomSubjects()
+ */
+export function allSubjects(customSubjects = []) {
+  const other = DEFAULT_SUBJECTS[DEFAULT_SUBJECTS.length - 1];
+  return [...DEFAULT_SUBJECTS.slice(0, -1), ...customSubjects, other];
+}
+
+/**
+ * Icon and colour for a note's subject name; subjects that no longer exist
+ * (or notes without one) look like "Other"
+ */
+export function findSubject(name, subjects = DEFAULT_SUBJECTS) {
+  const other = DEFAULT_SUBJECTS[DEFAULT_SUBJECTS.length - 1];
+  return (
+    subjects.find((subject) => subject.name === name) || {
+      ...other,
+      id: null,
+      name: name || "General",
+    }
+  );
+}
+
+/**
+ * Tags typed as "exam, week 3, #hard" → ["exam", "week 3", "hard"]
+ */
+export function parseTags(text) {
+  const tags = String(text || "")
+    .split(/[,\n]/)
+    .map((tag) => tag.replace(/^\s*#*/, "").replace(/\s+/g, " "))
+    .map((tag) => tag.trim().toLowerCase().slice(0, 40))
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Every tag used on the notes, alphabetically
+ */
+export function collectTags(notes = []) {
+  return [...new Set(notes.flatMap((note) => note.tags || []))].sort();
+}
+
+/**
+ * The folder a note is in, or null when it is unfiled (including notes
+ * whose folder was deleted or not restored from a backup)
+ */
+export function folderOf(note, folders = []) {
+  return folders.find((folder) => folder.id === note.folderId) || null;
+}
+
+/**
+ * Notes in a folder, in UNFILED, or every note for ALL_NOTES
+ */
+export function notesInFolder(notes = [], folderId, folders = []) {
+  if (!folderId || folderId === ALL_NOTES) return notes;
+  if (folderId === UNFILED) {
+    return notes.filter((note) => !folderOf(note, folders));
+  }
+  return notes.filter((note) => note.folderId === folderId);
+}
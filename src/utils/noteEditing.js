@@ -0,0 +1,150 @@
+/**
+ * Changing a saved note one section at a time
+ * A section can be regenerated (optionally with the student's own
+ * instruction, e.g. "more numericals") without running the whole pipeline
+ * again. Results are saved with storage.updateNote().
+ */
+
+import { chunkText, chunkAnchor } from "./textProcessing";
+import { cachedStage } from "./generationCache";
+import {
+  generateChunkSummary,
+  synthesizeSummaries,
+  extractKeyPoints,
+  generateFlashcards,
+  generatePracticeQuestions,
+  getChunkingOptions,
+  sectionAnchor,
+} from "../services/aiService";
+
+// Sections that can be regenerated, in tab order
+export const NOTE_SECTIONS = [
+  { id: "summary", label: "Summary" },
+  { id: "keyPoints", label: "Key Points" },
+  { id: "flashcards", label: "Flashcards" },
+  { id: "questions", label: "Practice Questions" },
+];
+
+/**
+ * Split the key point response into one point per line. A point ending in
+ * "[n]" comes from part n of the document (see extractKeyPoints).
+ * @param {string} text - The key point response
+ * @param {Array} sections - The sourceSections the prompt listed
+ * @returns {Object} { keyPoints, keyPointAnchors } - the anchor of each
+ *   point, or null when it has none
+ */
+export function parseKeyPoints(text, sections = []) {
+  const keyPoints = [];
+  const keyPointAnchors = [];
+  text.split("\n").forEach((line) => {
+    const point = line.replace(/^[-•*]\s*/, "").trim();
+    const source = Number(point.match(/\[(\d+)\]$/)?.[1]);
+    const cleaned = point.replace(/\s*\[\d+\]$/, "");
+    if (!cleaned) return;
+    keyPoints.push(cleaned);
+    keyPointAnchors.push(sectionAnchor(sections, source));
+  });
+  return { keyPoints, keyPointAnchors };
+}
+
+/**
+ * Write the summary again from the original text. Chunk summaries come from
+ * the generation cache when the note was made recently; only the final
+ * step sees the instruction.
+ */
+async function regenerateSummary(note, generationOptions, options) {
+  if (!note.rawText) {
+    throw new Error(
+      "This note was saved without its original text, so its summary can't be regenerated."
+    );
+  }
+
+  const sources = note.sources || [];
+  const mergeOptions =
+    sources.length > 1 ? { sources: sources.map((source) => source.name) } : {};
+
+  const chunks = chunkText(note.rawText, getChunkingOptions(note.depth));
+  if (chunks.length === 1) {
+    return await generateChunkSummary(chunks[0].text, {
+      ...options,
+      ...mergeOptions,
+      anchor: chunkAnchor(chunks[0]),
+    });
+  }
+
+  const chunkSummaries = [];
+  for (const chunk of chunks) {
+    const chunkOptions = { ...generationOptions, anchor: chunkAnchor(chunk) };
+    chunkSummaries.push(
+      await cachedStage("chunkSummary", chunk.text, chunkOptions, () =>
+        generateChunkSummary(chunk.text, {
+          ...chunkOptions,
+          signal: options.signal,
+        })
+      )
+    );
+  }
+
+  return await synthesizeSummaries(chunkSummaries, {
+    ...options,
+    ...mergeOptions,
+  });
+}
+
+/**
+ * Generate one section of a saved note again
+ * Key points, flashcards and questions are made from the note's summary,
+ * as in the full pipeline, and anchored to the note's sourceSections.
+ * Results are never taken from the cache, so every run gives a fresh take.
+ * @param {Object} note - The saved note
+ * @param {string} section - An id from NOTE_SECTIONS
+ * @param {Object} options - { instruction, signal, onToken }
+ * @returns {Promise<Object>} The changed fields, e.g. { flashcards }
+ */
+export async function regenerateSection(note, section, options = {}) {
+  const generationOptions = {
+    depth: note.depth || "medium",
+    language: note.language || "english",
+    bilingual: note.bilingual || false,
+  };
+  const stageOptions = { ...generationOptions, ...options };
+  const itemOptions = {
+    ...stageOptions,
+    sourceSections: note.sourceSections || [],
+  };
+
+  switch (section) {
+    case "summary":
+      return {
+        summary: await regenerateSummary(note, generationOptions, stageOptions),
+      };
+    case "keyPoints":
+      return parseKeyPoints(
+        await extractKeyPoints(note.summary, itemOptions),
+        itemOptions.sourceSections
+      );
+    case "flashcards":
+      return {
+        flashcards: await generateFlashcards(note.summary, itemOptions),
+      };
+    case "questions":
+      return {
+        questions: await generatePracticeQuestions(note.summary, itemOptions),
+      };
+    default:
+      throw new Error(`Unknown note section: ${section}`);
+  }
+}
+
+/**
+ * Positions of a list's items after removing or replacing one, for
+ * storage.updateNote(): the old index of each item, or null when it is new
+ * @param {number} length - Length of the list before the change
+ * @param {Object} change - { remove } or { replace } index, or { add: true }
+ */
+export function itemOrigins(length, { remove, replace, add } = {}) {
+  const origins = Array.from({ length }, (_, index) =>
+    index === replace ? null : index
+  ).filter((index, position) => position !== remove);
+  return add ? [...origins, null] : origins;
+}
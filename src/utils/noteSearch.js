@@ -0,0 +1,291 @@
+/**
+ * Full-text search across saved notes
+ * Titles, summaries, key points, flashcards and questions are split into
+ * words and kept in an inverted index (word → the places it appears), so
+ * each keystroke only looks up the typed words instead of rescanning every
+ * note. The last typed word also matches as a prefix, and every search
+ * result carries the best matching snippet and the OutputScreen tab it
+ * belongs to.
+ */
+
+// Where each kind of content lives, and how much a match there counts
+const FIELDS = {
+  title: { label: "Title", tab: "summary", weight: 3 },
+  summary: { label: "Summary", tab: "summary", weight: 1 },
+  keyPoints: { label: "Key Points", tab: "keypoints", weight: 1.5 },
+  flashcards: { label: "Flashcards", tab: "flashcards", weight: 1.5 },
+  questions: { label: "Practice Questions", tab: "questions", weight: 1.5 },
+};
+
+// Characters of context kept on each side of the first match
+const SNIPPET_CONTEXT = 60;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lower-case form of a word, with plural endings stripped so "cells"
+ * finds "cell"
+ */
+function normalizeWord(word) {
+  const lower = word.toLowerCase();
+  return lower.length > 3 && !lower.endsWith("ss")
+    ? lower.replace(/s$/, "")
+    : lower;
+}
+
+function tokenize(text) {
+  return (String(text || "").match(WORD_PATTERN) || []).map(normalizeWord);
+}
+
+/**
+ * The summary without Markdown markup, so snippets read as plain text
+ */
+function plainText(markdown) {
+  return String(markdown || "")
+    .replace(/[#*_`>|]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function questionText(question) {
+  const parts = [question.question, ...(question.options || [])];
+  if (question.type === "short") parts.push(question.modelAnswer);
+  parts.push(...(question.acceptedAnswers || []), question.explanation);
+  return parts.filter((part) => typeof part === "string").join(" ");
+}
+
+/**
+ * The searchable pieces of a note: one per field or list item
+ */
+function noteDocuments(note) {
+  const documents = [{ field: "title", text: note.title || "" }];
+
+  // Summaries are long, so each paragraph is its own piece
+  (note.summary || note.notes || "")
+    .split(/\n\s*\n/)
+    .map(plainText)
+    .filter(Boolean)
+    .forEach((text) => documents.push({ field: "summary", text }));
+
+  (note.keyPoints || []).forEach((point, itemIndex) =>
+    documents.push({ field: "keyPoints", itemIndex, text: plainText(point) })
+  );
+  (note.flashcards || []).forEach((card, itemIndex) =>
+    documents.push({
+      field: "flashcards",
+      itemIndex,
+      text: plainText(`${card.question} — ${card.answer}`),
+    })
+  );
+  (note.questions || []).forEach((question, itemIndex) =>
+    documents.push({
+      field: "questions",
+      itemIndex,
+      text: plainText(questionText(question)),
+    })
+  );
+
+  return documents;
+}
+
+/**
+ * Index a user's notes for searchNotes()
+ * @param {Array} notes - Saved notes, as from storage.getNotesHistory()
+ * @returns {Object} { documents, postings, vocabulary }
+ */
+export function buildSearchIndex(notes = []) {
+  const documents = [];
+  const postings = new Map(); // word → Map(document index → count)
+
+  notes.forEach((note) => {
+    noteDocuments(note).forEach((document) => {
+      const docIndex = documents.length;
+      documents.push({ ...document, noteId: note.id });
+
+      tokenize(document.text).forEach((word) => {
+        if (!postings.has(word)) postings.set(word, new Map());
+        const counts = postings.get(word);
+        counts.set(docIndex, (counts.get(docIndex) || 0) + 1);
+      });
+    });
+  });
+
+  // Sorted, so the words starting with a prefix sit next to each other
+  const vocabulary = [...postings.keys()].sort();
+
+  return { documents, postings, vocabulary };
+}
+
+/**
+ * Indexed words equal to the term, or starting with it when it is the
+ * word still being typed
+ */
+function expandTerm(index, term, isPrefix) {
+  if (!isPrefix) return index.postings.has(term) ? [term] : [];
+
+  // Binary search for the first word not before the prefix
+  let low = 0;
+  let high = index.vocabulary.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (index.vocabulary[mid] < term) low = mid + 1;
+    else high = mid;
+  }
+
+  const words = [];
+  for (let i = low; i < index.vocabulary.length; i++) {
+    if (!index.vocabulary[i].startsWith(term)) break;
+    words.push(index.vocabulary[i]);
+  }
+  return words;
+}
+
+/**
+ * The search words of a query; the last one matches as a prefix unless the
+ * query ends with a space
+ */
+export function parseQuery(query) {
+  const words = tokenize(query);
+  const prefixLast = words.length > 0 && !/\s$/.test(query);
+  return words.map((word, i) => ({
+    word,
+    isPrefix: prefixLast && i === words.length - 1,
+  }));
+}
+
+/**
+ * Whether a word of the text matches one of the query terms
+ */
+function matchesTerm(word, terms) {
+  const normalized = normalizeWord(word);
+  return terms.some((term) =>
+    term.isPrefix
+      ? normalized.startsWith(term.word) ||
+        word.toLowerCase().startsWith(term.word)
+      : normalized === term.word
+  );
+}
+
+/**
+ * Text around the first match, split into plain and matching parts
+ * @returns {Array} { text, match } parts in order
+ */
+export function buildSnippet(text, terms) {
+  const matches = [...text.matchAll(WORD_PATTERN)].filter((m) =>
+    matchesTerm(m[0], terms)
+  );
+  if (matches.length === 0) return [{ text, match: false }];
+
+  const first = matches[0].index;
+  let start = Math.max(0, first - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > first) end = space;
+  }
+
+  const parts = [];
+  let position = start;
+  matches
+    .filter((m) => m.index >= start && m.index + m[0].length <= end)
+    .forEach((m) => {
+      if (m.index > position) {
+        parts.push({ text: text.slice(position, m.index), match: false });
+      }
+      parts.push({ text: m[0], match: true });
+      position = m.index + m[0].length;
+    });
+  if (position < end) {
+    parts.push({ text: text.slice(position, end), match: false });
+  }
+
+  if (start > 0) parts.unshift({ text: "…", match: false });
+  if (end < text.length) parts.push({ text: "…", match: false });
+  return parts;
+}
+
+/**
+ * Find the notes containing every word of the query
+ * @param {Object} index - From buildSearchIndex()
+ * @param {string} query - What the user typed
+ * @returns {Map} noteId → { score, field, label, tab, itemIndex, snippet }
+ *   with the best matching piece of each note; empty for an empty query
+ */
+export function searchNotes(index, query) {
+  const terms = parseQuery(query);
+  const results = new Map();
+  if (terms.length === 0) return results;
+
+  // For each term, the documents it appears in and how often
+  const termCounts = terms.map(({ word, isPrefix }) => {
+    const counts = new Map();
+    expandTerm(index, word, isPrefix).forEach((match) =>
+      index.postings.get(match).forEach((count, docIndex) => {
+        counts.set(docIndex, (counts.get(docIndex) || 0) + count);
+      })
+    );
+    return counts;
+  });
+
+  // Notes need every term, though not necessarily in the same piece
+  const notesWithTerm = termCounts.map(
+    (counts) =>
+      new Set([...counts.keys()].map((i) => index.documents[i].noteId))
+  );
+  const matchingNotes = [...notesWithTerm[0]].filter((noteId) =>
+    notesWithTerm.every((noteIds) => noteIds.has(noteId))
+  );
+  const wanted = new Set(matchingNotes);
+
+  const bestPiece = new Map(); // noteId → { docIndex, score, termsFound }
+  const docIndexes = new Set(termCounts.flatMap((c) => [...c.keys()]));
+  docIndexes.forEach((docIndex) => {
+    const document = index.documents[docIndex];
+    if (!wanted.has(document.noteId)) return;
+
+    const { weight } = FIELDS[document.field];
+    let termsFound = 0;
+    let score = 0;
+    termCounts.forEach((counts) => {
+      const count = counts.get(docIndex) || 0;
+      if (count === 0) return;
+      termsFound++;
+      score += weight * (1 + Math.log(count));
+    });
+    // Pieces holding all the terms together count for more
+    score *= termsFound / terms.length;
+
+    const note = results.get(document.noteId) || { score: 0 };
+    note.score += score;
+    results.set(document.noteId, note);
+
+    // The piece shown is the one matching the most terms, then scoring best
+    const best = bestPiece.get(document.noteId);
+    if (
+      !best ||
+      termsFound > best.termsFound ||
+      (termsFound === best.termsFound && score > best.score)
+    ) {
+      bestPiece.set(document.noteId, { docIndex, score, termsFound });
+    }
+  });
+
+  bestPiece.forEach(({ docIndex }, noteId) => {
+    const document = index.documents[docIndex];
+    const field = FIELDS[document.field];
+    Object.assign(results.get(noteId), {
+      field: document.field,
+      label: field.label,
+      tab: field.tab,
+      itemIndex: document.itemIndex ?? null,
+      snippet: buildSnippet(document.text, terms),
+    });
+  });
+
+  return results;
+}
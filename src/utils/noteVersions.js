@@ -0,0 +1,141 @@
+/**
+ * Version history of a note
+ * Every change saved with storage.updateNote() first copies the note's
+ * generated content into note.versions (newest first), together with when
+ * and how that content came about, so a change can be compared and rolled
+ * back. The original text and settings never change, so they aren't copied.
+ */
+
+// Fields copied into each version
+export const VERSIONED_FIELDS = [
+  "summary",
+  "keyPoints",
+  "keyPointAnchors",
+  "flashcards",
+  "questions",
+];
+
+// Older versions beyond this are dropped
+export const MAX_VERSIONS = 20;
+
+/**
+ * What caused a version: { type, label } with type "generated",
+ * "regenerate", "edit" or "rollback"
+ */
+export const GENERATED_TRIGGER = { type: "generated", label: "Generated" };
+
+/**
+ * Snapshot of a note's current content for its history
+ * @returns {Object} { savedAt, trigger, summary, keyPoints,
+ *   keyPointAnchors, flashcards, questions }
+ */
+export function createVersion(note) {
+  const version = {
+    savedAt: note.updatedAt || note.createdAt,
+    trigger: note.changedBy || GENERATED_TRIGGER,
+  };
+  VERSIONED_FIELDS.forEach((field) => {
+    version[field] = note[field];
+  });
+  return version;
+}
+
+/**
+ * The note's content as a version, plus every earlier version
+ */
+export function listVersions(note) {
+  return [createVersion(note), ...(note.versions || [])];
+}
+
+/**
+ * Content of a version, ready to save with storage.updateNote()
+ */
+export function versionContent(version) {
+  return Object.fromEntries(
+    VERSIONED_FIELDS.map((field) => [field, version[field]])
+  );
+}
+
+const sameItem = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Origins (see storage.updateNote) of a new list of cards or questions: an
+ * item identical to one in the old list keeps that item's position, so
+ * its answers and review schedule survive a rollback
+ */
+export function matchOrigins(oldItems = [], newItems = []) {
+  const used = new Set();
+  return newItems.map((item) => {
+    const index = oldItems.findIndex(
+      (old, i) => !used.has(i) && sameItem(old, item)
+    );
+    if (index === -1) return null;
+    used.add(index);
+    return index;
+  });
+}
+
+// Line diffs above this many comparisons fall back to a plain comparison
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Line-by-line diff of two texts (longest common subsequence)
+ * @returns {Array} { type: "same" | "removed" | "added", text } in order
+ */
+export function diffLines(before = "", after = "") {
+  const a = (before || "").split("\n");
+  const b = (after || "").split("\n");
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((text) => ({ type: "removed", text })),
+      ...b.map((text) => ({ type: "added", text })),
+    ];
+  }
+
+  // lengths[i][j] = common lines of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ type: "removed", text: a[i++] });
+    } else {
+      diff.push({ type: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ type: "removed", text: a[i++] });
+  while (j < b.length) diff.push({ type: "added", text: b[j++] });
+  return diff;
+}
+
+/**
+ * Compare two lists of key points, cards or questions, ignoring order
+ * @returns {Object} { removed, added, unchanged } - removed items are only
+ *   in the first list, added items only in the second
+ */
+export function diffItems(before = [], after = []) {
+  const matched = matchOrigins(before, after);
+  const kept = new Set(matched.filter((index) => index !== null));
+  return {
+    removed: before.filter((_, index) => !kept.has(index)),
+    added: after.filter((_, index) => matched[index] === null),
+    unchanged: kept.size,
+  };
+}
@@ -0,0 +1,530 @@
+/**
+ * Full study notes export: Markdown, standalone HTML and Word (.docx)
+ * All three keep the summary's headings and bold text, the key points,
+ * flashcards and practice questions with their answers. A whole folder
+ * exports as a .zip with one file per note.
+ */
+
+import { buildPDF, downloadBlob, downloadText } from "./pdfGenerator";
+import { describeCorrectAnswer } from "./scoring";
+import { QUESTION_TYPE_LABELS } from "../services/schemas";
+
+export const NOTES_FORMATS = [
+  { id: "md", label: "Markdown" },
+  { id: "html", label: "HTML" },
+  { id: "docx", label: "Word (.docx)" },
+];
+
+// A folder can also be exported as PDFs
+export const FOLDER_FORMATS = [...NOTES_FORMATS, { id: "pdf", label: "PDF" }];
+
+/**
+ * Split the generated summary into blocks
+ * - "## Heading" or a line that is only "**Topic**" → heading
+ * - "- item" / "* item" / "1. item" runs → list
+ * - "---" → rule
+ * - anything else → paragraph (consecutive lines joined)
+ * @returns {Array} { type: "heading"|"paragraph"|"list"|"rule", text, level, items }
+ */
+export function parseSummaryBlocks(summary) {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: "paragraph", text: paragraph.join(" ") });
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+  };
+
+  (summary || "").split("\n").forEach((rawLine) => {
+    const line = rawLine.trim();
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const boldHeading = line.match(/^\*\*([^*]+?):?\*\*:?$/);
+    const listItem = line.match(/^(?:[-•*]|\d+[.)])\s+(.*)$/);
+
+    if (!line) {
+      flush();
+    } else if (/^(-{3,}|\*{3,})$/.test(line)) {
+      flush();
+      blocks.push({ type: "rule" });
+    } else if (heading) {
+      flush();
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        text: heading[2].replace(/\*\*/g, ""),
+      });
+    } else if (boldHeading) {
+      flush();
+      blocks.push({ type: "heading", level: 2, text: boldHeading[1] });
+    } else if (listItem) {
+      if (paragraph.length > 0) flush();
+      list = list || { type: "list", items: [] };
+      list.items.push(listItem[1]);
+    } else {
+      if (list) flush();
+      paragraph.push(line);
+    }
+  });
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Split "**bold** and plain" into runs
+ * @returns {Array} { text, bold }
+ */
+export function parseInline(text) {
+  return String(text ?? "")
+    .split(/(\*\*[^*]+\*\*)/)
+    .filter(Boolean)
+    .map((part) =>
+      part.startsWith("**") && part.endsWith("**")
+        ? { text: part.slice(2, -2), bold: true }
+        : { text: part, bold: false }
+    );
+}
+
+/**
+ * Options to show for a question (true/false answers are implied)
+ */
+function questionOptions(question) {
+  return question.options && question.type !== "truefalse"
+    ? question.options
+    : [];
+}
+
+function typeLabel(question) {
+  return QUESTION_TYPE_LABELS[question.type] || "Multiple Choice";
+}
+
+function answerLabel(question) {
+  return question.type === "short" ? "Model answer" : "Answer";
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+/**
+ * Markdown that pastes cleanly into Obsidian or Notion
+ */
+export function buildMarkdown(notesData) {
+  const { title, subject, summary, keyPoints, flashcards, questions } =
+    notesData;
+  const lines = [`# ${title || "Study Notes"}`, ""];
+
+  const meta = [
+    subject && `**Subject:** ${subject}`,
+    notesData.createdAt &&
+      `**Created:** ${new Date(notesData.createdAt).toLocaleDateString()}`,
+  ].filter(Boolean);
+  if (meta.length > 0) lines.push(meta.join("  \n"), "");
+
+  if (summary) {
+    lines.push("## Summary", "");
+    parseSummaryBlocks(summary).forEach((block) => {
+      if (block.type === "heading") {
+        lines.push(`${"#".repeat(Math.min(block.level + 1, 6))} ${block.text}`);
+      } else if (block.type === "list") {
+        lines.push(...block.items.map((item) => `- ${item}`));
+      } else if (block.type === "rule") {
+        lines.push("---");
+      } else {
+        lines.push(block.text);
+      }
+      lines.push("");
+    });
+  }
+
+  if (keyPoints?.length > 0) {
+    lines.push("## Key Points", "");
+    lines.push(...keyPoints.map((point) => `- ${point}`), "");
+  }
+
+  if (flashcards?.length > 0) {
+    lines.push("## Flashcards", "");
+    flashcards.forEach((card, index) => {
+      lines.push(`**Q${index + 1}.** ${card.question}  `);
+      lines.push(`**A:** ${card.answer}`, "");
+    });
+  }
+
+  if (questions?.length > 0) {
+    lines.push("## Practice Questions", "");
+    questions.forEach((question, index) => {
+      lines.push(`### ${index + 1}. ${question.question}`, "");
+      lines.push(`*${typeLabel(question)}*`, "");
+      const options = questionOptions(question);
+      if (options.length > 0) {
+        lines.push(...options.map((option) => `- ${option}`), "");
+      }
+      lines.push(
+        `**${answerLabel(question)}:** ${describeCorrectAnswer(question)}`
+      );
+      if (question.type === "short" && question.rubric) {
+        lines.push("", `**Rubric:** ${question.rubric}`);
+      }
+      if (question.explanation) {
+        lines.push("", `**Explanation:** ${question.explanation}`);
+      }
+      lines.push("");
+    });
+  }
+
+  return lines.join("\n").trim() + "\n";
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function inlineHtml(text) {
+  return parseInline(text)
+    .map((run) =>
+      run.bold
+        ? `<strong>${escapeHtml(run.text)}</strong>`
+        : escapeHtml(run.text)
+    )
+    .join("");
+}
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.7; color: #1f2937; }
+  h1 { color: #4f46e5; margin-bottom: 0.25rem; }
+  h2 { color: #4f46e5; border-bottom: 2px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2.5rem; }
+  .meta { color: #6b7280; font-size: 0.9rem; }
+  .card, .question { border: 1px solid #e5e7eb; border-radius: 8px; padding: 1rem 1.25rem; margin: 1rem 0; }
+  .card p, .question p { margin: 0.4rem 0; }
+  .type { color: #6b7280; font-size: 0.85rem; font-style: italic; }
+  .answer { color: #047857; }
+  .explanation { color: #4b5563; font-size: 0.95rem; }
+  hr { border: none; border-top: 1px solid #e5e7eb; margin: 1.5rem 0; }
+`;
+
+/**
+ * Self-contained HTML page (inline styles, no external assets)
+ */
+export function buildHtml(notesData) {
+  const { title, subject, summary, keyPoints, flashcards, questions } =
+    notesData;
+  const body = [`<h1>${escapeHtml(title || "Study Notes")}</h1>`];
+
+  const meta = [
+    subject && `Subject: ${escapeHtml(subject)}`,
+    notesData.createdAt &&
+      `Created: ${new Date(notesData.createdAt).toLocaleDateString()}`,
+  ].filter(Boolean);
+  if (meta.length > 0) {
+    body.push(`<p class="meta">${meta.join(" · ")}</p>`);
+  }
+
+  if (summary) {
+    body.push("<h2>Summary</h2>");
+    parseSummaryBlocks(summary).forEach((block) => {
+      if (block.type === "heading") {
+        const level = Math.min(block.level + 1, 6);
+        body.push(`<h${level}>${escapeHtml(block.text)}</h${level}>`);
+      } else if (block.type === "list") {
+        body.push(
+          `<ul>${block.items
+            .map((item) => `<li>${inlineHtml(item)}</li>`)
+            .join("")}</ul>`
+        );
+      } else if (block.type === "rule") {
+        body.push("<hr>");
+      } else {
+        body.push(`<p>${inlineHtml(block.text)}</p>`);
+      }
+    });
+  }
+
+  if (keyPoints?.length > 0) {
+    body.push("<h2>Key Points</h2>");
+    body.push(
+      `<ul>${keyPoints
+        .map((point) => `<li>${inlineHtml(point)}</li>`)
+        .join("")}</ul>`
+    );
+  }
+
+  if (flashcards?.length > 0) {
+    body.push("<h2>Flashcards</h2>");
+    flashcards.forEach((card, index) => {
+      body.push(
+        `<div class="card"><p><strong>Q${index + 1}.</strong> ${inlineHtml(
+          card.question
+        )}</p><p><strong>A:</strong> ${inlineHtml(card.answer)}</p></div>`
+      );
+    });
+  }
+
+  if (questions?.length > 0) {
+    body.push("<h2>Practice Questions</h2>");
+    questions.forEach((question, index) => {
+      const parts = [
+        `<p><strong>${index + 1}. ${inlineHtml(
+          question.question
+        )}</strong></p>`,
+        `<p class="type">${escapeHtml(typeLabel(question))}</p>`,
+      ];
+      const options = questionOptions(question);
+      if (options.length > 0) {
+        parts.push(
+          `<ul>${options
+            .map((option) => `<li>${inlineHtml(option)}</li>`)
+            .join("")}</ul>`
+        );
+      }
+      parts.push(
+        `<p class="answer"><strong>${answerLabel(
+          question
+        )}:</strong> ${escapeHtml(describeCorrectAnswer(question))}</p>`
+      );
+      if (question.type === "short" && question.rubric) {
+        parts.push(
+          `<p class="explanation"><strong>Rubric:</strong> ${inlineHtml(
+            question.rubric
+          )}</p>`
+        );
+      }
+      if (question.explanation) {
+        parts.push(
+          `<p class="explanation"><strong>Explanation:</strong> ${inlineHtml(
+            question.explanation
+          )}</p>`
+        );
+      }
+      body.push(`<div class="question">${parts.join("")}</div>`);
+    });
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title || "Study Notes")}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+${body.join("\n")}
+</body>
+</html>
+`;
+}
+
+// ---------------------------------------------------------------------------
+// Word (.docx)
+// ---------------------------------------------------------------------------
+
+/**
+ * Word document built with the docx library (loaded on demand)
+ * @returns {Promise<Blob>}
+ */
+export async function buildDocx(notesData) {
+  const { Document, Packer, Paragraph, TextRun, HeadingLevel } = await import(
+    "docx"
+  );
+  const { title, subject, summary, keyPoints, flashcards, questions } =
+    notesData;
+
+  const HEADINGS = [
+    HeadingLevel.HEADING_1,
+    HeadingLevel.HEADING_2,
+    HeadingLevel.HEADING_3,
+    HeadingLevel.HEADING_4,
+    HeadingLevel.HEADING_5,
+    HeadingLevel.HEADING_6,
+  ];
+
+  const runs = (text, extra = {}) =>
+    parseInline(text).map(
+      (run) => new TextRun({ text: run.text, bold: run.bold, ...extra })
+    );
+  const heading = (text, level) =>
+    new Paragraph({ text, heading: HEADINGS[Math.min(level, 6) - 1] });
+  const paragraph = (children, options = {}) =>
+    new Paragraph({ children, spacing: { after: 120 }, ...options });
+  const bullet = (text) =>
+    new Paragraph({ children: runs(text), bullet: { level: 0 } });
+  const labelled = (label, text, extra = {}) =>
+    paragraph([
+      new TextRun({ text: `${label} `, bold: true }),
+      ...runs(text, extra),
+    ]);
+
+  const children = [
+    new Paragraph({
+      text: title || "Study Notes",
+      heading: HeadingLevel.TITLE,
+    }),
+  ];
+
+  const meta = [
+    subject && `Subject: ${subject}`,
+    notesData.createdAt &&
+      `Created: ${new Date(notesData.createdAt).toLocaleDateString()}`,
+  ].filter(Boolean);
+  if (meta.length > 0) {
+    children.push(
+      paragraph([new TextRun({ text: meta.join(" · "), color: "6B7280" })])
+    );
+  }
+
+  if (summary) {
+    children.push(heading("Summary", 1));
+    parseSummaryBlocks(summary).forEach((block) => {
+      if (block.type === "heading") {
+        children.push(heading(block.text, block.level + 1));
+      } else if (block.type === "list") {
+        children.push(...block.items.map(bullet));
+      } else if (block.type === "paragraph") {
+        children.push(paragraph(runs(block.text)));
+      }
+    });
+  }
+
+  if (keyPoints?.length > 0) {
+    children.push(heading("Key Points", 1), ...keyPoints.map(bullet));
+  }
+
+  if (flashcards?.length > 0) {
+    children.push(heading("Flashcards", 1));
+    flashcards.forEach((card, index) => {
+      children.push(
+        paragraph(
+          [
+            new TextRun({ text: `Q${index + 1}. `, bold: true }),
+            ...runs(card.question),
+          ],
+          { spacing: { after: 40 } }
+        ),
+        labelled("A:", card.answer)
+      );
+    });
+  }
+
+  if (questions?.length > 0) {
+    children.push(heading("Practice Questions", 1));
+    questions.forEach((question, index) => {
+      children.push(
+        paragraph([
+          new TextRun({ text: `${index + 1}. `, bold: true }),
+          ...runs(question.question, { bold: true }),
+          new TextRun({
+            text: ` (${typeLabel(question)})`,
+            italics: true,
+            color: "6B7280",
+          }),
+        ]),
+        ...questionOptions(question).map(bullet),
+        labelled(`${answerLabel(question)}:`, describeCorrectAnswer(question), {
+          color: "047857",
+        })
+      );
+      if (question.type === "short" && question.rubric) {
+        children.push(labelled("Rubric:", question.rubric));
+      }
+      if (question.explanation) {
+        children.push(labelled("Explanation:", question.explanation));
+      }
+    });
+  }
+
+  const doc = new Document({
+    title: title || "Study Notes",
+    sections: [{ children }],
+  });
+  return Packer.toBlob(doc);
+}
+
+/**
+ * Export a note in the given format and download it
+ * @param {Object} notesData - Saved note
+ * @param {string} format - "md" | "html" | "docx"
+ */
+export async function exportNotes(notesData, format) {
+  const filename = `${(notesData.title || "notes").replace(
+    /[^a-z0-9]/gi,
+    "_"
+  )}`;
+
+  switch (format) {
+    case "html":
+      downloadText(buildHtml(notesData), `${filename}.html`, "text/html");
+      break;
+    case "docx":
+      downloadBlob(await buildDocx(notesData), `${filename}.docx`);
+      break;
+    case "md":
+    default:
+      downloadText(buildMarkdown(notesData), `${filename}.md`, "text/markdown");
+  }
+}
+
+/**
+ * One note in the given format
+ * @returns {Promise<Blob|string>}
+ */
+function buildFile(notesData, format) {
+  switch (format) {
+    case "html":
+      return buildHtml(notesData);
+    case "docx":
+      return buildDocx(notesData);
+    case "pdf":
+      return buildPDF(notesData).output("blob");
+    case "md":
+    default:
+      return buildMarkdown(notesData);
+  }
+}
+
+/**
+ * Export every note of a folder as a .zip and download it
+ * @param {Array} notes - The folder's notes
+ * @param {string} format - "md" | "html" | "docx" | "pdf"
+ * @param {string} name - Folder name, used for the file name
+ * @returns {Promise<number>} How many notes were exported
+ */
+export async function exportFolder(notes, format, name = "notes") {
+  if (notes.length === 0) {
+    throw new Error("This folder has no notes to export.");
+  }
+
+  const { default: JSZip } = await import("jszip");
+  const zip = new JSZip();
+  const used = new Set();
+  for (const note of notes) {
+    // Notes with the same title get a number so none is overwritten
+    const base = (note.title || "notes").replace(/[^a-z0-9]/gi, "_");
+    let filename = `${base}.${format}`;
+    for (let n = 2; used.has(filename); n++) {
+      filename = `${base}_${n}.${format}`;
+    }
+    used.add(filename);
+    zip.file(filename, await buildFile(note, format));
+  }
+
+  downloadBlob(
+    await zip.generateAsync({ type: "blob" }),
+    `${name.replace(/[^a-z0-9]/gi, "_")}_notes.zip`
+  );
+  return notes.length;
+}
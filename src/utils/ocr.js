@@ -0,0 +1,63 @@
+/**
+ * In-browser OCR with Tesseract (WASM)
+ * Used for image uploads and for PDF pages without a text layer (scans).
+ * tesseract.js is only loaded the first time something needs OCR.
+ */
+
+// Tesseract language codes, e.g. "eng" or "eng+hin"
+const OCR_LANGUAGES = import.meta.env.VITE_OCR_LANGUAGES || "eng";
+
+// Pages below this confidence (0-100) are flagged for the student to check
+export const LOW_CONFIDENCE = 70;
+
+// PDF pages are rendered at this scale before OCR (about 150 dpi)
+const PDF_RENDER_SCALE = 2;
+
+/**
+ * Start an OCR worker. Reuse it for every page of a document, then call
+ * terminate() on it.
+ * @param {Function} onProgress - Called with the recognition progress (0-1)
+ *   of the current image
+ */
+export async function createOcrWorker(onProgress) {
+  const { createWorker } = await import("tesseract.js");
+  return createWorker(OCR_LANGUAGES, undefined, {
+    logger: (message) => {
+      if (message.status === "recognizing text") {
+        onProgress?.(message.progress);
+      }
+    },
+  });
+}
+
+/**
+ * Recognise the text of an image
+ * @param {Object} worker - From createOcrWorker()
+ * @param {File|Blob|HTMLCanvasElement} image
+ * @returns {Promise<Object>} { text, confidence } with confidence 0-100
+ */
+export async function recognizeImage(worker, image) {
+  const { data } = await worker.recognize(image);
+  return { text: data.text.trim(), confidence: Math.round(data.confidence) };
+}
+
+/**
+ * Render a pdf.js page to a canvas for OCR
+ */
+export async function renderPdfPage(page) {
+  const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+  const canvas = document.createElement("canvas");
+  canvas.width = viewport.width;
+  canvas.height = viewport.height;
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport })
+    .promise;
+  return canvas;
+}
+
+/**
+ * Pages the student should double-check
+ * @param {Array} ocrPages - { page, confidence } of the pages read by OCR
+ */
+export function lowConfidencePages(ocrPages) {
+  return (ocrPages || []).filter((page) => page.confidence < LOW_CONFIDENCE);
+}
@@ -1,9 +1,12 @@
 import jsPDF from "jspdf";
+import { describeCorrectAnswer } from "./scoring";
+import { QUESTION_TYPE_LABELS } from "../services/schemas";
 
 /**
- * Generate and download PDF from notes
+ * Lay out notes as a PDF document
+ * @returns {jsPDF} The document, ready to save or turn into a Blob
  */
-export function generatePDF(notesData) {
+export function buildPDF(notesData) {
   const {
     title,
     subject,
@@ -150,22 +153,26 @@ export function generatePDF(notesData) {
     questions.forEach((q, index) => {
       checkPageBreak(40);
       addText(
-        `${index + 1}. ${q.question} [${q.type.toUpperCase()}]`,
+        `${index + 1}. ${q.question} [${
+          QUESTION_TYPE_LABELS[q.type] || q.type.toUpperCase()
+        }]`,
         11,
         true
       );
 
-      if (q.options) {
+      if (q.options && q.type !== "truefalse") {
         q.options.forEach((option) => {
           checkPageBreak(10);
           addText(`   ${option}`, 10);
         });
       }
 
-      const correctAnswer = Array.isArray(q.correct)
-        ? q.correct.join(", ")
-        : q.correct;
-      addText(`   ✓ Correct: ${correctAnswer}`, 10, true);
+      if (q.type === "short") {
+        addText(`   Model answer: ${describeCorrectAnswer(q)}`, 10, true);
+        if (q.rubric) addText(`   Rubric: ${q.rubric}`, 9);
+      } else {
+        addText(`   ✓ Correct: ${describeCorrectAnswer(q)}`, 10, true);
+      }
 
       if (q.explanation) {
         addText(`   Explanation: ${q.explanation}`, 9);
@@ -188,12 +195,18 @@ export function generatePDF(notesData) {
     );
   }
 
-  // Download
-  const filename = `${(title || "notes").replace(
+  return pdf;
+}
+
+/**
+ * Generate and download PDF from notes
+ */
+export function generatePDF(notesData) {
+  const filename = `${(notesData.title || "notes").replace(
     /[^a-z0-9]/gi,
     "_"
   )}_${Date.now()}.pdf`;
-  pdf.save(filename);
+  buildPDF(notesData).save(filename);
 }
 
 /**
@@ -210,10 +223,9 @@ export async function copyToClipboard(text) {
 }
 
 /**
- * Download text as file
+ * Download a Blob as a file
  */
-export function downloadText(text, filename = "notes.txt") {
-  const blob = new Blob([text], { type: "text/plain" });
+export function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -223,3 +235,14 @@ export function downloadText(text, filename = "notes.txt") {
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
 }
+
+/**
+ * Download text as file
+ */
+export function downloadText(
+  text,
+  filename = "notes.txt",
+  mimeType = "text/plain"
+) {
+  downloadBlob(new Blob([text], { type: mimeType }), filename);
+}
@@ -0,0 +1,186 @@
+/**
+ * Scoring rules for practice questions
+ *
+ * Every question is worth between -1 and +1 so per-note and dashboard
+ * percentages can keep normalising the same way for all question types.
+ * Objective types are +1 / -1, MSQ and short answers can earn partial credit.
+ */
+
+/**
+ * Round a score to two decimals (avoids 0.30000000000000004 in the UI)
+ */
+export function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format a score with an explicit sign: "+1", "-0.5", "0"
+ */
+export function formatScore(value) {
+  const rounded = roundScore(value || 0);
+  return `${rounded > 0 ? "+" : ""}${rounded}`;
+}
+
+/**
+ * Answer letters as an array, whatever shape they were stored in
+ */
+export function toLetterList(answer) {
+  if (Array.isArray(answer)) return answer;
+  return answer ? [answer] : [];
+}
+
+/**
+ * MCQ: +1 for the correct option, -1 otherwise
+ */
+function scoreMcq(question, userAnswer) {
+  const isCorrect = userAnswer === question.correct;
+  return { score: isCorrect ? 1 : -1, isCorrect, isPartial: false };
+}
+
+/**
+ * MSQ: credit per option
+ * - each correct option selected: +1 / (number of correct options)
+ * - each wrong option selected: -1 / (number of wrong options)
+ * Missed correct options simply earn nothing. Total stays within [-1, +1].
+ */
+function scoreMsq(question, userAnswer) {
+  const correct = toLetterList(question.correct);
+  const selected = toLetterList(userAnswer);
+  const optionCount = question.options?.length || 4;
+  const wrongCount = optionCount - correct.length;
+
+  let score = 0;
+  selected.forEach((letter) => {
+    if (correct.includes(letter)) {
+      score += 1 / correct.length;
+    } else if (wrongCount > 0) {
+      score -= 1 / wrongCount;
+    }
+  });
+
+  const isCorrect =
+    selected.length === correct.length &&
+    correct.every((letter) => selected.includes(letter));
+
+  return {
+    score: roundScore(score),
+    isCorrect,
+    isPartial: !isCorrect && score > 0,
+  };
+}
+
+/**
+ * Compare free-text answers ignoring case, spacing and punctuation
+ */
+function normalizeText(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s.-]/gu, "")
+    .replace(/\.$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Fill in the blank: +1 when the answer matches any accepted answer, -1 otherwise
+ */
+function scoreFillBlank(question, userAnswer) {
+  const accepted = (question.acceptedAnswers || [question.correct]).map(
+    normalizeText
+  );
+  const isCorrect = accepted.includes(normalizeText(userAnswer));
+  return { score: isCorrect ? 1 : -1, isCorrect, isPartial: false };
+}
+
+/**
+ * Read the number from an answer like "9.8", "1,200 N", "3,14" or "3e8".
+ * A comma grouping three digits separates thousands; any other comma
+ * between digits is a decimal comma.
+ */
+export function parseNumericAnswer(userAnswer) {
+  const match = String(userAnswer ?? "")
+    .replace(/(\d),(?=\d{3}\b)/g, "$1")
+    .replace(/(\d),(\d)/g, "$1.$2")
+    .match(/[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i);
+  return match ? parseFloat(match[0]) : NaN;
+}
+
+/**
+ * Numeric: +1 when within the question's tolerance, -1 otherwise
+ */
+function scoreNumeric(question, userAnswer) {
+  const value = parseNumericAnswer(userAnswer);
+  // Small epsilon so 0.1 + 0.2 style rounding doesn't fail an exact answer
+  const tolerance = (question.tolerance || 0) + 1e-9;
+  const isCorrect =
+    Number.isFinite(value) &&
+    Math.abs(value - question.numericAnswer) <= tolerance;
+  return { score: isCorrect ? 1 : -1, isCorrect, isPartial: false };
+}
+
+/**
+ * Short answer: the model's rubric grade (0-1) mapped onto -1..+1
+ */
+function scoreShort(question, userAnswer, { grade = 0 } = {}) {
+  const clamped = Math.min(1, Math.max(0, grade));
+  const score = roundScore(clamped * 2 - 1);
+  const isCorrect = clamped >= 0.8;
+  return { score, isCorrect, isPartial: !isCorrect && score > 0 };
+}
+
+const SCORERS = {
+  mcq: scoreMcq,
+  msq: scoreMsq,
+  truefalse: scoreMcq,
+  fillblank: scoreFillBlank,
+  numeric: scoreNumeric,
+  short: scoreShort,
+};
+
+/**
+ * Score a user's answer to a question
+ * @param {Object} question
+ * @param {*} userAnswer - Letter, letter list or free text depending on type
+ * @param {Object} extra - { grade } for short answers (0-1 from the grader)
+ * @returns {{score: number, isCorrect: boolean, isPartial: boolean}}
+ */
+export function scoreQuestion(question, userAnswer, extra = {}) {
+  const scorer = SCORERS[question.type] || scoreMcq;
+  return scorer(question, userAnswer, extra);
+}
+
+/**
+ * Human-readable correct answer for any question type
+ */
+export function describeCorrectAnswer(question) {
+  switch (question.type) {
+    case "truefalse":
+      return question.correct === "A" ? "True" : "False";
+    case "fillblank":
+      return (question.acceptedAnswers || [question.correct]).join(" / ");
+    case "numeric":
+      return `${question.numericAnswer}${
+        question.unit ? ` ${question.unit}` : ""
+      }${question.tolerance ? ` (± ${question.tolerance})` : ""}`;
+    case "short":
+      return question.modelAnswer || question.correct;
+    default:
+      return toLetterList(question.correct).join(", ");
+  }
+}
+
+/**
+ * Whether a question is answered by picking options (vs typing)
+ */
+export function isOptionQuestion(question) {
+  return ["mcq", "msq", "truefalse"].includes(question.type || "mcq");
+}
+
+/**
+ * Whether the user has picked or typed anything yet
+ */
+export function hasAnswer(userAnswer) {
+  if (Array.isArray(userAnswer)) return userAnswer.length > 0;
+  if (typeof userAnswer === "string") return userAnswer.trim() !== "";
+  return userAnswer !== undefined && userAnswer !== null;
+}
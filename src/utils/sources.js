@@ -0,0 +1,108 @@
+/**
+ * Notes built from several source documents
+ * The documents are joined into one text, each starting on a new page
+ * under a heading with its name, and the note keeps a list of which pages
+ * came from which document so citations can name the file.
+ */
+
+import { PAGE_BREAK } from "./textProcessing";
+
+/**
+ * Join extracted documents into one text
+ * @param {Array} documents - { name, text, ocrPages, pageOffset } per file
+ *   (or typed notes); pageOffset counts pages skipped before a page range
+ * @returns {Object} { text, ocrPages, sources } - ocrPages renumbered to
+ *   pages of the combined text; sources lists { name, firstPage, pageCount,
+ *   pageOffset }
+ */
+export function combineDocuments(documents) {
+  if (documents.length === 1) {
+    const [{ name, text, ocrPages = [], pageOffset = 0 }] = documents;
+    const pageCount = text.split(PAGE_BREAK).length;
+    return {
+      text,
+      ocrPages,
+      sources: [{ name, firstPage: 1, pageCount, pageOffset }],
+    };
+  }
+
+  const texts = [];
+  const ocrPages = [];
+  const sources = [];
+  let firstPage = 1;
+
+  documents.forEach((document) => {
+    const { name, text, pageOffset = 0 } = document;
+    // The heading keeps the file name in the text the model sees and
+    // starts a new section for the chunker
+    texts.push(`# ${name}\n\n${text}`);
+    const pageCount = text.split(PAGE_BREAK).length;
+    sources.push({ name, firstPage, pageCount, pageOffset });
+    (document.ocrPages || []).forEach(({ page, confidence }) =>
+      ocrPages.push({ page: firstPage + page - 1, confidence })
+    );
+    firstPage += pageCount;
+  });
+
+  return { text: texts.join(`\n${PAGE_BREAK}\n`), ocrPages, sources };
+}
+
+/**
+ * The source file names of a note (older notes store a single name)
+ */
+export function getSourceFiles(note) {
+  if (!note?.sourceFile) return [];
+  return Array.isArray(note.sourceFile) ? note.sourceFile : [note.sourceFile];
+}
+
+/**
+ * The document a page of a combined text belongs to
+ * @returns {Object|null} { source, page } with the page number in the
+ *   original document (counting pages skipped by a page range), or null
+ *   when the note has no source list
+ */
+export function locatePage(sources, page) {
+  if (!sources || page === null) return null;
+  const source = sources.find(
+    (s) => page >= s.firstPage && page < s.firstPage + s.pageCount
+  );
+  if (!source) return null;
+  return {
+    source,
+    page: page - source.firstPage + 1 + (source.pageOffset || 0),
+  };
+}
+
+/**
+ * Whether page numbers within a source are worth showing
+ */
+export function hasPageNumbers(source) {
+  return source.pageCount > 1 || source.pageOffset > 0;
+}
+
+function shortName(name) {
+  const base = name.replace(/\.[^.]+$/, "");
+  return base.length > 24 ? `${base.slice(0, 23)}…` : base;
+}
+
+/**
+ * Label for a page range: "p. 12–13", or "slides p. 3" / "notes" when the
+ * note combines several documents
+ */
+export function formatPages(sources, pageStart, pageEnd = pageStart) {
+  const pages = (start, end) =>
+    start === end ? `p. ${start}` : `p. ${start}–${end}`;
+
+  const first = locatePage(sources, pageStart);
+  if (!first) return pages(pageStart, pageEnd);
+  const last = locatePage(sources, pageEnd);
+  if (sources.length === 1) return pages(first.page, last.page);
+
+  const name = shortName(first.source.name);
+  if (last?.source !== first.source) {
+    return `${name} p. ${first.page}+`;
+  }
+  return hasPageNumbers(first.source)
+    ? `${name} ${pages(first.page, last.page)}`
+    : name;
+}
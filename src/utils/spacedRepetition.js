@@ -0,0 +1,144 @@
+/**
+ * Spaced repetition scheduling for flashcards (SM-2 variant)
+ *
+ * Each card keeps { ease, interval, repetitions, lapses, due } where interval
+ * is in days and due is an ISO date. Grades follow Anki: Again/Hard/Good/Easy.
+ */
+
+export const RATINGS = [
+  { id: "again", label: "Again", color: "#ef4444" },
+  { id: "hard", label: "Hard", color: "#f59e0b" },
+  { id: "good", label: "Good", color: "#10b981" },
+  { id: "easy", label: "Easy", color: "#3b82f6" },
+];
+
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * State for a card that has never been reviewed
+ */
+export function newCardState() {
+  return {
+    ease: DEFAULT_EASE,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    due: null,
+    reviewCount: 0,
+    lastRating: null,
+    lastReviewed: null,
+  };
+}
+
+/**
+ * Midnight (local time) of the given date
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Next interval (days) and ease for a rating, without touching the card
+ */
+function nextInterval(state, rating) {
+  const { ease, interval, repetitions } = state;
+
+  switch (rating) {
+    case "again":
+      return { interval: 1, ease: Math.max(MIN_EASE, ease - 0.2) };
+    case "hard":
+      return {
+        interval:
+          repetitions === 0 ? 1 : Math.max(1, Math.round(interval * 1.2)),
+        ease: Math.max(MIN_EASE, ease - 0.15),
+      };
+    case "easy":
+      return {
+        interval:
+          repetitions === 0
+            ? 4
+            : Math.max(interval + 1, Math.round(interval * ease * 1.3)),
+        ease: ease + 0.15,
+      };
+    case "good":
+    default:
+      if (repetitions === 0) return { interval: 1, ease };
+      if (repetitions === 1) return { interval: 6, ease };
+      return {
+        interval: Math.max(interval + 1, Math.round(interval * ease)),
+        ease,
+      };
+  }
+}
+
+/**
+ * Apply a rating to a card and return its new state
+ * @param {Object} state - Current card state (null for a new card)
+ * @param {string} rating - "again" | "hard" | "good" | "easy"
+ * @param {Date} now - Review time (defaults to now)
+ */
+export function scheduleReview(state, rating, now = new Date()) {
+  const current = { ...newCardState(), ...state };
+  const { interval, ease } = nextInterval(current, rating);
+
+  return {
+    ...current,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions: rating === "again" ? 0 : current.repetitions + 1,
+    lapses: rating === "again" ? current.lapses + 1 : current.lapses,
+    due: new Date(startOfDay(now).getTime() + interval * DAY_MS).toISOString(),
+    reviewCount: current.reviewCount + 1,
+    lastRating: rating,
+    lastReviewed: now.toISOString(),
+  };
+}
+
+/**
+ * Interval each rating would give, for labelling the buttons
+ * @returns {Object} e.g. { again: 1, hard: 2, good: 6, easy: 9 }
+ */
+export function previewIntervals(state) {
+  const current = { ...newCardState(), ...state };
+  return Object.fromEntries(
+    RATINGS.map((r) => [r.id, nextInterval(current, r.id).interval])
+  );
+}
+
+/**
+ * Whether a card should be reviewed today (new cards are always due)
+ */
+export function isDue(state, now = new Date()) {
+  if (!state || !state.due) return true;
+  return new Date(state.due) < new Date(startOfDay(now).getTime() + DAY_MS);
+}
+
+/**
+ * "1 day", "6 days", "3 mo"
+ */
+export function formatInterval(days) {
+  if (days < 30) return `${days} day${days === 1 ? "" : "s"}`;
+  if (days < 365) return `${Math.round(days / 30)} mo`;
+  return `${(days / 365).toFixed(1)} yr`;
+}
+
+/**
+ * Build today's review queue: overdue/due cards first (oldest due date
+ * first), then unseen cards up to newLimit so a big import doesn't flood it
+ * @param {Array} items - { card, review, ... } entries
+ * @param {Object} options - { newLimit, now }
+ */
+export function buildReviewQueue(
+  items,
+  { newLimit = Infinity, now = new Date() } = {}
+) {
+  const due = items
+    .filter((item) => item.review?.due && isDue(item.review, now))
+    .sort((a, b) => new Date(a.review.due) - new Date(b.review.due));
+  const unseen = items.filter((item) => !item.review?.due).slice(0, newLimit);
+  return [...due, ...unseen];
+}
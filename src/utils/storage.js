@@ -1,14 +1,229 @@
 /**
- * Local storage utilities for multi-user data and history
+ * Storage utilities for multi-user data and history
  * Supports multiple users without authentication
+ *
+ * The user list and current user live in localStorage. Everything else
+ * (notes, quiz results, progress, flashcard reviews, settings, exam
+ * attempts) lives in
+ * IndexedDB, one record per item. initStorage() loads it all into an
+ * in-memory cache before the app renders, so reads stay synchronous and
+ * every write updates the cache and then only the affected records.
  */
 
+import {
+  STORES,
+  ALL_STORES,
+  openDatabase,
+  readAll,
+  runTransaction,
+  deleteUserRecords,
+} from "./db";
+import { MAX_VERSIONS, createVersion } from "./noteVersions";
+
 const STORAGE_KEYS = {
   USERS_LIST: "student_notes_users",
   CURRENT_USER: "student_notes_current_user",
   USER_PREFIX: "student_notes_user_",
 };
 
+const DEFAULT_SETTINGS = {
+  defaultDepth: "medium",
+  preferredLanguage: "english",
+  bilingualOutput: false,
+  defaultFormat: "bullets",
+};
+
+// userId → { profile, notes, quizResults, quizProgress, cardReviews,
+//   settings, examAttempts }
+const cache = {};
+let db = null;
+const errorListeners = new Set();
+
+function emptyUserData(profile = null) {
+  return {
+    profile,
+    notes: [],
+    quizResults: [],
+    quizProgress: {},
+    cardReviews: {},
+    settings: { ...DEFAULT_SETTINGS },
+    examAttempts: [],
+  };
+}
+
+/**
+ * Note ids are numbers, but object keys come back as strings
+ */
+function toNoteId(key) {
+  const id = Number(key);
+  return Number.isNaN(id) ? key : id;
+}
+
+function newestFirst(a, b) {
+  return (b.createdAt || "").localeCompare(a.createdAt || "") || b.id - a.id;
+}
+
+/**
+ * Subscribe to storage write failures (e.g. quota exceeded)
+ * @returns {Function} Unsubscribe
+ */
+export function onStorageError(listener) {
+  errorListeners.add(listener);
+  return () => errorListeners.delete(listener);
+}
+
+function reportStorageError(error) {
+  console.error("Storage write failed:", error);
+  errorListeners.forEach((listener) => listener(error));
+}
+
+/**
+ * Write to IndexedDB in the background. The cache is already up to date,
+ * so callers stay synchronous; failures go to onStorageError listeners.
+ */
+function persist(storeNames, callback) {
+  if (!db) return Promise.resolve();
+  return runTransaction(db, storeNames, callback).catch(reportStorageError);
+}
+
+/**
+ * Put all of a user's data into the stores (one record per item)
+ */
+function writeUserRecords(stores, userId, userData) {
+  (userData.notes || []).forEach((note) =>
+    stores[STORES.NOTES].put({ ...note, userId })
+  );
+  (userData.quizResults || []).forEach((result) =>
+    stores[STORES.QUIZ_RESULTS].put({ ...result, userId })
+  );
+  Object.entries(userData.quizProgress || {}).forEach(([noteId, progress]) =>
+    stores[STORES.PROGRESS].put({
+      ...progress,
+      userId,
+      noteId: toNoteId(noteId),
+    })
+  );
+  Object.entries(userData.cardReviews || {}).forEach(([noteId, cards]) =>
+    stores[STORES.CARD_REVIEWS].put({ userId, noteId: toNoteId(noteId), cards })
+  );
+  stores[STORES.SETTINGS].put({
+    ...DEFAULT_SETTINGS,
+    ...userData.settings,
+    userId,
+  });
+  (userData.examAttempts || []).forEach((attempt) =>
+    stores[STORES.EXAM_ATTEMPTS].put({ ...attempt, userId })
+  );
+}
+
+/**
+ * Move each user's legacy localStorage blob into IndexedDB, then remove it
+ * so the ~5 MB localStorage quota is freed
+ * @returns {Map} userId → legacy data of the users that could not be moved
+ */
+async function migrateFromLocalStorage() {
+  const notMigrated = new Map();
+  for (const user of getAllUsers()) {
+    const key = `${STORAGE_KEYS.USER_PREFIX}${user.id}`;
+    const raw = localStorage.getItem(key);
+    if (!raw) continue;
+
+    let legacy;
+    try {
+      legacy = JSON.parse(raw);
+      await runTransaction(db, ALL_STORES, (stores) =>
+        writeUserRecords(stores, user.id, legacy)
+      );
+      localStorage.removeItem(key);
+      console.log(
+        `Migrated user ${user.id}: ${legacy.notes?.length || 0} notes, ${
+          legacy.quizResults?.length || 0
+        } quiz results`
+      );
+    } catch (error) {
+      // Keep the blob so nothing is lost; migration retries on next load
+      console.error(`Could not migrate data for user ${user.id}:`, error);
+      if (legacy) notMigrated.set(user.id, legacy);
+    }
+  }
+  return notMigrated;
+}
+
+/**
+ * Open IndexedDB, migrate legacy data and load everything into the cache.
+ * Must finish before the app renders. Never rejects: without IndexedDB the
+ * legacy localStorage data is still shown, but changes are not saved.
+ */
+export async function initStorage() {
+  getAllUsers().forEach((user) => {
+    cache[user.id] = emptyUserData(user);
+  });
+
+  try {
+    db = await openDatabase();
+    const notMigrated = await migrateFromLocalStorage();
+
+    const [notes, quizResults, progress, cardReviews, settings, attempts] =
+      await Promise.all(
+        [
+          STORES.NOTES,
+          STORES.QUIZ_RESULTS,
+          STORES.PROGRESS,
+          STORES.CARD_REVIEWS,
+          STORES.SETTINGS,
+          STORES.EXAM_ATTEMPTS,
+        ].map((name) => readAll(db, name))
+      );
+
+    const forUser = (userId) =>
+      (cache[userId] = cache[userId] || emptyUserData());
+
+    notes.forEach((note) => forUser(note.userId).notes.push(note));
+    quizResults.forEach((result) =>
+      forUser(result.userId).quizResults.push(result)
+    );
+    progress.forEach(({ userId, noteId, ...rest }) => {
+      forUser(userId).quizProgress[noteId] = rest;
+    });
+    cardReviews.forEach(({ userId, noteId, cards }) => {
+      forUser(userId).cardReviews[noteId] = cards;
+    });
+    settings.forEach(({ userId, ...rest }) => {
+      forUser(userId).settings = { ...DEFAULT_SETTINGS, ...rest };
+    });
+    attempts.forEach((attempt) =>
+      forUser(attempt.userId).examAttempts.push(attempt)
+    );
+    // Users whose data is still only in localStorage see it from there
+    getAllUsers().forEach((user) => {
+      if (notMigrated.has(user.id)) {
+        cache[user.id] = {
+          ...emptyUserData(user),
+          ...notMigrated.get(user.id),
+        };
+      }
+    });
+    Object.values(cache).forEach((userData) => {
+      userData.notes.sort(newestFirst);
+      userData.examAttempts.sort(newestFirst);
+    });
+  } catch (error) {
+    console.error("IndexedDB unavailable, changes will not be saved:", error);
+    db = null;
+    getAllUsers().forEach((user) => {
+      const raw = localStorage.getItem(`${STORAGE_KEYS.USER_PREFIX}${user.id}`);
+      if (raw) {
+        cache[user.id] = { ...emptyUserData(user), ...JSON.parse(raw) };
+      }
+    });
+    reportStorageError(error);
+    return;
+  }
+
+  // Ask the browser not to evict our data under storage pressure
+  globalThis.navigator?.storage?.persist?.().catch(() => {});
+}
+
 /**
  * Get all users
  */
@@ -23,13 +238,15 @@ export function getAllUsers() {
 export function createUser(name, email) {
   const users = getAllUsers();
 
-  // Check if email already exists
-  if (users.find((u) => u.email === email)) {
+  // Check if email already exists (users restored from a backup may have
+  // none, and those don't clash)
+  if (email && users.find((u) => u.email === email)) {
     throw new Error("User with this email already exists");
   }
 
   const newUser = {
-    id: Date.now(),
+    // Several users can be created in the same millisecond by a restore
+    id: Math.max(Date.now(), ...users.map((u) => u.id + 1)),
     name,
     email,
     createdAt: new Date().toISOString(),
@@ -39,20 +256,9 @@ export function createUser(name, email) {
   localStorage.setItem(STORAGE_KEYS.USERS_LIST, JSON.stringify(users));
 
   // Initialize user data
-  const userData = {
-    profile: newUser,
-    notes: [],
-    quizResults: [],
-    settings: {
-      defaultDepth: "medium",
-      preferredLanguage: "english",
-      defaultFormat: "bullets",
-    },
-  };
-
-  localStorage.setItem(
-    `${STORAGE_KEYS.USER_PREFIX}${newUser.id}`,
-    JSON.stringify(userData)
+  cache[newUser.id] = emptyUserData(newUser);
+  persist([STORES.SETTINGS], (stores) =>
+    stores[STORES.SETTINGS].put({ ...DEFAULT_SETTINGS, userId: newUser.id })
   );
 
   return newUser;
@@ -100,36 +306,32 @@ export function saveUserProfile(profile) {
 
   const userData = getUserData(currentUser.id);
   userData.profile = { ...userData.profile, ...profile };
-  saveUserData(currentUser.id, userData);
 }
 
 /**
- * Get all data for a specific user
+ * Get all data for a specific user (the live cached object)
  */
 export function getUserData(userId) {
-  const data = localStorage.getItem(`${STORAGE_KEYS.USER_PREFIX}${userId}`);
-  return data
-    ? JSON.parse(data)
-    : {
-        profile: null,
-        notes: [],
-        quizResults: [],
-        settings: {
-          defaultDepth: "medium",
-          preferredLanguage: "english",
-          defaultFormat: "bullets",
-        },
-      };
+  if (!cache[userId]) {
+    cache[userId] = emptyUserData();
+  }
+  return cache[userId];
 }
 
 /**
- * Save all data for a specific user
+ * Replace all data for a specific user
  */
 export function saveUserData(userId, userData) {
-  localStorage.setItem(
-    `${STORAGE_KEYS.USER_PREFIX}${userId}`,
-    JSON.stringify(userData)
-  );
+  cache[userId] = userData;
+  return persist(ALL_STORES, (stores) => {
+    let pending = ALL_STORES.length;
+    ALL_STORES.forEach((name) =>
+      deleteUserRecords(stores[name], userId, () => {
+        pending -= 1;
+        if (pending === 0) writeUserRecords(stores, userId, userData);
+      })
+    );
+  });
 }
 
 /**
@@ -140,6 +342,10 @@ export function deleteUser(userId) {
   const filtered = users.filter((u) => u.id !== userId);
   localStorage.setItem(STORAGE_KEYS.USERS_LIST, JSON.stringify(filtered));
   localStorage.removeItem(`${STORAGE_KEYS.USER_PREFIX}${userId}`);
+  delete cache[userId];
+  persist(ALL_STORES, (stores) =>
+    ALL_STORES.forEach((name) => deleteUserRecords(stores[name], userId))
+  );
 
   // If deleted user was current, clear current user
   const currentUserId = localStorage.getItem(STORAGE_KEYS.CURRENT_USER);
@@ -155,8 +361,9 @@ export function getNotesHistory() {
   const currentUser = getCurrentUser();
   if (!currentUser) return [];
 
+  // Copy so callers holding it in React state see later changes
   const userData = getUserData(currentUser.id);
-  return userData.notes || [];
+  return [...(userData.notes || [])];
 }
 
 /**
@@ -176,16 +383,167 @@ export function saveNoteToHistory(note) {
     createdAt: new Date().toISOString(),
   };
 
-  userData.notes = userData.notes || [];
   userData.notes.unshift(noteWithTimestamp);
-
-  // Keep only last 50 notes per user
-  userData.notes = userData.notes.slice(0, 50);
-  saveUserData(currentUser.id, userData);
+  persist([STORES.NOTES], (stores) =>
+    stores[STORES.NOTES].put(noteWithTimestamp)
+  );
 
   return noteWithTimestamp;
 }
 
+/**
+ * Move entries keyed by position to their new positions
+ * @param {Object} byIndex - Entries keyed by old index
+ * @param {Array} origins - For each new index, its old index (or null)
+ */
+function moveByIndex(byIndex = {}, origins) {
+  const moved = {};
+  origins.forEach((oldIndex, newIndex) => {
+    if (oldIndex !== null && byIndex[oldIndex] !== undefined) {
+      moved[newIndex] = byIndex[oldIndex];
+    }
+  });
+  return moved;
+}
+
+/**
+ * Save changes to a note in place, keeping its previous content as a
+ * version (see utils/noteVersions.js)
+ * Quiz answers and flashcard reviews are stored by position, so they move
+ * with their question or card; those of removed (or replaced) items are
+ * dropped.
+ * @param {Object} changes - Fields to replace, e.g. { flashcards }
+ * @param {Object} options
+ * @param {Object} options.origins - { questions, flashcards }: for each item
+ *   of the new list, the index it had before, or null for a new or
+ *   rewritten item
+ * @param {Object} options.trigger - { type, label } describing the change
+ * @returns {Object|null} The updated note
+ */
+export function updateNote(noteId, changes, { origins = {}, trigger } = {}) {
+  const currentUser = getCurrentUser();
+  if (!currentUser) return null;
+
+  const userData = getUserData(currentUser.id);
+  const index = userData.notes.findIndex((note) => note.id === noteId);
+  if (index === -1) return null;
+
+  const note = userData.notes[index];
+  const updatedNote = {
+    ...note,
+    ...changes,
+    versions: [createVersion(note), ...(note.versions || [])].slice(
+      0,
+      MAX_VERSIONS
+    ),
+    changedBy: trigger,
+    updatedAt: new Date().toISOString(),
+  };
+  userData.notes[index] = updatedNote;
+
+  let oldResults = [];
+  let newResults = [];
+  let progress = null;
+  if (origins.questions) {
+    oldResults = (userData.quizResults || []).filter(
+      (r) => r.noteId === noteId
+    );
+    newResults = oldResults
+      .map((result) => ({
+        ...result,
+        questionIndex: origins.questions.indexOf(result.questionIndex),
+      }))
+      .filter((result) => result.questionIndex !== -1);
+    userData.quizResults = [
+      ...(userData.quizResults || []).filter((r) => r.noteId !== noteId),
+      ...newResults,
+    ];
+
+    const saved = userData.quizProgress?.[noteId];
+    if (saved) {
+      const showAnswers = moveByIndex(saved.showAnswers, origins.questions);
+      progress = {
+        ...saved,
+        selectedAnswers: moveByIndex(saved.selectedAnswers, origins.questions),
+        showAnswers,
+        questionScores: moveByIndex(saved.questionScores, origins.questions),
+        answerFeedback: moveByIndex(saved.answerFeedback, origins.questions),
+        allQuestionsChecked:
+          origins.questions.length > 0 &&
+          Object.keys(showAnswers).length === origins.questions.length,
+        lastUpdated: new Date().toISOString(),
+      };
+      userData.quizProgress[noteId] = progress;
+    }
+  }
+
+  let cards = null;
+  if (origins.flashcards && userData.cardReviews?.[noteId]) {
+    cards = moveByIndex(userData.cardReviews[noteId], origins.flashcards);
+    userData.cardReviews[noteId] = cards;
+  }
+
+  persist(
+    [STORES.NOTES, STORES.QUIZ_RESULTS, STORES.PROGRESS, STORES.CARD_REVIEWS],
+    (stores) => {
+      stores[STORES.NOTES].put(updatedNote);
+      // Deletes run before the puts, so a result moving into a freed
+      // position is kept
+      oldResults.forEach((result) =>
+        stores[STORES.QUIZ_RESULTS].delete([
+          currentUser.id,
+          noteId,
+          result.questionIndex,
+        ])
+      );
+      newResults.forEach((result) => stores[STORES.QUIZ_RESULTS].put(result));
+      if (progress) {
+        stores[STORES.PROGRESS].put({
+          ...progress,
+          userId: currentUser.id,
+          noteId,
+        });
+      }
+      if (cards) {
+        stores[STORES.CARD_REVIEWS].put({
+          userId: currentUser.id,
+          noteId,
+          cards,
+        });
+      }
+    }
+  );
+
+  return updatedNote;
+}
+
+/**
+ * Change where notes are filed (folderId, tags, subject). Unlike
+ * updateNote() this leaves their content and version history alone.
+ * @param {Array} noteIds - Notes to change
+ * @param {Object} changes - e.g. { folderId } or { tags }
+ * @returns {Array} The updated notes
+ */
+export function organizeNotes(noteIds, changes) {
+  const currentUser = getCurrentUser();
+  if (!currentUser) return [];
+
+  const ids = new Set(noteIds);
+  const userData = getUserData(currentUser.id);
+  const updated = [];
+  userData.notes = userData.notes.map((note) => {
+    if (!ids.has(note.id)) return note;
+    const organized = { ...note, ...changes };
+    updated.push(organized);
+    return organized;
+  });
+
+  persist([STORES.NOTES], (stores) =>
+    updated.forEach((note) => stores[STORES.NOTES].put(note))
+  );
+  return updated;
+}
+
 /**
  * Delete a note from history for current user
  */
@@ -204,6 +562,9 @@ export function deleteNoteFromHistory(noteId) {
   userData.notes = (userData.notes || []).filter((note) => note.id !== noteId);
 
   // Delete quiz results for this note
+  const removedResults = (userData.quizResults || []).filter(
+    (result) => result.noteId === noteId
+  );
   userData.quizResults = (userData.quizResults || []).filter(
     (result) => result.noteId !== noteId
   );
@@ -213,7 +574,26 @@ export function deleteNoteFromHistory(noteId) {
     delete userData.quizProgress[noteId];
   }
 
-  saveUserData(currentUser.id, userData);
+  // Delete flashcard review schedule for this note
+  if (userData.cardReviews?.[noteId]) {
+    delete userData.cardReviews[noteId];
+  }
+
+  persist(
+    [STORES.NOTES, STORES.QUIZ_RESULTS, STORES.PROGRESS, STORES.CARD_REVIEWS],
+    (stores) => {
+      stores[STORES.NOTES].delete(noteId);
+      removedResults.forEach((result) =>
+        stores[STORES.QUIZ_RESULTS].delete([
+          currentUser.id,
+          result.noteId,
+          result.questionIndex,
+        ])
+      );
+      stores[STORES.PROGRESS].delete([currentUser.id, noteId]);
+      stores[STORES.CARD_REVIEWS].delete([currentUser.id, noteId]);
+    }
+  );
 
   // Log deletion summary
   console.log("=== NOTE DELETION SUMMARY ===");
@@ -246,7 +626,19 @@ export function clearHistory() {
   userData.notes = [];
   userData.quizResults = [];
   userData.quizProgress = {};
-  saveUserData(currentUser.id, userData);
+  userData.cardReviews = {};
+  userData.examAttempts = [];
+
+  const cleared = [
+    STORES.NOTES,
+    STORES.QUIZ_RESULTS,
+    STORES.PROGRESS,
+    STORES.CARD_REVIEWS,
+    STORES.EXAM_ATTEMPTS,
+  ];
+  persist(cleared, (stores) =>
+    cleared.forEach((name) => deleteUserRecords(stores[name], currentUser.id))
+  );
 
   console.log("=== CLEAR ALL DATA SUMMARY ===");
   console.log("Notes Cleared:", notesCount);
@@ -266,7 +658,7 @@ export function getQuizResults() {
   }
 
   const userData = getUserData(currentUser.id);
-  const results = userData.quizResults || [];
+  const results = [...(userData.quizResults || [])];
   console.log(
     "getQuizResults: Retrieved",
     results.length,
@@ -322,8 +714,9 @@ export function saveQuizResult(result) {
     userData.quizResults.length
   );
 
-  saveUserData(currentUser.id, userData);
-  console.log("saveQuizResult: User data saved to localStorage");
+  persist([STORES.QUIZ_RESULTS], (stores) =>
+    stores[STORES.QUIZ_RESULTS].put(resultToSave)
+  );
 }
 
 /**
@@ -370,7 +763,13 @@ export function saveQuizProgress(noteId, progress) {
     ...progress,
     lastUpdated: new Date().toISOString(),
   };
-  saveUserData(currentUser.id, userData);
+  persist([STORES.PROGRESS], (stores) =>
+    stores[STORES.PROGRESS].put({
+      ...userData.quizProgress[noteId],
+      userId: currentUser.id,
+      noteId,
+    })
+  );
   console.log("saveQuizProgress: Saved progress for note", noteId);
 }
 
@@ -393,6 +792,9 @@ export function resetNoteQuizData(noteId) {
   ).length;
 
   // Remove all quiz results for this note
+  const removedResults = (userData.quizResults || []).filter(
+    (result) => result.noteId === noteId
+  );
   userData.quizResults = (userData.quizResults || []).filter(
     (result) => result.noteId !== noteId
   );
@@ -403,7 +805,16 @@ export function resetNoteQuizData(noteId) {
     delete userData.quizProgress[noteId];
   }
 
-  saveUserData(currentUser.id, userData);
+  persist([STORES.QUIZ_RESULTS, STORES.PROGRESS], (stores) => {
+    removedResults.forEach((result) =>
+      stores[STORES.QUIZ_RESULTS].delete([
+        currentUser.id,
+        result.noteId,
+        result.questionIndex,
+      ])
+    );
+    stores[STORES.PROGRESS].delete([currentUser.id, noteId]);
+  });
 
   console.log("=== NOTE QUIZ RESET SUMMARY ===");
   console.log("Note ID:", noteId);
@@ -418,27 +829,72 @@ export function resetNoteQuizData(noteId) {
   console.log("===============================");
 }
 
+/**
+ * Get the review schedule for every flashcard in a note
+ * @returns {Object} card state keyed by card index
+ */
+export function getCardReviews(noteId) {
+  const currentUser = getCurrentUser();
+  if (!currentUser) return {};
+
+  const userData = getUserData(currentUser.id);
+  return userData.cardReviews?.[noteId] || {};
+}
+
+/**
+ * Save the review schedule of one flashcard (see utils/spacedRepetition.js)
+ */
+export function saveCardReview(noteId, cardIndex, cardState) {
+  const currentUser = getCurrentUser();
+  if (!currentUser) return;
+
+  const userData = getUserData(currentUser.id);
+  userData.cardReviews = userData.cardReviews || {};
+  userData.cardReviews[noteId] = {
+    ...userData.cardReviews[noteId],
+    [cardIndex]: cardState,
+  };
+  persist([STORES.CARD_REVIEWS], (stores) =>
+    stores[STORES.CARD_REVIEWS].put({
+      userId: currentUser.id,
+      noteId,
+      cards: userData.cardReviews[noteId],
+    })
+  );
+}
+
+/**
+ * Every flashcard across all notes with its review schedule
+ * @returns {Array} { noteId, noteTitle, subject, cardIndex, card, review }
+ */
+export function getAllFlashcardReviews() {
+  const currentUser = getCurrentUser();
+  if (!currentUser) return [];
+
+  const userData = getUserData(currentUser.id);
+  return (userData.notes || []).flatMap((note) =>
+    (note.flashcards || []).map((card, cardIndex) => ({
+      noteId: note.id,
+      noteTitle: note.title,
+      subject: note.subject,
+      cardIndex,
+      card,
+      review: userData.cardReviews?.[note.id]?.[cardIndex] || null,
+    }))
+  );
+}
+
 /**
  * Get user settings for current user
  */
 export function getSettings() {
   const currentUser = getCurrentUser();
   if (!currentUser) {
-    return {
-      defaultDepth: "medium",
-      preferredLanguage: "english",
-      defaultFormat: "bullets",
-    };
+    return { ...DEFAULT_SETTINGS };
   }
 
   const userData = getUserData(currentUser.id);
-  return (
-    userData.settings || {
-      defaultDepth: "medium",
-      preferredLanguage: "english",
-      defaultFormat: "bullets",
-    }
-  );
+  return { ...DEFAULT_SETTINGS, ...userData.settings };
 }
 
 /**
@@ -450,36 +906,131 @@ export function saveSettings(settings) {
 
   const userData = getUserData(currentUser.id);
   userData.settings = settings;
-  saveUserData(currentUser.id, userData);
+  persist([STORES.SETTINGS], (stores) =>
+    stores[STORES.SETTINGS].put({ ...settings, userId: currentUser.id })
+  );
+}
+
+/**
+ * Folders (courses) of the current user: { id, name, color }
+ */
+export function getFolders() {
+  return getSettings().folders || [];
+}
+
+/**
+ * Create a folder, or rename / recolour the one with the same id
+ * @returns {Object} The saved folder
+ */
+export function saveFolder({ id, name, color }) {
+  const folders = getFolders();
+  const folder = { id: id || Date.now(), name: name.trim(), color };
+  saveSettings({
+    ...getSettings(),
+    folders: folders.some((f) => f.id === folder.id)
+      ? folders.map((f) => (f.id === folder.id ? folder : f))
+      : [...folders, folder],
+  });
+  return folder;
 }
 
 /**
- * Export all data for current user as JSON
+ * Delete a folder; its notes are kept and become unfiled
  */
-export function exportAllData() {
+export function deleteFolder(folderId) {
+  saveSettings({
+    ...getSettings(),
+    folders: getFolders().filter((folder) => folder.id !== folderId),
+  });
+  const noteIds = getNotesHistory()
+    .filter((note) => note.folderId === folderId)
+    .map((note) => note.id);
+  organizeNotes(noteIds, { folderId: null });
+}
+
+/**
+ * Subjects the current user added: { id, name, icon, color }
+ */
+export function getCustomSubjects() {
+  return getSettings().customSubjects || [];
+}
+
+/**
+ * Add a custom subject
+ * @returns {Object} The saved subject
+ */
+export function saveCustomSubject({ name, icon, color }) {
+  const subject = {
+    id: `custom-${Date.now()}`,
+    name: name.trim(),
+    icon,
+    color,
+  };
+  saveSettings({
+    ...getSettings(),
+    customSubjects: [...getCustomSubjects(), subject],
+  });
+  return subject;
+}
+
+/**
+ * Remove a custom subject from the list; notes keep its name
+ */
+export function deleteCustomSubject(subjectId) {
+  saveSettings({
+    ...getSettings(),
+    customSubjects: getCustomSubjects().filter(
+      (subject) => subject.id !== subjectId
+    ),
+  });
+}
+
+/**
+ * Exam mode attempts of the current user, newest first. They are kept
+ * apart from quiz results, so mock tests don't change practice scores.
+ */
+export function getExamAttempts() {
   const currentUser = getCurrentUser();
-  if (!currentUser) return null;
+  if (!currentUser) return [];
+
+  return [...(getUserData(currentUser.id).examAttempts || [])];
+}
+
+/**
+ * Save a finished exam attempt
+ * @returns {Object} The saved attempt (with its id)
+ */
+export function saveExamAttempt(attempt) {
+  const currentUser = getCurrentUser();
+  if (!currentUser) {
+    throw new Error("No user selected. Please create or select a user first.");
+  }
 
   const userData = getUserData(currentUser.id);
-  return {
-    user: currentUser,
-    ...userData,
-    exportedAt: new Date().toISOString(),
+  const saved = {
+    ...attempt,
+    id: Date.now(),
+    userId: currentUser.id,
   };
+  userData.examAttempts = [saved, ...(userData.examAttempts || [])];
+  persist([STORES.EXAM_ATTEMPTS], (stores) =>
+    stores[STORES.EXAM_ATTEMPTS].put(saved)
+  );
+  return saved;
 }
 
 /**
- * Import data for current user from JSON
+ * Delete one exam attempt
  */
-export function importData(data) {
+export function deleteExamAttempt(attemptId) {
   const currentUser = getCurrentUser();
   if (!currentUser) return;
 
   const userData = getUserData(currentUser.id);
-
-  if (data.notes) userData.notes = data.notes;
-  if (data.quizResults) userData.quizResults = data.quizResults;
-  if (data.settings) userData.settings = data.settings;
-
-  saveUserData(currentUser.id, userData);
+  userData.examAttempts = (userData.examAttempts || []).filter(
+    (attempt) => attempt.id !== attemptId
+  );
+  persist([STORES.EXAM_ATTEMPTS], (stores) =>
+    stores[STORES.EXAM_ATTEMPTS].delete([currentUser.id, attemptId])
+  );
 }
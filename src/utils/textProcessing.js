@@ -2,107 +2,507 @@
  * Text preprocessing and chunking utilities
  */
 
+import { createOcrWorker, recognizeImage, renderPdfPage } from "./ocr";
+import {
+  detectFormat,
+  extractTextFromEpub,
+  extractTextFromHtml,
+  extractTextFromMarkdown,
+  extractTextFromPptx,
+  extractTextFromSubtitles,
+} from "./fileFormats";
+
 /**
  * Normalize whitespace and headings in text
  */
 export function normalizeText(text) {
-  return text
-    .replace(/\r\n/g, "\n")
-    .replace(/\n{3,}/g, "\n\n")
-    .replace(/[ \t]+/g, " ")
+  return (
+    text
+      .replace(/\r\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .replace(/[ \t]+/g, " ")
+      // Like .trim(), but keeps the page breaks around empty pages
+      .replace(/^[^\S\f]+|[^\S\f]+$/g, "")
+  );
+}
+
+// Page separator in extracted text (a form feed, as pdftotext writes)
+export const PAGE_BREAK = "\f";
+
+// A chunk this full (share of maxTokens) starts a new one at the next heading
+const SECTION_BREAK_FILL = 0.5;
+
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+\S/, // Markdown heading
+  /^\*\*[^*]+\*\*:?$/, // A line that is only bold text
+  /^(chapter|section|unit|part|lesson|module|appendix)\s+[\dIVXLC]+\b/i,
+];
+
+/**
+ * Is this line a heading? Markdown or bold titles, "Chapter 3 ...", short
+ * numbered titles ("2.1 Ohm's Law") and short ALL CAPS lines
+ */
+function isHeading(line) {
+  if (line.length > 100) return false;
+  if (HEADING_PATTERNS.some((pattern) => pattern.test(line))) return true;
+  if (line.split(/\s+/).length > 10 || /[.,;:?!]$/.test(line)) return false;
+  if (/^\d+(\.\d+)*\.?\s+\p{Lu}/u.test(line)) return true;
+
+  const letters = line.replace(/[^\p{L}]/gu, "");
+  return (
+    letters.length >= 3 &&
+    letters === letters.toUpperCase() &&
+    letters !== letters.toLowerCase()
+  );
+}
+
+function headingTitle(line) {
+  return line
+    .replace(/^#{1,6}\s+/, "")
+    .replace(/^\*\*|\*\*:?$/g, "")
     .trim();
 }
 
 /**
- * Split text into chunks with overlap
- * @param {string} text - The text to chunk
- * @param {number} maxWords - Maximum words per chunk (default: 1500)
- * @param {number} overlapPercent - Overlap percentage (default: 25)
- * @returns {Array<string>} Array of text chunks
+ * Split text into blocks - headings, paragraphs and display equations -
+ * each tagged with its page number, the section it belongs to and its
+ * start/end offsets in the text. Blocks never cross a page break.
  */
-export function chunkText(text, maxWords = 1500, overlapPercent = 25) {
-  const normalized = normalizeText(text);
-  const words = normalized.split(/\s+/);
+export function splitBlocks(text) {
+  const pages = text.split(PAGE_BREAK);
+  const blocks = [];
+  let section = null;
+  let pageOffset = 0;
 
-  // If text is short enough, return as single chunk
-  if (words.length <= maxWords) {
-    return [normalized];
+  pages.forEach((pageText, pageIndex) => {
+    const page = pages.length > 1 ? pageIndex + 1 : null;
+    let lines = [];
+    let start = 0;
+    let end = 0;
+    let offset = pageOffset;
+    let inMath = false;
+
+    const flush = () => {
+      const blockText = lines.join("\n").trim();
+      if (blockText)
+        blocks.push({ text: blockText, page, section, start, end });
+      lines = [];
+    };
+
+    const addLine = (line, lineStart, lineEnd) => {
+      if (lines.length === 0) start = lineStart;
+      lines.push(line);
+      end = lineEnd;
+    };
+
+    pageText.split("\n").forEach((rawLine) => {
+      const line = rawLine.trim();
+      const lineStart = offset;
+      const lineEnd = offset + rawLine.length;
+      offset = lineEnd + 1;
+
+      // Keep $$ ... $$ equations in one block, blank lines included
+      if (inMath) {
+        addLine(line, lineStart, lineEnd);
+        if (line.endsWith("$$")) {
+          inMath = false;
+          flush();
+        }
+        return;
+      }
+      if (line.startsWith("$$") && (line === "$$" || !line.endsWith("$$"))) {
+        flush();
+        inMath = true;
+        addLine(line, lineStart, lineEnd);
+        return;
+      }
+
+      if (!line) {
+        flush();
+      } else if (isHeading(line)) {
+        flush();
+        section = headingTitle(line);
+        blocks.push({
+          text: line,
+          page,
+          section,
+          heading: true,
+          start: lineStart,
+          end: lineEnd,
+        });
+      } else {
+        addLine(line, lineStart, lineEnd);
+      }
+    });
+    flush();
+    pageOffset += pageText.length + PAGE_BREAK.length;
+  });
+
+  return blocks;
+}
+
+function splitSentences(text) {
+  if (typeof Intl !== "undefined" && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(undefined, {
+      granularity: "sentence",
+    });
+    return Array.from(segmenter.segment(text), (s) => s.segment).filter((s) =>
+      s.trim()
+    );
   }
+  return text.match(/[^.!?।]+(?:[.!?।]+["')\]]*\s*|$)/g) || [text];
+}
 
-  const chunks = [];
-  const overlapWords = Math.floor(maxWords * (overlapPercent / 100));
-  let startIdx = 0;
+/**
+ * Greedily join pieces into parts of at most maxTokens
+ */
+function packPieces(pieces, maxTokens, count, separator) {
+  const parts = [];
+  let text = "";
+  let tokens = 0;
+
+  pieces.forEach((piece) => {
+    const pieceTokens = count(piece);
+    if (text && tokens + pieceTokens > maxTokens) {
+      parts.push(text);
+      text = "";
+      tokens = 0;
+    }
+    text = text ? text + separator + piece : piece;
+    tokens += pieceTokens;
+  });
+  if (text) parts.push(text);
 
-  while (startIdx < words.length) {
-    const endIdx = Math.min(startIdx + maxWords, words.length);
-    const chunk = words.slice(startIdx, endIdx).join(" ");
-    chunks.push(chunk);
+  return parts;
+}
+
+/**
+ * Split a block that is too big for one chunk: tables between rows, prose
+ * between sentences (and a run-on "sentence" between words). Display
+ * equations are never split.
+ */
+function splitOversizedBlock(block, maxTokens, count) {
+  if (block.text.startsWith("$$")) return [block];
 
-    // Move forward, accounting for overlap
-    if (endIdx >= words.length) break;
-    startIdx = endIdx - overlapWords;
+  const isTable = /^\|/m.test(block.text);
+  const pieces = (
+    isTable ? block.text.split("\n") : splitSentences(block.text)
+  ).flatMap((piece) =>
+    count(piece) > maxTokens
+      ? packPieces(piece.split(/\s+/), maxTokens, count, " ")
+      : [piece]
+  );
+
+  return packPieces(pieces, maxTokens, count, isTable ? "\n" : "").map(
+    (text) => ({ ...block, text: text.trim() })
+  );
+}
+
+/**
+ * The last whole sentences of text, up to maxTokens
+ */
+function trailingSentences(text, maxTokens, count) {
+  const sentences = splitSentences(text);
+  let overlap = "";
+  for (let i = sentences.length - 1; i >= 0; i--) {
+    const candidate = sentences[i] + overlap;
+    if (count(candidate) > maxTokens) break;
+    overlap = candidate;
   }
+  return overlap.trim();
+}
+
+/**
+ * Split text into chunks along its structure
+ * Chunks break between paragraphs and pages (never mid-sentence), a new
+ * section starts a new chunk once the current one is reasonably full, and
+ * each chunk repeats the last sentences of the previous one for context.
+ * @param {string} text - The text to chunk (PDF pages separated by PAGE_BREAK)
+ * @param {Object} options
+ * @param {number} options.maxTokens - Token budget per chunk, overlap included
+ * @param {number} options.overlapPercent - Overlap as a share of maxTokens
+ * @param {Object} options.tokenizer - Token estimate settings of the model
+ * @returns {Array<Object>} { index, text, tokens, pageStart, pageEnd, section }
+ *   (pages are null for text without page breaks)
+ */
+export function chunkText(
+  text,
+  { maxTokens = 2000, overlapPercent = 15, tokenizer } = {}
+) {
+  const count = (t) => estimateTokens(t, tokenizer);
+  const overlapTokens = Math.floor(maxTokens * (overlapPercent / 100));
+
+  const units = splitBlocks(normalizeText(text))
+    .flatMap((block) =>
+      count(block.text) > maxTokens
+        ? splitOversizedBlock(block, maxTokens - overlapTokens, count)
+        : [block]
+    )
+    .map((block) => ({ ...block, tokens: count(block.text) }));
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let overlap = "";
+
+  const closeChunk = () => {
+    // A heading belongs with the text after it, not at the end of a chunk
+    const carried = [];
+    while (current.length > 1 && current[current.length - 1].heading) {
+      carried.unshift(current.pop());
+    }
+
+    const body = current.map((unit) => unit.text).join("\n\n");
+    const fullText = overlap ? `${overlap}\n\n${body}` : body;
+    const pages = current
+      .map((unit) => unit.page)
+      .filter((page) => page !== null);
+
+    chunks.push({
+      index: chunks.length,
+      text: fullText,
+      tokens: count(fullText),
+      pageStart: pages.length > 0 ? Math.min(...pages) : null,
+      pageEnd: pages.length > 0 ? Math.max(...pages) : null,
+      section: current[0].section,
+    });
+
+    overlap =
+      overlapTokens > 0 ? trailingSentences(body, overlapTokens, count) : "";
+    current = carried;
+    currentTokens =
+      count(overlap) + carried.reduce((sum, unit) => sum + unit.tokens, 0);
+  };
+
+  units.forEach((unit) => {
+    const overflows = currentTokens + unit.tokens > maxTokens;
+    const sectionBreak =
+      unit.heading && currentTokens >= maxTokens * SECTION_BREAK_FILL;
+    if (current.length > 0 && (overflows || sectionBreak)) {
+      closeChunk();
+    }
+    current.push(unit);
+    currentTokens += unit.tokens;
+  });
+  if (current.length > 0) closeChunk();
 
   return chunks;
 }
 
+/**
+ * Where a chunk comes from in the document - { section, pageStart, pageEnd }
+ * - or null for text with neither page breaks nor headings
+ */
+export function chunkAnchor({ section, pageStart, pageEnd }) {
+  if (!section && pageStart === null) return null;
+  return { section, pageStart, pageEnd };
+}
+
+/**
+ * The parts of the document the notes are made from: each chunk's anchor
+ * with its summary. Prompts number them so every generated item can say
+ * which part it comes from.
+ * @param {Array} chunks - From chunkText()
+ * @param {Array<string>} summaries - The summary of each chunk
+ * @returns {Array} { anchor, summary }, or [] when no chunk has an anchor
+ */
+export function sourceSections(chunks, summaries) {
+  const sections = chunks.map((chunk, index) => ({
+    anchor: chunkAnchor(chunk),
+    summary: summaries[index],
+  }));
+  return sections.some((section) => section.anchor) ? sections : [];
+}
+
+// Extractors in fileFormats.js, by format id
+const DOCUMENT_EXTRACTORS = {
+  pptx: extractTextFromPptx,
+  epub: extractTextFromEpub,
+  markdown: extractTextFromMarkdown,
+  html: extractTextFromHtml,
+  subtitles: extractTextFromSubtitles,
+};
+
+// A PDF page with less text than this has no real text layer (a scan)
+const MIN_PAGE_TEXT_LENGTH = 10;
+
 /**
  * Extract text from different file types
  * @param {File} file - The uploaded file
- * @returns {Promise<string>} Extracted text
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { page, totalPages,
+ *   ocr, ocrProgress } as pages are read
+ * @param {Object} options.pageRange - { from, to } pages to import (PDF only)
+ * @returns {Promise<Object>} { text, ocrPages, pageOffset } - ocrPages lists
+ *   the { page, confidence } of every page read by OCR (empty if none were);
+ *   pageOffset is the number of PDF pages skipped before the range
  */
-export async function extractTextFromFile(file) {
-  const fileType = file.type;
+export async function extractTextFromFile(
+  file,
+  { onProgress, pageRange } = {}
+) {
+  const format = detectFormat(file);
 
-  if (fileType === "text/plain") {
-    return await file.text();
+  switch (format?.id) {
+    case "pdf":
+      return await extractTextFromPDF(file, onProgress, pageRange);
+    case "image":
+      return await extractTextFromImage(file, onProgress);
+    case "docx":
+      return { text: await extractTextFromDocx(file), ocrPages: [] };
+    case "text":
+      return { text: await file.text(), ocrPages: [] };
+    default:
+      break;
   }
 
-  if (fileType === "application/pdf") {
-    return await extractTextFromPDF(file);
+  const extract = DOCUMENT_EXTRACTORS[format?.id];
+  if (!extract) {
+    throw new Error(
+      "Unsupported file type. Please upload a PDF, DOCX, PPTX, EPUB, Markdown, HTML, SRT/VTT, TXT, PNG or JPEG file."
+    );
   }
 
-  if (
-    fileType ===
-    "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
-  ) {
-    return await extractTextFromDocx(file);
+  try {
+    return { text: await extract(file), ocrPages: [] };
+  } catch (error) {
+    console.error(`${format.label} extraction error:`, error);
+    throw new Error(
+      `Failed to extract text from the ${format.label} file. It may be empty or damaged.`
+    );
   }
+}
 
-  throw new Error(
-    "Unsupported file type. Please upload PDF, DOCX, or TXT files."
+/**
+ * URL of the pdf.js worker script bundled by Vite (not a CDN), so PDFs open
+ * offline and behind campus firewalls. The text worker loads the same file,
+ * so the build holds a single copy.
+ */
+async function pdfWorkerUrl() {
+  const { default: url } = await import(
+    "pdfjs-dist/build/pdf.worker.min.js?url"
   );
+  return new URL(url, document.baseURI).href;
 }
 
 /**
- * Extract text from PDF using pdf.js
+ * Read the text layer of a PDF's pages in a Web Worker
+ * @returns {Promise<Object>} { pages, firstPage, lastPage, totalPages }
  */
-async function extractTextFromPDF(file) {
-  try {
-    // Dynamically import pdfjs-dist
-    const pdfjsLib = await import("pdfjs-dist");
+async function extractPdfPagesInWorker(data, pageRange, onProgress) {
+  const workerSrc = await pdfWorkerUrl();
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL("../workers/pdfText.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    worker.onmessage = ({ data: message }) => {
+      if (message?.type === "progress") {
+        onProgress?.(message);
+      } else if (message?.type === "done") {
+        worker.terminate();
+        resolve(message);
+      } else if (message?.type === "error") {
+        worker.terminate();
+        reject(new Error(message.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || "The PDF worker failed to start."));
+    };
+    worker.postMessage({ data, pageRange, workerSrc }, [data]);
+  });
+}
+
+/**
+ * Open a PDF with pdf.js on the main thread, e.g. to render pages for OCR
+ */
+async function openPdf(data) {
+  const [pdfjsLib, workerUrl] = await Promise.all([
+    import("pdfjs-dist"),
+    pdfWorkerUrl(),
+  ]);
+  pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
+  return pdfjsLib.getDocument({ data }).promise;
+}
 
-    // Set worker path
-    pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
+/**
+ * Extract text from PDF using pdf.js
+ * The text layer is read in a Web Worker; pages without one (scans) are
+ * then rendered and read with OCR.
+ * @param {Object} pageRange - { from, to } to import only some pages
+ */
+async function extractTextFromPDF(file, onProgress, pageRange) {
+  let ocrWorker = null;
+  let pdf = null;
 
+  try {
     const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    // The worker takes ownership of its copy; OCR needs the original
+    const { pages, firstPage, totalPages } = await extractPdfPagesInWorker(
+      arrayBuffer.slice(0),
+      pageRange,
+      ({ page }) => onProgress?.({ page, totalPages, ocr: false })
+    );
 
-    let fullText = "";
+    const ocrPages = [];
+    for (const [index, pageText] of pages.entries()) {
+      if (pageText.length >= MIN_PAGE_TEXT_LENGTH) continue;
 
-    for (let i = 1; i <= pdf.numPages; i++) {
-      const page = await pdf.getPage(i);
-      const textContent = await page.getTextContent();
-      const pageText = textContent.items.map((item) => item.str).join(" ");
-      fullText += pageText + "\n\n";
+      // No text layer - a scanned page
+      const pageNumber = firstPage + index;
+      const progress = { page: pageNumber, totalPages, ocr: true };
+      onProgress?.({ ...progress, ocrProgress: 0 });
+      pdf = pdf || (await openPdf(arrayBuffer));
+      if (!ocrWorker) {
+        ocrWorker = await createOcrWorker((ocrProgress) =>
+          onProgress?.({ ...progress, ocrProgress })
+        );
+      }
+      const { text, confidence } = await recognizeImage(
+        ocrWorker,
+        await renderPdfPage(await pdf.getPage(pageNumber))
+      );
+      pages[index] = text;
+      // Numbered within the extracted pages, like the page breaks
+      ocrPages.push({ page: index + 1, confidence });
     }
 
-    return fullText.trim();
+    // Page breaks let the chunker track page numbers
+    return {
+      text: pages.join(`\n${PAGE_BREAK}\n`),
+      ocrPages,
+      pageOffset: firstPage - 1,
+    };
   } catch (error) {
     console.error("PDF extraction error:", error);
-    throw new Error(
-      "Failed to extract text from PDF. Please ensure the PDF contains selectable text."
+    throw new Error(`Failed to extract text from PDF: ${error.message}`);
+  } finally {
+    await ocrWorker?.terminate();
+    await pdf?.destroy();
+  }
+}
+
+/**
+ * Extract text from a PNG/JPEG (photo or scan) with OCR
+ */
+async function extractTextFromImage(file, onProgress) {
+  let ocrWorker = null;
+  const progress = { page: 1, totalPages: 1, ocr: true };
+
+  try {
+    onProgress?.({ ...progress, ocrProgress: 0 });
+    ocrWorker = await createOcrWorker((ocrProgress) =>
+      onProgress?.({ ...progress, ocrProgress })
     );
+    const { text, confidence } = await recognizeImage(ocrWorker, file);
+    return { text, ocrPages: [{ page: 1, confidence }] };
+  } catch (error) {
+    console.error("OCR error:", error);
+    throw new Error("Failed to read text from the image.");
+  } finally {
+    await ocrWorker?.terminate();
   }
 }
 
@@ -136,3 +536,23 @@ export function estimateReadingTime(text) {
   const wordsPerMinute = 200;
   return Math.ceil(words / wordsPerMinute);
 }
+
+/**
+ * Estimate the number of LLM tokens in text
+ * Latin-script text averages about 4 characters per token; other scripts
+ * (Devanagari, Greek, CJK, ...) take far more tokens per character.
+ * @param {string} text
+ * @param {Object} tokenizer - The model's { charsPerToken, nonLatinTokensPerChar }
+ */
+export function estimateTokens(
+  text,
+  { charsPerToken = 4, nonLatinTokensPerChar = 0.5 } = {}
+) {
+  let latin = 0;
+  let other = 0;
+  for (const char of text) {
+    if (char.charCodeAt(0) <= 0x024f) latin++;
+    else other++;
+  }
+  return Math.round(latin / charsPerToken + other * nonLatinTokensPerChar);
+}
@@ -0,0 +1,67 @@
+/**
+ * Web Worker that extracts the text layer of a PDF
+ * Keeps parsing of large PDFs off the main thread so the input screen stays
+ * responsive. pdf.js runs its own worker code in this thread (via
+ * globalThis.pdfjsWorker) instead of starting a nested worker; the page
+ * sends the URL of the worker script it uses itself, so the build bundles
+ * it only once.
+ *
+ * In:  { data: ArrayBuffer, pageRange: { from, to }, workerSrc } (range
+ *      optional)
+ * Out: { type: "progress", page, totalPages }
+ *      { type: "done", pages: [text], firstPage, lastPage, totalPages }
+ *      { type: "error", message }
+ */
+
+// The worker script is a UMD bundle: imported here it sets
+// globalThis.pdfjsWorker
+async function loadPdfjs(workerSrc) {
+  await import(/* @vite-ignore */ workerSrc);
+  return import("pdfjs-dist");
+}
+
+async function extractPages(data, pageRange = {}, workerSrc) {
+  const pdfjsLib = await loadPdfjs(workerSrc);
+  const pdf = await pdfjsLib.getDocument({ data }).promise;
+  const totalPages = pdf.numPages;
+
+  const firstPage = Math.max(1, Number(pageRange.from) || 1);
+  const lastPage = Math.min(totalPages, Number(pageRange.to) || totalPages);
+  if (firstPage > lastPage) {
+    throw new Error(
+      `The page range ${firstPage}–${lastPage} is outside this PDF, which has ${totalPages} pages.`
+    );
+  }
+
+  const pages = [];
+  for (let i = firstPage; i <= lastPage; i++) {
+    self.postMessage({ type: "progress", page: i, totalPages });
+
+    const page = await pdf.getPage(i);
+    const textContent = await page.getTextContent();
+    // Keep line breaks so headings stay on their own line
+    pages.push(
+      textContent.items
+        .map((item) => item.str + (item.hasEOL ? "\n" : " "))
+        .join("")
+        .trim()
+    );
+    page.cleanup();
+  }
+
+  await pdf.destroy();
+  return { pages, firstPage, lastPage, totalPages };
+}
+
+self.addEventListener("message", async (event) => {
+  // pdf.js's own worker code shares this thread and its messages
+  if (!event.data?.data) return;
+
+  try {
+    const { data, pageRange, workerSrc } = event.data;
+    const result = await extractPages(data, pageRange, workerSrc);
+    self.postMessage({ type: "done", ...result });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+});
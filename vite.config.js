@@ -6,4 +6,8 @@ export default defineConfig({
   server: {
     port: 3000,
   },
+  // The PDF text worker imports pdf.js, which needs code splitting
+  worker: {
+    format: "es",
+  },
 });